@@ -6,8 +6,13 @@ const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
+const oauthRoutes = require('./routes/oauth');
 const resumeRoutes = require('./routes/resume');
 const aiRoutes = require('./routes/ai');
+const taxonomyRoutes = require('./routes/taxonomy');
+const applicationRoutes = require('./routes/applications');
+const usageRoutes = require('./routes/usage');
+const AIJobService = require('./services/AIJobService');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -28,15 +33,25 @@ app.use(limiter);
 // Middleware
 app.use(cors({
   origin: process.env.CLIENT_URL || 'http://localhost:3000',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['ETag']
 }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Routes
+app.use('/api/auth/oauth', oauthRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/resume', resumeRoutes);
 app.use('/api/ai', aiRoutes);
+app.use('/api/taxonomy', taxonomyRoutes);
+app.use('/api/applications', applicationRoutes);
+app.use('/api/usage', usageRoutes);
+
+// Stand-in OAuth provider for local development and tests
+if (process.env.OAUTH_MOCK_IDP === 'true' && process.env.NODE_ENV !== 'production') {
+  app.use('/mock-idp', require('./routes/mockIdp'));
+}
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -116,6 +131,9 @@ const startServer = async () => {
       }
     }
     
+    // Resume queued and interrupted AI jobs
+    AIJobService.start();
+
     // Start the server
     const server = app.listen(PORT, () => {
       console.log(`\n🚀 Server running on port ${PORT}`);
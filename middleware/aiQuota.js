@@ -0,0 +1,23 @@
+const UsageService = require('../services/UsageService');
+
+// Reject AI requests from users who have used up today's allowance
+module.exports = async (req, res, next) => {
+  try {
+    const quota = await UsageService.quota(req.user);
+    if (quota.exceeded) {
+      res.set('Retry-After', String(Math.ceil((quota.resetAt.getTime() - Date.now()) / 1000)));
+      return res.status(429).json({
+        success: false,
+        error: 'Daily AI usage limit reached',
+        plan: quota.plan,
+        limits: quota.limits,
+        used: quota.used,
+        resetAt: quota.resetAt
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Usage lookup error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+};
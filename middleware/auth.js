@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
 
-module.exports = (req, res, next) => {
+module.exports = async (req, res, next) => {
   // Get token from header
   const token = req.header('x-auth-token');
 
@@ -10,12 +11,31 @@ module.exports = (req, res, next) => {
   }
 
   // Verify token
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded.userId;
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (err) {
     console.error('Token verification error:', err.message);
-    res.status(401).json({ message: 'Token is not valid' });
+    return res.status(401).json({ message: 'Token is not valid' });
   }
+
+  // Tokens issued before sessions existed cannot be revoked, so they are not accepted
+  if (!decoded.sid) {
+    return res.status(401).json({ message: 'Token is not valid' });
+  }
+
+  // Access tokens stop working as soon as their session is revoked
+  try {
+    const active = await Session.exists({ _id: decoded.sid, revokedAt: null, expiresAt: { $gt: new Date() } });
+    if (!active) {
+      return res.status(401).json({ message: 'Session has been revoked' });
+    }
+  } catch (err) {
+    console.error('Session check error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+
+  req.user = decoded.userId;
+  req.sessionId = decoded.sid;
+  next();
 };
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Stored AI response, addressed by a hash of the task, prompt version, model,
+// user and normalized input (see AICacheService)
+const aiCacheEntrySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  task: {
+    type: String,
+    required: true
+  },
+  promptVersion: {
+    type: Number,
+    required: true
+  },
+  model: String,
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+// MongoDB removes entries once expiresAt has passed
+aiCacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+aiCacheEntrySchema.index({ user: 1, lastUsedAt: -1 });
+
+module.exports = mongoose.model('AICacheEntry', aiCacheEntrySchema);
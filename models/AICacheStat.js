@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Daily cache hit and miss counts per user and task
+const aiCacheStatSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  task: {
+    type: String,
+    required: true
+  },
+  day: {
+    type: String,
+    required: true
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  misses: {
+    type: Number,
+    default: 0
+  }
+});
+
+aiCacheStatSchema.index({ user: 1, task: 1, day: 1 }, { unique: true });
+
+module.exports = mongoose.model('AICacheStat', aiCacheStatSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const AI_JOB_TYPES = ['generate-resume', 'review-resume', 'ats-score'];
+const AI_JOB_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+// Long-running AI request processed in the background by AIJobService
+const aiJobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: AI_JOB_TYPES,
+    required: true
+  },
+  input: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: AI_JOB_STATUSES,
+    default: 'queued'
+  },
+  progress: {
+    percent: { type: Number, default: 0 },
+    stage: { type: String, default: 'queued' },
+    message: { type: String, default: '' }
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // A running job whose lock has lapsed belongs to a worker that died
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Token of the claim holding the lock; writes from an older claim are dropped
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+aiJobSchema.index({ status: 1, createdAt: 1 });
+aiJobSchema.index({ user: 1, createdAt: -1 });
+// Finished jobs are removed a week after they complete
+aiJobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+aiJobSchema.statics.TYPES = AI_JOB_TYPES;
+aiJobSchema.statics.STATUSES = AI_JOB_STATUSES;
+
+module.exports = mongoose.model('AIJob', aiJobSchema);
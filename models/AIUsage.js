@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// One metered model call made on behalf of a user
+const aiUsageSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  feature: {
+    type: String,
+    required: true
+  },
+  provider: String,
+  model: String,
+  inputTokens: {
+    type: Number,
+    default: 0
+  },
+  outputTokens: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+aiUsageSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AIUsage', aiUsageSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const APPLICATION_STATUSES = ['applied', 'screening', 'interview', 'offer', 'rejected'];
+
+const statusChangeSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: APPLICATION_STATUSES,
+    required: true
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  note: String
+}, { _id: false });
+
+const applicationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  company: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  jobDescription: String,
+  jobUrl: String,
+  location: String,
+  status: {
+    type: String,
+    enum: APPLICATION_STATUSES,
+    default: 'applied'
+  },
+  statusHistory: [statusChangeSchema],
+  appliedAt: {
+    type: Date,
+    default: Date.now
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+  // The exact resume content that was sent
+  resume: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resume',
+    required: true
+  },
+  resumeVersion: {
+    type: Number,
+    required: true
+  },
+  // ATS result for the version sent and this job description
+  ats: {
+    score: { type: Number, default: null },
+    keywordsMatched: { type: [String], default: [] },
+    keywordsMissing: { type: [String], default: [] },
+    computationMethod: { type: String, default: null },
+    computedAt: { type: Date, default: null }
+  }
+}, {
+  timestamps: true
+});
+
+applicationSchema.index({ user: 1, appliedAt: -1 });
+
+applicationSchema.statics.STATUSES = APPLICATION_STATUSES;
+
+module.exports = mongoose.model('Application', applicationSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const coverLetterSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  resume: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resume',
+    required: true,
+    index: true
+  },
+  title: {
+    type: String,
+    default: 'Cover Letter'
+  },
+  company: String,
+  jobTitle: String,
+  hiringManager: String,
+  jobDescription: String,
+  // Letter structure: greeting, opening hook, evidence paragraphs, closing
+  greeting: String,
+  hook: String,
+  evidence: [String],
+  closing: String,
+  signOff: {
+    type: String,
+    default: 'Sincerely,'
+  },
+  signature: String,
+  generationMethod: {
+    type: String,
+    enum: ['ai', 'local', 'manual'],
+    default: 'local'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('CoverLetter', coverLetterSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const IMPORT_SOURCES = ['linkedin', 'github'];
+const IMPORT_SECTIONS = ['experience', 'education', 'certifications', 'projects'];
+// add: new entry; update: fills empty fields of a matching entry; skip: already on the resume
+const IMPORT_ACTIONS = ['add', 'update', 'skip'];
+
+// Entries read from an external profile, held as a merge preview until the
+// user applies them to the resume. Previews expire after a day.
+const profileImportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  resume: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resume',
+    required: true
+  },
+  source: {
+    type: String,
+    enum: IMPORT_SOURCES,
+    required: true
+  },
+  // Resume version the preview was computed against
+  baseVersion: {
+    type: Number,
+    required: true
+  },
+  items: [{
+    section: { type: String, enum: IMPORT_SECTIONS, required: true },
+    action: { type: String, enum: IMPORT_ACTIONS, required: true },
+    data: { type: mongoose.Schema.Types.Mixed, required: true },
+    // Index of the matching resume entry, for update and skip
+    existingIndex: { type: Number, default: null },
+    // Fields an update fills in
+    fields: [String]
+  }],
+  // 'applying' while one request writes it, so a second apply is refused
+  status: {
+    type: String,
+    enum: ['pending', 'applying', 'applied'],
+    default: 'pending'
+  },
+  appliedVersion: {
+    type: Number,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+profileImportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+profileImportSchema.statics.SOURCES = IMPORT_SOURCES;
+profileImportSchema.statics.SECTIONS = IMPORT_SECTIONS;
+profileImportSchema.statics.ACTIONS = IMPORT_ACTIONS;
+
+module.exports = mongoose.model('ProfileImport', profileImportSchema);
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 
 const educationSchema = new mongoose.Schema({
@@ -94,6 +95,20 @@ const resumeSchema = new mongoose.Schema({
     date: String,
     link: String
   }],
+  // Set on variants tailored to a job; shared fields follow the base resume
+  baseResume: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resume',
+    default: null,
+    index: true
+  },
+  tailoredFor: {
+    jobTitle: String,
+    company: String,
+    jobDescription: String,
+    tailoringMethod: String,
+    tailoredAt: Date
+  },
   aiGenerated: {
     type: Boolean,
     default: false
@@ -118,7 +133,22 @@ const resumeSchema = new mongoose.Schema({
     summary: { type: String, default: '' },
     keywordsMatched: { type: [String], default: [] },
     keywordsMissing: { type: [String], default: [] },
-    lastComputedAt: { type: Date, default: null }
+    breakdown: {
+      type: [{
+        _id: false,
+        criterion: String,
+        label: String,
+        score: Number,
+        weight: Number,
+        details: String
+      }],
+      default: []
+    },
+    computationMethod: { type: String, default: null },
+    lastComputedAt: { type: Date, default: null },
+    // What the score was computed against
+    version: { type: Number, default: null },
+    jobDescriptionHash: { type: String, default: null }
   }
 }, {
   timestamps: true
@@ -132,4 +162,25 @@ resumeSchema.pre('save', function(next) {
   next();
 });
 
+// Identifies a job description regardless of surrounding whitespace; null when there is none
+resumeSchema.statics.jobDescriptionHash = function(jobDescription) {
+  const text = String(jobDescription || '').replace(/\s+/g, ' ').trim();
+  return text ? crypto.createHash('sha256').update(text).digest('hex') : null;
+};
+
+// Store the result of AIService.computeATSScore, with the version and job description it scored
+resumeSchema.methods.setATSResult = function(ats, { jobDescription } = {}) {
+  this.ats = {
+    score: ats.score,
+    summary: ats.summary,
+    keywordsMatched: ats.keywordsMatched,
+    keywordsMissing: ats.keywordsMissing,
+    breakdown: ats.breakdown || [],
+    computationMethod: ats.computationMethod,
+    lastComputedAt: new Date(),
+    version: this.version || 1,
+    jobDescriptionHash: this.constructor.jobDescriptionHash(jobDescription)
+  };
+};
+
 module.exports = mongoose.model('Resume', resumeSchema);
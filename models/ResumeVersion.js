@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Snapshot of a resume's content as it was at a given version
+const resumeVersionSchema = new mongoose.Schema({
+  resume: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resume',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  changedFields: {
+    type: [String],
+    default: []
+  },
+  source: {
+    type: String,
+    enum: ['create', 'update', 'restore', 'suggestion', 'import'],
+    default: 'update'
+  },
+  restoredFrom: {
+    type: Number,
+    default: null
+  },
+  // Rewrite suggestion whose acceptance produced this version
+  suggestion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RewriteSuggestion',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+resumeVersionSchema.index({ resume: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('ResumeVersion', resumeVersionSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const REWRITE_TONES = ['concise', 'metric-heavy', 'leadership'];
+const REWRITE_STATUSES = ['pending', 'accepted', 'rejected'];
+
+// Alternative rewrites offered for one line of a resume. Accepting one
+// writes it back to the resume at `path` (and `line`) as a new version.
+const rewriteSuggestionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  resume: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resume',
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  // Line within a multi-line field such as a project description
+  line: {
+    type: Number,
+    default: null
+  },
+  original: {
+    type: String,
+    required: true
+  },
+  alternatives: [{
+    tone: { type: String, enum: REWRITE_TONES, required: true },
+    text: { type: String, required: true },
+    rationale: { type: String, default: '' }
+  }],
+  method: {
+    type: String,
+    enum: ['ai', 'local'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: REWRITE_STATUSES,
+    default: 'pending'
+  },
+  accepted: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Resume version the accepted rewrite was saved as
+  appliedVersion: {
+    type: Number,
+    default: null
+  },
+  resolvedAt: Date
+}, {
+  timestamps: true
+});
+
+rewriteSuggestionSchema.index({ resume: 1, status: 1, createdAt: -1 });
+
+rewriteSuggestionSchema.statics.TONES = REWRITE_TONES;
+rewriteSuggestionSchema.statics.STATUSES = REWRITE_STATUSES;
+
+module.exports = mongoose.model('RewriteSuggestion', rewriteSuggestionSchema);
@@ -14,11 +14,49 @@ const userSchema = new mongoose.Schema({
     trim: true,
     lowercase: true
   },
+  // Accounts created through OAuth have no password until one is set
   password: {
     type: String,
-    required: true,
+    required: function() {
+      return this.oauthAccounts.length === 0;
+    },
     minlength: 6
   },
+  oauthAccounts: [{
+    provider: {
+      type: String,
+      enum: ['google', 'github', 'linkedin'],
+      required: true
+    },
+    providerId: {
+      type: String,
+      required: true
+    },
+    email: String,
+    profileUrl: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // TOTP secrets, encrypted; pendingSecret awaits a first code to confirm enrollment
+    secret: String,
+    pendingSecret: String,
+    recoveryCodes: [String],
+    // Time step of the last accepted code, so a code cannot be used twice
+    lastUsedStep: Number,
+    enabledAt: Date
+  },
   avatar: {
     type: String,
     default: ''
@@ -52,8 +90,11 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+userSchema.index({ 'oauthAccounts.provider': 1, 'oauthAccounts.providerId': 1 }, { unique: true, sparse: true });
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return bcrypt.compare(candidatePassword, this.password);
 };
 
@@ -61,6 +102,11 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  user.twoFactor = {
+    enabled: Boolean(user.twoFactor?.enabled),
+    enabledAt: user.twoFactor?.enabledAt,
+    recoveryCodesRemaining: user.twoFactor?.enabled ? user.twoFactor.recoveryCodes.length : 0
+  };
   return user;
 };
 
@@ -1,8 +1,17 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
 const auth = require('../middleware/auth');
+const aiQuota = require('../middleware/aiQuota');
 const AIService = require('../services/AIService');
+const AICacheService = require('../services/AICacheService');
+const AIJobService = require('../services/AIJobService');
+const ResumeVersionService = require('../services/ResumeVersionService');
+const { parsePath, getAtPath, lineOf, replaceLine } = require('../services/ResumePaths');
+const Resume = require('../models/Resume');
+const CoverLetter = require('../models/CoverLetter');
+const AIJob = require('../models/AIJob');
+const RewriteSuggestion = require('../models/RewriteSuggestion');
 
 const router = express.Router();
 
@@ -13,6 +22,64 @@ const apiLimiter = rateLimit({
   message: 'Too many requests from this IP, please try again after 15 minutes'
 });
 
+// Validators take a prefix so background jobs can check the same fields under `input`
+const generateResumeValidators = (prefix = '') => [
+  body(`${prefix}jobDescription`).optional().isString().trim().escape(),
+  body(`${prefix}targetRole`).optional().isString().trim().escape(),
+  body(`${prefix}industry`).optional().isString().trim().escape(),
+  body(`${prefix}yearsExperience`).optional().isInt({ min: 0 })
+];
+
+const reviewResumeValidators = (prefix = '') => [
+  body(`${prefix}resumeData`).isObject(),
+  body(`${prefix}jobDescription`).optional().isString().trim()
+];
+
+const atsScoreValidators = (prefix = '') => [
+  body(`${prefix}resumeId`).isMongoId().withMessage('A valid resume id is required'),
+  body(`${prefix}targetRole`).optional().isString().trim(),
+  body(`${prefix}jobDescription`).optional().isString().trim()
+];
+
+const jobValidators = {
+  'generate-resume': generateResumeValidators,
+  'review-resume': reviewResumeValidators,
+  'ats-score': atsScoreValidators
+};
+
+// Open a Server-Sent Events response. Events sent after the client has
+// disconnected are dropped, and `signal` aborts the in-flight model call.
+function openEventStream(res) {
+  const controller = new AbortController();
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Comment lines keep proxies from timing out an idle connection
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) controller.abort();
+  });
+
+  return {
+    signal: controller.signal,
+    send(event, data) {
+      if (res.writableEnded || controller.signal.aborted) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) res.end();
+    }
+  };
+}
+
 /**
  * @route   POST /api/ai/generate-resume
  * @desc    Generate resume content using AI
@@ -22,10 +89,8 @@ router.post('/generate-resume',
   [
     auth,
     apiLimiter,
-    body('jobDescription').optional().isString().trim().escape(),
-    body('targetRole').optional().isString().trim().escape(),
-    body('industry').optional().isString().trim().escape(),
-    body('yearsExperience').optional().isInt({ min: 0 })
+    aiQuota,
+    ...generateResumeValidators()
   ], 
   async (req, res) => {
     try {
@@ -35,7 +100,7 @@ router.post('/generate-resume',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const result = await AIService.generateResumeContent(req.body);
+      const result = await AIService.generateResumeContent(req.body, { user: req.user });
       res.json(result);
     } catch (error) {
       console.error('Error generating resume:', error);
@@ -46,6 +111,41 @@ router.post('/generate-resume',
   }
 );
 
+/**
+ * @route   POST /api/ai/generate-resume/stream
+ * @desc    Generate resume content, streaming model output and progress as
+ *          Server-Sent Events (progress, section, delta) before a final
+ *          `result` event with the same payload as /generate-resume
+ * @access  Private
+ */
+router.post('/generate-resume/stream',
+  [
+    auth,
+    apiLimiter,
+    aiQuota,
+    ...generateResumeValidators()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const stream = openEventStream(res);
+    try {
+      const result = await AIService.generateResumeContentStream(req.body, stream.send, { signal: stream.signal, user: req.user });
+      stream.send('result', result);
+    } catch (error) {
+      if (!stream.signal.aborted) {
+        console.error('Error generating resume:', error);
+        stream.send('error', { error: error.message || 'Failed to generate resume content' });
+      }
+    } finally {
+      stream.end();
+    }
+  }
+);
+
 /**
  * @route   POST /api/ai/enhance
  * @desc    Enhance resume content with AI
@@ -55,6 +155,7 @@ router.post('/enhance',
   [
     auth,
     apiLimiter,
+    aiQuota,
     body('section').isString().trim().notEmpty(),
     body('content').isString().trim(),
     body('field').isString().trim().notEmpty(),
@@ -97,7 +198,7 @@ router.post('/enhance',
         ...(section === 'achievement' && { achievementTitle, date })
       };
 
-      const result = await AIService.enhanceSection(section, content, context);
+      const result = await AIService.enhanceSection(section, content, context, { user: req.user });
       
       if (!result.success) {
         return res.status(400).json(result);
@@ -126,8 +227,8 @@ router.post('/review-resume',
   [
     auth,
     apiLimiter,
-    body('resumeData').isObject(),
-    body('jobDescription').optional().isString().trim()
+    aiQuota,
+    ...reviewResumeValidators()
   ],
   async (req, res) => {
     try {
@@ -138,7 +239,7 @@ router.post('/review-resume',
       }
 
       const { resumeData, jobDescription } = req.body;
-      const review = await AIService.reviewResume(resumeData, jobDescription);
+      const review = await AIService.reviewResume(resumeData, jobDescription, { user: req.user });
       
       res.json({ review });
     } catch (error) {
@@ -150,6 +251,41 @@ router.post('/review-resume',
   }
 );
 
+/**
+ * @route   POST /api/ai/review-resume/stream
+ * @desc    Review a resume, streaming the review text as Server-Sent Events
+ *          before a final `result` event with the same payload as /review-resume
+ * @access  Private
+ */
+router.post('/review-resume/stream',
+  [
+    auth,
+    apiLimiter,
+    aiQuota,
+    ...reviewResumeValidators()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const stream = openEventStream(res);
+    try {
+      const { resumeData, jobDescription } = req.body;
+      const review = await AIService.reviewResumeStream(resumeData, jobDescription, stream.send, { signal: stream.signal, user: req.user });
+      stream.send('result', { review });
+    } catch (error) {
+      if (!stream.signal.aborted) {
+        console.error('Error reviewing resume:', error);
+        stream.send('error', { error: error.message || 'Failed to review resume' });
+      }
+    } finally {
+      stream.end();
+    }
+  }
+);
+
 /**
  * @route   POST /api/ai/generate-profile-summary
  * @desc    Generate dynamic profile summary based on role and experience
@@ -159,6 +295,7 @@ router.post('/generate-profile-summary',
   [
     auth,
     apiLimiter,
+    aiQuota,
     body('roleApplyingFor').isString().trim().notEmpty(),
     body('isFresher').isBoolean(),
     body('skills').optional().isObject(),
@@ -185,7 +322,7 @@ router.post('/generate-profile-summary',
         skills,
         experience,
         education
-      });
+      }, { user: req.user });
       
       if (!result.success) {
         return res.status(400).json(result);
@@ -256,4 +393,387 @@ router.post('/enhance-sections',
   }
 );
 
+/**
+ * @route   POST /api/ai/cover-letter
+ * @desc    Write and store a cover letter for a job from one of the user's resumes
+ * @access  Private
+ */
+router.post('/cover-letter',
+  [
+    auth,
+    apiLimiter,
+    aiQuota,
+    body('resumeId').isMongoId(),
+    body('jobDescription').isString().trim().notEmpty(),
+    body('jobTitle').optional().isString().trim(),
+    body('company').optional().isString().trim(),
+    body('hiringManager').optional().isString().trim()
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { resumeId, jobDescription, jobTitle, company, hiringManager } = req.body;
+      const resume = await Resume.findOne({ _id: resumeId, user: req.user });
+      if (!resume) {
+        return res.status(404).json({ error: 'Resume not found' });
+      }
+
+      const job = { jobDescription, jobTitle, company, hiringManager };
+      const result = await AIService.generateCoverLetter(resume.toObject(), job, { user: req.user });
+
+      const coverLetter = new CoverLetter({
+        ...result.coverLetter,
+        ...job,
+        user: req.user,
+        resume: resume._id,
+        title: [jobTitle, company].filter(Boolean).join(' at ') || 'Cover Letter',
+        generationMethod: result.generationMethod
+      });
+      await coverLetter.save();
+
+      res.status(201).json({
+        success: true,
+        coverLetter,
+        generationMethod: result.generationMethod
+      });
+    } catch (error) {
+      console.error('Error generating cover letter:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to generate cover letter'
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/ai/cache/stats
+ * @desc    AI response cache hits, misses and size for the current user
+ * @access  Private
+ */
+router.get('/cache/stats',
+  [
+    auth,
+    query('days').optional().isInt({ min: 1, max: 365 }).toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const stats = await AICacheService.stats(req.user, req.query.days || 30);
+      res.json({ success: true, stats });
+    } catch (error) {
+      console.error('Error loading AI cache stats:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to load cache statistics'
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/ai/cache
+ * @desc    Clear the current user's cached AI responses
+ * @access  Private
+ */
+router.delete('/cache', auth, async (req, res) => {
+  try {
+    const removed = await AICacheService.clear(req.user);
+    res.json({ success: true, removed });
+  } catch (error) {
+    console.error('Error clearing AI cache:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to clear cache'
+    });
+  }
+});
+
+// Public view of a job; the input and lock bookkeeping stay server-side
+function jobView(job) {
+  return {
+    id: job._id,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    result: job.status === 'completed' ? job.result : null,
+    error: job.status === 'failed' ? job.error : null,
+    attempts: job.attempts,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt
+  };
+}
+
+/**
+ * @route   POST /api/ai/jobs
+ * @desc    Queue a generate-resume, review-resume or ats-score request to run
+ *          in the background. `input` takes the same fields as the matching
+ *          synchronous route (ats-score takes resumeId, targetRole and jobDescription).
+ * @access  Private
+ */
+router.post('/jobs',
+  [
+    auth,
+    apiLimiter,
+    aiQuota,
+    body('type').isIn(AIJob.TYPES).withMessage(`type must be one of: ${AIJob.TYPES.join(', ')}`),
+    body('input').isObject().withMessage('input must be an object')
+  ],
+  async (req, res) => {
+    try {
+      let errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      await Promise.all(jobValidators[req.body.type]('input.').map(validator => validator.run(req)));
+      errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const job = await AIJobService.enqueue(req.user, req.body.type, req.body.input);
+      res.status(202)
+        .location(`${req.baseUrl}/jobs/${job._id}`)
+        .json({ success: true, job: jobView(job) });
+    } catch (error) {
+      console.error('Error queueing AI job:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to queue job'
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/ai/jobs/:id
+ * @desc    Status, progress and, once finished, the result of a background job
+ * @access  Private
+ */
+router.get('/jobs/:id',
+  [
+    auth,
+    param('id').isMongoId().withMessage('Invalid job id')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const job = await AIJobService.find(req.user, req.params.id);
+      if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+      }
+
+      res.json({ success: true, job: jobView(job) });
+    } catch (error) {
+      console.error('Error loading AI job:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to load job'
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/ai/suggestions
+ * @desc    Alternative rewrites of one resume line, each with a tone and a
+ *          rationale. `path` addresses the field (e.g. experience[0].description[1]);
+ *          `line` picks one line of a multi-line field such as a project description.
+ * @access  Private
+ */
+router.post('/suggestions',
+  [
+    auth,
+    apiLimiter,
+    aiQuota,
+    body('resumeId').isMongoId().withMessage('A valid resume id is required'),
+    body('path').isString().trim().notEmpty().withMessage('path is required'),
+    body('line').optional({ values: 'null' }).isInt({ min: 0 }).toInt(),
+    body('tones').optional().isArray({ min: 1 }),
+    body('tones.*').isIn(RewriteSuggestion.TONES).withMessage(`tones must be from: ${RewriteSuggestion.TONES.join(', ')}`),
+    body('jobDescription').optional().isString().trim()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { resumeId, path, tones, jobDescription } = req.body;
+      const line = req.body.line ?? null;
+      const resume = await Resume.findOne({ _id: resumeId, user: req.user });
+      if (!resume) {
+        return res.status(404).json({ success: false, error: 'Resume not found' });
+      }
+
+      const resumeData = resume.toObject();
+      const original = lineOf(getAtPath(resumeData, path), line);
+      if (!original) {
+        return res.status(400).json({ success: false, error: 'path does not point at a line of text' });
+      }
+
+      // Bullets of a current role are written in the present tense
+      const keys = parsePath(path);
+      const tense = keys[0] === 'experience' ? (resumeData.experience[keys[1]]?.current ? 'present' : 'past') : undefined;
+
+      const result = await AIService.suggestRewrites(original, {
+        tones,
+        tense,
+        section: keys[0],
+        targetRole: resume.roleApplyingFor,
+        jobDescription
+      }, { user: req.user });
+      if (result.alternatives.length === 0) {
+        return res.status(422).json({ success: false, error: 'No rewrites could be suggested for this line' });
+      }
+
+      const suggestion = await RewriteSuggestion.create({
+        user: req.user,
+        resume: resume._id,
+        path,
+        line,
+        original,
+        alternatives: result.alternatives,
+        method: result.method
+      });
+
+      res.status(201).json({ success: true, suggestion });
+    } catch (error) {
+      console.error('Error suggesting rewrites:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to suggest rewrites'
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/ai/suggestions/:id/accept
+ * @desc    Apply one alternative to the resume, saved as a new version
+ * @access  Private
+ */
+router.post('/suggestions/:id/accept',
+  [
+    auth,
+    param('id').isMongoId().withMessage('Invalid suggestion id'),
+    body('alternativeId').isMongoId().withMessage('A valid alternativeId is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const suggestion = await RewriteSuggestion.findOne({ _id: req.params.id, user: req.user });
+      if (!suggestion) {
+        return res.status(404).json({ success: false, error: 'Suggestion not found' });
+      }
+      if (suggestion.status !== 'pending') {
+        return res.status(409).json({ success: false, error: `Suggestion was already ${suggestion.status}` });
+      }
+
+      const alternative = suggestion.alternatives.id(req.body.alternativeId);
+      if (!alternative) {
+        return res.status(400).json({ success: false, error: 'alternativeId is not one of this suggestion\'s alternatives' });
+      }
+
+      const resume = await Resume.findOne({ _id: suggestion.resume, user: req.user });
+      if (!resume) {
+        return res.status(404).json({ success: false, error: 'Resume not found' });
+      }
+
+      // Refuse to overwrite a line that was edited after the suggestion was made
+      const value = getAtPath(resume.toObject(), suggestion.path);
+      if (lineOf(value, suggestion.line) !== suggestion.original) {
+        return res.status(409).json({ success: false, error: 'The line has changed since this suggestion was made' });
+      }
+
+      const updated = await ResumeVersionService.applyEdit(
+        resume,
+        suggestion.path,
+        replaceLine(value, suggestion.line, alternative.text),
+        { source: 'suggestion', suggestion: suggestion._id }
+      );
+      if (!updated) {
+        return res.status(409).json({ success: false, error: 'The line no longer exists' });
+      }
+
+      suggestion.status = 'accepted';
+      suggestion.accepted = alternative._id;
+      suggestion.appliedVersion = updated.version;
+      suggestion.resolvedAt = new Date();
+      await suggestion.save();
+
+      res.json({ success: true, suggestion, resume: updated });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      console.error('Error accepting suggestion:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to accept suggestion'
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/ai/suggestions/:id/reject
+ * @desc    Dismiss a suggestion without changing the resume
+ * @access  Private
+ */
+router.post('/suggestions/:id/reject',
+  [
+    auth,
+    param('id').isMongoId().withMessage('Invalid suggestion id')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const suggestion = await RewriteSuggestion.findOneAndUpdate(
+        { _id: req.params.id, user: req.user, status: 'pending' },
+        { $set: { status: 'rejected', resolvedAt: new Date() } },
+        { new: true }
+      );
+      if (!suggestion) {
+        const exists = await RewriteSuggestion.exists({ _id: req.params.id, user: req.user });
+        return exists
+          ? res.status(409).json({ success: false, error: 'Suggestion was already resolved' })
+          : res.status(404).json({ success: false, error: 'Suggestion not found' });
+      }
+
+      res.json({ success: true, suggestion });
+    } catch (error) {
+      console.error('Error rejecting suggestion:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to reject suggestion'
+      });
+    }
+  }
+);
+
 module.exports = router;
@@ -0,0 +1,249 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Application = require('../models/Application');
+const Resume = require('../models/Resume');
+const AIService = require('../services/AIService');
+const ResumeVersionService = require('../services/ResumeVersionService');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+const STATUSES = Application.STATUSES;
+
+// Fields a client may change after creating an application
+const EDITABLE_FIELDS = ['company', 'role', 'jobDescription', 'jobUrl', 'location', 'notes', 'appliedAt'];
+
+/**
+ * ATS result for the resume version being sent and this job description.
+ * The resume's stored score is reused when it was computed for exactly that;
+ * otherwise the sent snapshot is scored locally, so creating an application
+ * never waits on or spends an AI request.
+ */
+async function sentATS(resume, resumeVersion, { role, jobDescription }) {
+  const stored = resume.ats;
+  if (stored?.lastComputedAt &&
+    stored.version === resumeVersion &&
+    stored.jobDescriptionHash === Resume.jobDescriptionHash(jobDescription)) {
+    return {
+      score: stored.score,
+      keywordsMatched: stored.keywordsMatched,
+      keywordsMissing: stored.keywordsMissing,
+      computationMethod: stored.computationMethod,
+      computedAt: stored.lastComputedAt
+    };
+  }
+
+  const content = resumeVersion === resume.version
+    ? resume.toObject()
+    : (await ResumeVersionService.find(resume._id, resumeVersion)).snapshot;
+  const result = AIService.computeATSScoreLocally(content, { targetRole: role, jobDescription });
+  return {
+    score: result.score,
+    keywordsMatched: result.keywordsMatched,
+    keywordsMissing: result.keywordsMissing,
+    computationMethod: result.computationMethod,
+    computedAt: new Date()
+  };
+}
+
+// @route   GET /api/applications
+// @desc    List job applications, newest first (filter with ?status= and ?resume=)
+// @access  Private
+router.get('/', [
+  auth,
+  query('status').optional().isIn(STATUSES).withMessage(`Status must be one of: ${STATUSES.join(', ')}`),
+  query('resume').optional().isMongoId().withMessage('Invalid resume id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = { user: req.user };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.resume) filter.resume = req.query.resume;
+
+    const applications = await Application.find(filter)
+      .select('-jobDescription')
+      .populate('resume', 'title')
+      .sort({ appliedAt: -1 });
+
+    res.json(applications);
+  } catch (error) {
+    console.error('Get applications error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/applications/:id
+// @desc    Get a job application
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const application = await Application.findOne({ _id: req.params.id, user: req.user })
+      .populate('resume', 'title version');
+
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+
+    res.json(application);
+  } catch (error) {
+    console.error('Get application error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/applications/:id/resume
+// @desc    Get the resume content exactly as it was sent with the application
+// @access  Private
+router.get('/:id/resume', auth, async (req, res) => {
+  try {
+    const application = await Application.findOne({ _id: req.params.id, user: req.user });
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+
+    const version = await ResumeVersionService.find(application.resume, application.resumeVersion);
+    if (!version) {
+      return res.status(404).json({ message: 'That resume version is no longer stored' });
+    }
+
+    res.json({ resume: application.resume, version: version.version, snapshot: version.snapshot });
+  } catch (error) {
+    console.error('Get application resume error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/applications
+// @desc    Record a job application and the resume version sent with it
+// @access  Private
+router.post('/', [
+  auth,
+  body('resumeId').isMongoId().withMessage('A valid resumeId is required'),
+  body('resumeVersion').optional().isInt({ min: 1 }).toInt(),
+  body('company').trim().notEmpty().withMessage('Company is required'),
+  body('role').trim().notEmpty().withMessage('Role is required'),
+  body('jobDescription').optional().isString(),
+  body('jobUrl').optional().isString().trim(),
+  body('location').optional().isString().trim(),
+  body('notes').optional().isString(),
+  body('status').optional().isIn(STATUSES).withMessage(`Status must be one of: ${STATUSES.join(', ')}`),
+  body('appliedAt').optional().isISO8601().withMessage('appliedAt must be an ISO 8601 date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const resume = await Resume.findOne({ _id: req.body.resumeId, user: req.user });
+    if (!resume) {
+      return res.status(404).json({ message: 'Resume not found' });
+    }
+
+    // Keep a snapshot of the version being sent so later edits cannot change the record
+    await ResumeVersionService.ensureBaseline(resume);
+    const resumeVersion = req.body.resumeVersion || resume.version;
+    if (resumeVersion !== resume.version && !(await ResumeVersionService.find(resume._id, resumeVersion))) {
+      return res.status(400).json({ message: `Resume version ${resumeVersion} does not exist` });
+    }
+
+    const ats = await sentATS(resume, resumeVersion, req.body);
+    const status = req.body.status || 'applied';
+    const appliedAt = req.body.appliedAt ? new Date(req.body.appliedAt) : new Date();
+    const application = new Application({
+      user: req.user,
+      resume: resume._id,
+      resumeVersion,
+      company: req.body.company,
+      role: req.body.role,
+      jobDescription: req.body.jobDescription,
+      jobUrl: req.body.jobUrl,
+      location: req.body.location,
+      notes: req.body.notes,
+      status,
+      appliedAt,
+      statusHistory: [{ status, date: appliedAt }],
+      ats
+    });
+
+    await application.save();
+    res.status(201).json(application);
+  } catch (error) {
+    console.error('Create application error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/applications/:id
+// @desc    Update an application; a new status is added to its history
+// @access  Private
+router.put('/:id', [
+  auth,
+  body('company').optional().trim().notEmpty().withMessage('Company cannot be empty'),
+  body('role').optional().trim().notEmpty().withMessage('Role cannot be empty'),
+  body('jobDescription').optional().isString(),
+  body('jobUrl').optional().isString().trim(),
+  body('location').optional().isString().trim(),
+  body('notes').optional().isString(),
+  body('status').optional().isIn(STATUSES).withMessage(`Status must be one of: ${STATUSES.join(', ')}`),
+  body('statusDate').optional().isISO8601().withMessage('statusDate must be an ISO 8601 date'),
+  body('statusNote').optional().isString(),
+  body('appliedAt').optional().isISO8601().withMessage('appliedAt must be an ISO 8601 date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const application = await Application.findOne({ _id: req.params.id, user: req.user });
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        application[field] = field === 'appliedAt' ? new Date(req.body[field]) : req.body[field];
+      }
+    });
+
+    const { status, statusDate, statusNote } = req.body;
+    if (status && status !== application.status) {
+      application.status = status;
+      application.statusHistory.push({
+        status,
+        date: statusDate ? new Date(statusDate) : new Date(),
+        note: statusNote
+      });
+    }
+
+    await application.save();
+    res.json(application);
+  } catch (error) {
+    console.error('Update application error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/applications/:id
+// @desc    Delete an application
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const application = await Application.findOneAndDelete({ _id: req.params.id, user: req.user });
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+
+    res.json({ message: 'Application deleted successfully' });
+  } catch (error) {
+    console.error('Delete application error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
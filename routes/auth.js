@@ -1,25 +1,53 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
+const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const SessionService = require('../services/SessionService');
+const AccountTokenService = require('../services/AccountTokenService');
+const MailService = require('../services/MailService');
+const TwoFactorService = require('../services/TwoFactorService');
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (userId) => {
+// Limit mail-sending and token-guessing requests
+const accountLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 requests per windowMs
+  message: 'Too many requests from this IP, please try again after 15 minutes'
+});
+
+// Code guesses per account, wherever they come from. The account is the
+// signed-in user (runs after auth) or the one a login challenge was issued for.
+const secondFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each user to 10 attempts per windowMs
+  keyGenerator: req => String(req.user || TwoFactorService.verifyChallenge(req.body?.challengeToken) || req.ip),
+  message: 'Too many attempts, please try again after 15 minutes'
+});
+
+// Mail problems are logged rather than failing the request that triggered them
+async function sendVerificationEmail(user) {
   try {
-    if (!process.env.JWT_SECRET) {
-      throw new Error('JWT_SECRET is not defined in environment variables');
-    }
-    const token = jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
-    console.log('Generated token for user:', userId);
-    return token;
+    await MailService.sendEmailVerification(user, AccountTokenService.emailVerificationToken(user), AccountTokenService.verificationTTL);
   } catch (error) {
-    console.error('Error generating token:', error);
-    throw error;
+    console.error('Verification email error:', error);
   }
-};
+}
+
+// Public view of a signed-in device
+function sessionView(session, currentSessionId) {
+  return {
+    id: session._id,
+    deviceName: session.deviceName,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: String(session._id) === String(currentSessionId)
+  };
+}
 
 // @route   POST /api/auth/register
 // @desc    Register user
@@ -27,7 +55,8 @@ const generateToken = (userId) => {
 router.post('/register', [
   body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
   body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  body('deviceName').optional().isString().trim()
 ], async (req, res) => {
   console.log('Registration attempt:', { email: req.body.email });
   
@@ -59,16 +88,19 @@ router.post('/register', [
       await user.save();
       console.log('User saved successfully');
 
-      // Generate token
-      const token = generateToken(user._id);
+      await sendVerificationEmail(user);
+
+      // Sign in on this device
+      const tokens = await SessionService.start(user._id, req);
       console.log('Registration successful for:', email);
 
       res.status(201).json({
-        token,
+        ...tokens,
         user: {
           id: user._id,
           name: user.name,
-          email: user.email
+          email: user.email,
+          emailVerified: user.emailVerified
         }
       });
     } catch (dbError) {
@@ -99,7 +131,8 @@ router.post('/register', [
 // @access  Public
 router.post('/login', [
   body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
-  body('password').exists().withMessage('Password is required')
+  body('password').exists().withMessage('Password is required'),
+  body('deviceName').optional().isString().trim()
 ], async (req, res) => {
   try {
     console.log('Login attempt for:', req.body.email);
@@ -132,20 +165,31 @@ router.post('/login', [
         return res.status(400).json({ message: 'Invalid credentials' });
       }
 
+      // Accounts with two-factor sign-in finish at /login/2fa
+      if (user.twoFactor?.enabled) {
+        console.log('Two-factor challenge issued for:', email);
+        return res.json({
+          twoFactorRequired: true,
+          challengeToken: TwoFactorService.challengeToken(user),
+          expiresIn: TwoFactorService.challengeTTL
+        });
+      }
+
       // Update last login
       user.lastLogin = new Date();
       await user.save();
 
-      // Generate token
-      const token = generateToken(user._id);
+      // Sign in on this device
+      const tokens = await SessionService.start(user._id, req);
       console.log('Login successful for:', email);
 
       res.json({
-        token,
+        ...tokens,
         user: {
           id: user._id,
           name: user.name,
-          email: user.email
+          email: user.email,
+          emailVerified: user.emailVerified
         }
       });
     } catch (error) {
@@ -158,6 +202,195 @@ router.post('/login', [
   }
 });
 
+// A TOTP `code` or a `recoveryCode`, for the routes that ask for a second factor
+const secondFactorValidators = [
+  body('code').optional().isString().trim(),
+  body('recoveryCode').optional().isString().trim(),
+  body().custom(value => Boolean(value.code || value.recoveryCode)).withMessage('A code or recovery code is required')
+];
+
+// @route   POST /api/auth/login/2fa
+// @desc    Finish a login with the challenge token and a TOTP or recovery code
+// @access  Public
+router.post('/login/2fa', accountLimiter, secondFactorLimiter, [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+  ...secondFactorValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = TwoFactorService.verifyChallenge(req.body.challengeToken);
+    const user = userId && await User.findById(userId);
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(401).json({ message: 'Login has expired, please log in again' });
+    }
+
+    const method = await TwoFactorService.verifyUser(user, req.body);
+    if (!method) {
+      return res.status(400).json({ message: 'Invalid code' });
+    }
+
+    // Re-read so the count reflects a recovery code this request spent
+    const updated = await User.findByIdAndUpdate(user._id, { $set: { lastLogin: new Date() } }, { new: true });
+
+    const tokens = await SessionService.start(user._id, req);
+    console.log('Two-factor login successful for:', user.email);
+
+    res.json({
+      ...tokens,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        emailVerified: user.emailVerified
+      },
+      recoveryCodesRemaining: updated.twoFactor.recoveryCodes.length
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrolling in two-factor sign-in; returns the secret and an
+//          otpauth:// URI to show as a QR code
+// @access  Private
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor sign-in is already enabled' });
+    }
+
+    const secret = TwoFactorService.generateSecret();
+    user.set('twoFactor.pendingSecret', TwoFactorService.encrypt(secret));
+    await user.save();
+
+    res.json({ secret, otpauthUrl: TwoFactorService.provisioningUri(user.email, secret) });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code from the authenticator app; returns recovery codes
+// @access  Private
+router.post('/2fa/enable', auth, [
+  body('code').isString().trim().notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor sign-in is already enabled' });
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = TwoFactorService.verifyCode(TwoFactorService.decrypt(user.twoFactor.pendingSecret), req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid code' });
+    }
+
+    const { codes, hashes } = TwoFactorService.generateRecoveryCodes();
+    user.twoFactor = {
+      enabled: true,
+      secret: user.twoFactor.pendingSecret,
+      recoveryCodes: hashes,
+      lastUsedStep: step,
+      enabledAt: new Date()
+    };
+    await user.save();
+
+    // Other devices signed in with the password alone; make them sign in again
+    await SessionService.revokeAll(user._id, req.sessionId);
+
+    res.json({ message: 'Two-factor sign-in enabled', recoveryCodes: codes });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes; needs a current code
+// @access  Private
+router.post('/2fa/recovery-codes', auth, secondFactorLimiter, secondFactorValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user);
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor sign-in is not enabled' });
+    }
+    if (!(await TwoFactorService.verifyUser(user, req.body))) {
+      return res.status(400).json({ message: 'Invalid code' });
+    }
+
+    const { codes, hashes } = TwoFactorService.generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    res.json({ recoveryCodes: codes });
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor sign-in; needs the password (if set) and a current code
+// @access  Private
+router.post('/2fa/disable', auth, secondFactorLimiter, [
+  body('password').optional().isString(),
+  ...secondFactorValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user);
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor sign-in is not enabled' });
+    }
+    if (user.password && !(await user.comparePassword(req.body.password || ''))) {
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
+    if (!(await TwoFactorService.verifyUser(user, req.body))) {
+      return res.status(400).json({ message: 'Invalid code' });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.json({ message: 'Two-factor sign-in disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
@@ -207,4 +440,216 @@ router.put('/profile', auth, [
   }
 });
 
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with the token from the verification email
+// @access  Public
+router.post('/verify-email', accountLimiter, [
+  body('token').isString().notEmpty().withMessage('Token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await AccountTokenService.userForEmailVerification(req.body.token);
+    if (!user) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    res.json({ message: 'Email verified', emailVerified: true });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/verify-email/resend
+// @desc    Send the verification email again
+// @access  Private
+router.post('/verify-email/resend', auth, accountLimiter, async (req, res) => {
+  try {
+    const user = await User.findById(req.user);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await MailService.sendEmailVerification(user, AccountTokenService.emailVerificationToken(user), AccountTokenService.verificationTTL);
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', accountLimiter, [
+  body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // The response is the same whether or not the account exists
+    const user = await User.findOne({ email: req.body.email });
+    if (user) {
+      try {
+        await MailService.sendPasswordReset(user, AccountTokenService.passwordResetToken(user), AccountTokenService.resetTTL);
+      } catch (error) {
+        console.error('Password reset email error:', error);
+      }
+    }
+
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with the token from the reset email
+// @access  Public
+router.post('/reset-password', accountLimiter, [
+  body('token').isString().notEmpty().withMessage('Token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await AccountTokenService.userForPasswordReset(req.body.token);
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = req.body.password;
+    // The link arrived by email, so the address is confirmed too
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Whoever knew the old password is signed out everywhere
+    await SessionService.revokeAll(user._id);
+
+    res.json({ message: 'Password has been reset, please log in' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const tokens = await SessionService.refresh(req.body.refreshToken, req);
+    if (!tokens) {
+      return res.status(401).json({ message: 'Refresh token is not valid' });
+    }
+
+    res.json(tokens);
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Sign out the device a refresh token belongs to
+// @access  Public
+router.post('/logout', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Signing out twice is not an error
+    await SessionService.logout(req.body.refreshToken);
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the devices the current user is signed in on
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await SessionService.list(req.user);
+    res.json(sessions.map(session => sessionView(session, req.sessionId)));
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out every device, or every other device with ?keepCurrent=true
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === 'true';
+    const revoked = await SessionService.revokeAll(req.user, keepCurrent ? req.sessionId : null);
+    res.json({ revoked });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one device
+// @access  Private
+router.delete('/sessions/:id', auth, [
+  param('id').isMongoId().withMessage('Invalid session id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const revoked = await SessionService.revoke(req.user, req.params.id);
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const express = require('express');
+
+/**
+ * Local stand-in for the OAuth providers, for development and tests. It
+ * signs in whoever `login_hint` names without asking, and answers both the
+ * OpenID Connect userinfo endpoint and GitHub's user API. Mounted at
+ * /mock-idp when OAUTH_MOCK_IDP=true; never enable it in production.
+ *
+ * Point a provider at it with, for example:
+ *   GOOGLE_OAUTH_AUTHORIZE_URL=http://localhost:5000/mock-idp/authorize
+ *   GOOGLE_OAUTH_TOKEN_URL=http://localhost:5000/mock-idp/token
+ *   GOOGLE_OAUTH_USERINFO_URL=http://localhost:5000/mock-idp/userinfo
+ *   GITHUB_API_URL=http://localhost:5000/mock-idp
+ */
+
+const router = express.Router();
+
+const codes = new Map();
+const accessTokens = new Map();
+
+// The same email always maps to the same identity
+function identityFor(email) {
+  const address = String(email || 'jane.doe@example.com').toLowerCase();
+  const local = address.split('@')[0];
+  return {
+    id: crypto.createHash('sha256').update(address).digest('hex').slice(0, 12),
+    email: address,
+    name: local.split(/[._-]+/).map(part => part.charAt(0).toUpperCase() + part.slice(1)).join(' '),
+    login: local.replace(/[^a-z0-9-]/g, '-'),
+    // Addresses at unverified.example are reported as unverified
+    verified: !address.endsWith('@unverified.example')
+  };
+}
+
+router.get('/authorize', (req, res) => {
+  const { redirect_uri: redirectUri, state, code_challenge: codeChallenge, login_hint: loginHint } = req.query;
+  if (!redirectUri) {
+    return res.status(400).json({ error: 'invalid_request', error_description: 'redirect_uri is required' });
+  }
+
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, { identity: identityFor(loginHint), redirectUri, codeChallenge });
+
+  const url = new URL(redirectUri);
+  url.searchParams.set('code', code);
+  if (state) url.searchParams.set('state', state);
+  res.redirect(url.toString());
+});
+
+router.post('/token', express.urlencoded({ extended: false }), (req, res) => {
+  const { code, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body;
+  const grant = codes.get(code);
+  codes.delete(code);
+
+  if (!grant || grant.redirectUri !== redirectUri) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+  if (grant.codeChallenge &&
+    crypto.createHash('sha256').update(String(codeVerifier || '')).digest('base64url') !== grant.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const accessToken = crypto.randomBytes(16).toString('hex');
+  accessTokens.set(accessToken, grant.identity);
+  res.json({ access_token: accessToken, token_type: 'bearer', expires_in: 3600 });
+});
+
+// Identity behind the request's bearer token
+function identity(req, res, next) {
+  const token = (req.header('authorization') || '').replace(/^Bearer\s+/i, '');
+  req.identity = accessTokens.get(token);
+  if (!req.identity) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+  next();
+}
+
+router.get('/userinfo', identity, (req, res) => {
+  const { id, email, name, verified } = req.identity;
+  res.json({ sub: id, email, email_verified: verified, name, picture: '' });
+});
+
+router.get('/user', identity, (req, res) => {
+  const { id, email, name, login } = req.identity;
+  res.json({ id: parseInt(id, 16), login, name, email, avatar_url: '', html_url: `https://github.com/${login}` });
+});
+
+router.get('/user/emails', identity, (req, res) => {
+  res.json([{ email: req.identity.email, primary: true, verified: req.identity.verified }]);
+});
+
+module.exports = router;
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const OAuthService = require('../services/OAuthService');
+const SessionService = require('../services/SessionService');
+const TwoFactorService = require('../services/TwoFactorService');
+
+const router = express.Router();
+
+const providerParam = param('provider').isIn(OAuthService.names).withMessage('Unknown provider');
+
+// HttpOnly cookie tying a flow to the browser that started it. Lax lets it
+// ride along on the provider's top-level redirect back to the callback.
+const BINDING_COOKIE = 'oauth_binding';
+const BINDING_MAX_AGE_MS = 10 * 60 * 1000;
+
+function readCookie(req, name) {
+  const pair = String(req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim().split('='))
+    .find(([key]) => key === name);
+  return pair ? pair.slice(1).join('=') : null;
+}
+
+// The browser's nonce, set (or kept, so flows in two tabs both work) on the response
+function bindBrowser(req, res) {
+  const nonce = readCookie(req, BINDING_COOKIE) || crypto.randomBytes(24).toString('base64url');
+  res.cookie(BINDING_COOKIE, nonce, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure || process.env.NODE_ENV === 'production',
+    path: '/api/auth/oauth',
+    maxAge: BINDING_MAX_AGE_MS
+  });
+  return nonce;
+}
+
+// Browsers are sent back to the client with the result in the URL fragment;
+// API clients that ask for JSON get it in the response body
+function respond(req, res, status, payload) {
+  if (req.accepts(['html', 'json']) === 'json') {
+    return res.status(status).json(payload);
+  }
+
+  const base = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  const fragment = new URLSearchParams(
+    Object.entries(payload)
+      .filter(([, value]) => value !== undefined && typeof value !== 'object')
+      .map(([key, value]) => [key, String(value)])
+  );
+  res.redirect(`${base}/oauth/callback#${fragment}`);
+}
+
+// @route   GET /api/auth/oauth/providers
+// @desc    Providers available for sign-in
+// @access  Public
+router.get('/providers', (req, res) => {
+  res.json({ providers: OAuthService.configured() });
+});
+
+// @route   GET /api/auth/oauth/:provider
+// @desc    Start signing in with a provider; redirects to it
+// @access  Public
+router.get('/:provider', [
+  providerParam,
+  query('loginHint').optional().isEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const url = await OAuthService.start(req.params.provider, {
+      loginHint: req.query.loginHint,
+      browserNonce: bindBrowser(req, res)
+    });
+    res.redirect(url);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('OAuth start error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/oauth/:provider/link
+// @desc    Start linking a provider to the current account; returns the URL to open.
+//          Send it with credentials so the browser keeps the binding cookie.
+// @access  Private
+router.post('/:provider/link', auth, [
+  providerParam,
+  body('loginHint').optional().isEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const url = await OAuthService.start(req.params.provider, {
+      userId: req.user,
+      loginHint: req.body.loginHint,
+      browserNonce: bindBrowser(req, res)
+    });
+    res.json({ url });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('OAuth link error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/auth/oauth/:provider/callback
+// @desc    Where the provider sends the user back; signs in or finishes linking
+// @access  Public
+router.get('/:provider/callback', providerParam, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { code, state, error: providerError } = req.query;
+    if (providerError || !code) {
+      return respond(req, res, 400, { error: providerError === 'access_denied' ? 'Sign-in was cancelled' : 'Sign-in failed' });
+    }
+
+    const { user, linked } = await OAuthService.complete(req.params.provider, {
+      code,
+      state,
+      browserNonce: readCookie(req, BINDING_COOKIE)
+    });
+    if (linked) {
+      return respond(req, res, 200, { linked: req.params.provider });
+    }
+
+    // Accounts with two-factor sign-in finish at /api/auth/login/2fa, as after /login
+    if (user.twoFactor?.enabled) {
+      return respond(req, res, 200, {
+        twoFactorRequired: true,
+        challengeToken: TwoFactorService.challengeToken(user),
+        expiresIn: TwoFactorService.challengeTTL
+      });
+    }
+
+    // Sign in on this device, as /login does
+    const tokens = await SessionService.start(user._id, req);
+    respond(req, res, 200, {
+      ...tokens,
+      provider: req.params.provider,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        emailVerified: user.emailVerified
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return respond(req, res, error.status, { error: error.message });
+    }
+    console.error('OAuth callback error:', error);
+    respond(req, res, 500, { error: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/auth/oauth/:provider
+// @desc    Unlink a provider from the current account
+// @access  Private
+router.delete('/:provider', auth, providerParam, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await OAuthService.unlink(req.user, req.params.provider);
+    res.json({ oauthAccounts: user.oauthAccounts });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('OAuth unlink error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,17 +1,98 @@
 const express = require('express');
+const multer = require('multer');
 const Resume = require('../models/Resume');
+const CoverLetter = require('../models/CoverLetter');
+const ProfileImport = require('../models/ProfileImport');
 const AIService = require('../services/AIService');
+const PDFService = require('../services/PDFService');
+const DocxService = require('../services/DocxService');
+const JSONResumeService = require('../services/JSONResumeService');
+const ResumeImportService = require('../services/ResumeImportService');
+const ResumeVersionService = require('../services/ResumeVersionService');
+const ResumeVariantService = require('../services/ResumeVariantService');
+const BulletLinter = require('../services/BulletLinter');
+const ProfileImportService = require('../services/ProfileImportService');
+const { exportFileName, letterText } = require('../services/ResumeFormatter');
 const auth = require('../middleware/auth');
 
 const router = express.Router();
 
+// Uploaded resumes are parsed in memory and never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (!ResumeImportService.detectType(file)) {
+      return cb(new Error('Only PDF, DOCX or TXT files are supported'));
+    }
+    cb(null, true);
+  }
+});
+
+// LinkedIn data exports: the ZIP archive or the CSV files inside it
+const profileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024, files: 10 },
+  fileFilter: (req, file, cb) => {
+    if (!/\.(zip|csv)$/i.test(file.originalname)) {
+      return cb(new Error('Only ZIP or CSV files from a LinkedIn data export are supported'));
+    }
+    cb(null, true);
+  }
+});
+
+const PDF_TYPE = 'application/pdf';
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+const sendExport = (res, buffer, filename, contentType) => {
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Content-Length': buffer.length
+  });
+  res.send(buffer);
+};
+
+// Concurrency token for a resume; changes whenever its version does
+const resumeETag = (resume) => `"${resume._id}-v${resume.version || 1}"`;
+
+/**
+ * Version the client last saw, from an If-Match header (preferred) or a
+ * `version` field in the body. Returns null when the client sent neither,
+ * and NaN when If-Match holds a tag this server did not issue.
+ */
+const expectedVersion = (req, resumeId) => {
+  const ifMatch = req.get('If-Match');
+  if (ifMatch && ifMatch.trim() !== '*') {
+    const tags = ifMatch.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+    const ours = tags
+      .map(tag => tag.match(/^"([0-9a-f]{24})-v(\d+)"$/i))
+      .find(match => match && match[1] === String(resumeId));
+    return ours ? parseInt(ours[2], 10) : NaN;
+  }
+  if (req.body && req.body.version !== undefined && req.body.version !== null) {
+    return Number(req.body.version);
+  }
+  return null;
+};
+
+const sendVersionConflict = (res, resume) => {
+  res.set('ETag', resumeETag(resume));
+  return res.status(409).json({
+    message: 'Resume was changed in another session. Review the current copy before saving again.',
+    error: 'VERSION_CONFLICT',
+    currentVersion: resume.version,
+    resume
+  });
+};
+
 // @route   GET /api/resume
 // @desc    Get all resumes for current user
 // @access  Private
 router.get('/', auth, async (req, res) => {
   try {
     const resumes = await Resume.find({ user: req.user })
-      .select('title template aiGenerated version isPublic publicLink lastModified createdAt ats')
+      .select('title template aiGenerated version isPublic publicLink lastModified createdAt ats baseResume tailoredFor.jobTitle tailoredFor.company')
       .sort({ lastModified: -1 });
 
     res.json(resumes);
@@ -35,6 +116,7 @@ router.get('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Resume not found' });
     }
 
+    res.set('ETag', resumeETag(resume));
     res.json(resume);
   } catch (error) {
     console.error('Get resume error:', error);
@@ -63,6 +145,28 @@ router.get('/public/:link', async (req, res) => {
   }
 });
 
+// @route   GET /api/resume/public/:link/export.pdf
+// @desc    Download a public resume as PDF
+// @access  Public
+router.get('/public/:link/export.pdf', async (req, res) => {
+  try {
+    const resume = await Resume.findOne({
+      publicLink: req.params.link,
+      isPublic: true
+    });
+
+    if (!resume) {
+      return res.status(404).json({ message: 'Resume not found' });
+    }
+
+    const pdf = await PDFService.renderResume(resume);
+    sendExport(res, pdf, exportFileName(resume, 'pdf'), PDF_TYPE);
+  } catch (error) {
+    console.error('Export public resume PDF error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /api/resume
 // @desc    Create new resume
 // @access  Private
@@ -108,6 +212,96 @@ router.post('/', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/resume/import
+// @desc    Create a resume from a JSON Resume (jsonresume.org) document
+// @access  Private
+router.post('/import', auth, async (req, res) => {
+  try {
+    const document = req.body || {};
+    const hasContent = typeof document === 'object' && !Array.isArray(document) &&
+      ['basics', 'work', 'education', 'projects', 'skills', 'awards', 'certificates', 'languages']
+        .some(key => document[key] !== undefined);
+
+    if (!hasContent) {
+      return res.status(400).json({ message: 'Request body must be a JSON Resume document' });
+    }
+
+    const invalid = JSONResumeService.invalidPath(document);
+    if (invalid) {
+      return res.status(400).json({ message: `${invalid} does not have the type JSON Resume expects` });
+    }
+
+    const { resume: mapped, unmapped } = JSONResumeService.fromJSONResume(document);
+
+    const resume = new Resume({
+      ...mapped,
+      user: req.user,
+      title: mapped.title || 'Imported Resume'
+    });
+    await resume.save();
+
+    res.status(201).json({ resume, unmapped });
+  } catch (error) {
+    console.error('Import resume error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Validation error', error: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/resume/import/file
+// @desc    Create a resume from an uploaded PDF, DOCX or TXT file (?preview=true to parse only)
+// @access  Private
+router.post('/import/file', auth, (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_SIZE' ? 'File must be 5MB or smaller' : err.message;
+      return res.status(400).json({ message });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    let text;
+    try {
+      text = await ResumeImportService.extractText(req.file);
+    } catch (extractError) {
+      console.error('Resume text extraction error:', extractError.message);
+      return res.status(422).json({ message: 'Could not read text from the uploaded file' });
+    }
+
+    if (!text.trim()) {
+      return res.status(422).json({ message: 'The uploaded file contains no readable text' });
+    }
+
+    const { parsedResume, parseMethod } = await AIService.parseResumeText(text, { user: req.user });
+
+    if (req.query.preview === 'true') {
+      return res.json({ resume: parsedResume, parseMethod });
+    }
+
+    const name = [parsedResume.personalInfo.firstName, parsedResume.personalInfo.lastName]
+      .filter(Boolean)
+      .join(' ');
+    const resume = new Resume({
+      ...parsedResume,
+      user: req.user,
+      title: req.body.title || (name ? `${name} (Imported)` : 'Imported Resume')
+    });
+    await resume.save();
+
+    res.status(201).json({ resume, parseMethod });
+  } catch (error) {
+    console.error('Import resume file error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   PUT /api/resume/:id
 // @desc    Update resume
 // @access  Private
@@ -133,11 +327,16 @@ router.put('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Resume not found' });
     }
     
+    const expected = expectedVersion(req, existingResume._id);
+    if (expected !== null && expected !== existingResume.version) {
+      return sendVersionConflict(res, existingResume);
+    }
+    
     // Create update object, preserving existing fields for any undefined values
     const updateData = {};
     Object.keys(req.body).forEach(key => {
-      // Only update the field if it's not undefined
-      if (req.body[key] !== undefined) {
+      // Only update the field if it's not undefined; the version is managed by the server
+      if (req.body[key] !== undefined && key !== 'version') {
         updateData[key] = req.body[key];
       }
     });
@@ -145,19 +344,32 @@ router.put('/:id', auth, async (req, res) => {
     // Always update the lastModified timestamp
     updateData.lastModified = new Date();
     
+    // Snapshot the current state so this update can be undone
+    await ResumeVersionService.ensureBaseline(existingResume);
+    const previous = ResumeVersionService.snapshotOf(existingResume);
+    
+    // Matching on the version read above makes a concurrent save fail instead of being overwritten
     const resume = await Resume.findOneAndUpdate(
       {
         _id: req.params.id,
-        user: req.user
+        user: req.user,
+        version: existingResume.version
       },
-      updateData,
+      { ...updateData, $inc: { version: 1 } },
       { new: true, runValidators: true }
     );
 
     if (!resume) {
-      return res.status(404).json({ message: 'Resume not found' });
+      const current = await Resume.findOne({ _id: req.params.id, user: req.user });
+      if (!current) {
+        return res.status(404).json({ message: 'Resume not found' });
+      }
+      return sendVersionConflict(res, current);
     }
     
+    await ResumeVersionService.record(resume, previous);
+    await ResumeVersionService.propagateToVariants(resume, previous);
+    
     // Debug: Log updated data
     console.log('PUT /api/resume/:id - Updated resume:', {
       projects: resume.projects,
@@ -166,6 +378,7 @@ router.put('/:id', auth, async (req, res) => {
       achievementsLength: resume.achievements?.length || 0
     });
 
+    res.set('ETag', resumeETag(resume));
     res.json(resume);
   } catch (error) {
     console.error('Update resume error:', error);
@@ -187,6 +400,10 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Resume not found' });
     }
 
+    await ResumeVersionService.removeAll(resume._id);
+    await CoverLetter.deleteMany({ resume: resume._id, user: req.user });
+    // Variants of a deleted base keep their content and become standalone
+    await Resume.updateMany({ baseResume: resume._id }, { baseResume: null });
     res.json({ message: 'Resume deleted successfully' });
   } catch (error) {
     console.error('Delete resume error:', error);
@@ -200,12 +417,26 @@ router.delete('/:id', auth, async (req, res) => {
 router.put('/:id/public', auth, async (req, res) => {
   try {
     const { isPublic } = req.body;
+    const filter = {
+      _id: req.params.id,
+      user: req.user
+    };
     
+    const expected = expectedVersion(req, req.params.id);
+    if (expected !== null) {
+      if (!Number.isInteger(expected)) {
+        const current = await Resume.findOne(filter);
+        if (!current) {
+          return res.status(404).json({ message: 'Resume not found' });
+        }
+        return sendVersionConflict(res, current);
+      }
+      filter.version = expected;
+    }
+    
+    // Sharing is not part of the resume content, so the version stays the same
     const resume = await Resume.findOneAndUpdate(
-      {
-        _id: req.params.id,
-        user: req.user
-      },
+      filter,
       {
         isPublic,
         publicLink: isPublic ? `resume-${req.params.id.slice(-8)}` : null,
@@ -215,9 +446,15 @@ router.put('/:id/public', auth, async (req, res) => {
     );
 
     if (!resume) {
-      return res.status(404).json({ message: 'Resume not found' });
+      // Without an expected version the only way to miss is a missing resume
+      const current = expected !== null && await Resume.findOne({ _id: req.params.id, user: req.user });
+      if (!current) {
+        return res.status(404).json({ message: 'Resume not found' });
+      }
+      return sendVersionConflict(res, current);
     }
 
+    res.set('ETag', resumeETag(resume));
     res.json(resume);
   } catch (error) {
     console.error('Toggle public status error:', error);
@@ -258,6 +495,571 @@ router.post('/:id/duplicate', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/resume/:id/tailor
+// @desc    Duplicate a resume as a variant tailored to a job posting
+// @access  Private
+router.post('/:id/tailor', auth, async (req, res) => {
+  try {
+    const { jobDescription, jobTitle, company } = req.body || {};
+    if (typeof jobDescription !== 'string' || !jobDescription.trim()) {
+      return res.status(400).json({ message: 'jobDescription is required' });
+    }
+
+    const baseResume = await Resume.findOne({
+      _id: req.params.id,
+      user: req.user
+    });
+
+    if (!baseResume) {
+      return res.status(404).json({ message: 'Resume not found' });
+    }
+
+    const variant = ResumeVariantService.createVariant(baseResume, {
+      jobDescription: jobDescription.trim(),
+      jobTitle: typeof jobTitle === 'string' ? jobTitle.trim() : undefined,
+      company: typeof company === 'string' ? company.trim() : undefined
+    });
+
+    const tailoring = await AIService.tailorResumeForJob(variant.toObject(), {
+      jobDescription: jobDescription.trim(),
+      targetRole: variant.roleApplyingFor
+    }, { user: req.user });
+    ResumeVariantService.applyTailoring(variant, tailoring);
+
+    await variant.save();
+    await ResumeVersionService.ensureBaseline(variant);
+    res.status(201).json(variant);
+  } catch (error) {
+    console.error('Tailor resume error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/resume/:id/variants
+// @desc    List job-tailored variants of a resume
+// @access  Private
+router.get('/:id/variants', auth, async (req, res) => {
+  try {
+    const resume = await Resume.findOne({ _id: req.params.id, user: req.user });
+    if (!resume) {
+      return res.status(404).json({ message: 'Resume not found' });
+    }
+
+    const variants = await ResumeVariantService.variantsOf(resume)
+      .select('title tailoredFor.jobTitle tailoredFor.company tailoredFor.tailoringMethod tailoredFor.tailoredAt version lastModified')
+      .sort({ lastModified: -1 });
+    res.json({ variants });
+  } catch (error) {
+    console.error('List resume variants error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cover letter fields a client may edit
+const COVER_LETTER_FIELDS = ['title', 'company', 'jobTitle', 'hiringManager', 'greeting', 'hook', 'evidence', 'closing', 'signOff', 'signature'];
+
+// @route   GET /api/resume/:id/cover-letters
+// @desc    List cover letters written from a resume
+// @access  Private
+router.get('/:id/cover-letters', auth, async (req, res) => {
+  try {
+    const coverLetters = await CoverLetter.find({ resume: req.params.id, user: req.user })
+      .select('title company jobTitle generationMethod createdAt updatedAt')
+      .sort({ updatedAt: -1 });
+
+    res.json(coverLetters);
+  } catch (error) {
+    console.error('Get cover letters error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/resume/:id/cover-letters/:letterId
+// @desc    Get a cover letter
+// @access  Private
+router.get('/:id/cover-letters/:letterId', auth, async (req, res) => {
+  try {
+    const coverLetter = await CoverLetter.findOne({
+      _id: req.params.letterId,
+      resume: req.params.id,
+      user: req.user
+    });
+
+    if (!coverLetter) {
+      return res.status(404).json({ message: 'Cover letter not found' });
+    }
+
+    res.json(coverLetter);
+  } catch (error) {
+    console.error('Get cover letter error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/resume/:id/cover-letters/:letterId
+// @desc    Edit a cover letter
+// @access  Private
+router.put('/:id/cover-letters/:letterId', auth, async (req, res) => {
+  try {
+    const coverLetter = await CoverLetter.findOne({
+      _id: req.params.letterId,
+      resume: req.params.id,
+      user: req.user
+    });
+
+    if (!coverLetter) {
+      return res.status(404).json({ message: 'Cover letter not found' });
+    }
+
+    if (req.body.evidence !== undefined && !(Array.isArray(req.body.evidence) && req.body.evidence.every(p => typeof p === 'string'))) {
+      return res.status(400).json({ message: 'evidence must be an array of paragraphs' });
+    }
+
+    COVER_LETTER_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        coverLetter[field] = req.body[field];
+      }
+    });
+    if (coverLetter.isModified()) {
+      coverLetter.generationMethod = 'manual';
+    }
+
+    await coverLetter.save();
+    res.json(coverLetter);
+  } catch (error) {
+    console.error('Update cover letter error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/resume/:id/cover-letters/:letterId
+// @desc    Delete a cover letter
+// @access  Private
+router.delete('/:id/cover-letters/:letterId', auth, async (req, res) => {
+  try {
+    const coverLetter = await CoverLetter.findOneAndDelete({
+      _id: req.params.letterId,
+      resume: req.params.id,
+      user: req.user
+    });
+
+    if (!coverLetter) {
+      return res.status(404).json({ message: 'Cover letter not found' });
+    }
+
+    res.json({ message: 'Cover letter deleted successfully' });
+  } catch (error) {
+    console.error('Delete cover letter error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/resume/:id/cover-letters/:letterId/export?format=pdf|docx|txt
+// @desc    Download a cover letter styled like its resume
+// @access  Private
+router.get('/:id/cover-letters/:letterId/export', auth, async (req, res) => {
+  try {
+    const format = String(req.query.format || 'pdf').toLowerCase();
+    if (!['pdf', 'docx', 'txt'].includes(format)) {
+      return res.status(400).json({ message: 'Unsupported format. Use pdf, docx or txt' });
+    }
+
+    const resume = await Resume.findOne({ _id: req.params.id, user: req.user });
+    const coverLetter = resume && await CoverLetter.findOne({
+      _id: req.params.letterId,
+      resume: resume._id,
+      user: req.user
+    });
+
+    if (!coverLetter) {
+      return res.status(404).json({ message: 'Cover letter not found' });
+    }
+
+    const filename = exportFileName({ title: `${coverLetter.title} cover letter` }, format);
+    if (format === 'pdf') {
+      return sendExport(res, await PDFService.renderCoverLetter(coverLetter, resume), filename, PDF_TYPE);
+    }
+    if (format === 'docx') {
+      return sendExport(res, await DocxService.renderCoverLetter(coverLetter, resume), filename, DOCX_TYPE);
+    }
+    sendExport(res, Buffer.from(letterText(coverLetter), 'utf8'), filename, 'text/plain; charset=utf-8');
+  } catch (error) {
+    console.error('Export cover letter error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/resume/:id/versions
+// @desc    List saved versions of a resume, newest first
+// @access  Private
+router.get('/:id/versions', auth, async (req, res) => {
+  try {
+    const resume = await Resume.findOne({ _id: req.params.id, user: req.user });
+    if (!resume) {
+      return res.status(404).json({ message: 'Resume not found' });
+    }
+
+    const versions = await ResumeVersionService.list(resume._id);
+    res.json({ currentVersion: resume.version, versions });
+  } catch (error) {
+    console.error('List resume versions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/resume/:id/versions/:v
+// @desc    Get the full content of a saved version
+// @access  Private
+router.get('/:id/versions/:v', auth, async (req, res) => {
+  try {
+    const resume = await Resume.findOne({ _id: req.params.id, user: req.user });
+    if (!resume) {
+      return res.status(404).json({ message: 'Resume not found' });
+    }
+
+    const version = await ResumeVersionService.find(resume._id, parseInt(req.params.v, 10));
+    if (!version) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+
+    res.json(version);
+  } catch (error) {
+    console.error('Get resume version error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/resume/:id/versions/:v/diff
+// @desc    Field-level diff from version :v to the current resume (or ?to=<version>)
+// @access  Private
+router.get('/:id/versions/:v/diff', auth, async (req, res) => {
+  try {
+    const resume = await Resume.findOne({ _id: req.params.id, user: req.user });
+    if (!resume) {
+      return res.status(404).json({ message: 'Resume not found' });
+    }
+
+    const from = await ResumeVersionService.find(resume._id, parseInt(req.params.v, 10));
+    if (!from) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+
+    let to = { version: resume.version, snapshot: ResumeVersionService.snapshotOf(resume) };
+    if (req.query.to !== undefined) {
+      to = await ResumeVersionService.find(resume._id, parseInt(req.query.to, 10));
+      if (!to) {
+        return res.status(404).json({ message: 'Version not found' });
+      }
+    }
+
+    const changes = ResumeVersionService.diff(from.snapshot, to.snapshot);
+    res.json({
+      from: from.version,
+      to: to.version,
+      changedFields: ResumeVersionService.changedFields(changes),
+      changes
+    });
+  } catch (error) {
+    console.error('Diff resume version error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/resume/:id/versions/:v/restore
+// @desc    Restore a saved version; the restore itself becomes a new version
+// @access  Private
+router.post('/:id/versions/:v/restore', auth, async (req, res) => {
+  try {
+    const resume = await Resume.findOne({ _id: req.params.id, user: req.user });
+    if (!resume) {
+      return res.status(404).json({ message: 'Resume not found' });
+    }
+
+    const restored = await ResumeVersionService.restore(resume, parseInt(req.params.v, 10));
+    if (!restored) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+
+    res.set('ETag', resumeETag(restored));
+    res.json(restored);
+  } catch (error) {
+    if (error.status === 409) {
+      const current = await Resume.findOne({ _id: req.params.id, user: req.user });
+      return sendVersionConflict(res, current);
+    }
+    console.error('Restore resume version error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/resume/:id/export.pdf
+// @desc    Render resume as PDF using its template, theme and onePage setting
+// @access  Private
+router.get('/:id/export.pdf', auth, async (req, res) => {
+  try {
+    const resume = await Resume.findOne({
+      _id: req.params.id,
+      user: req.user
+    });
+
+    if (!resume) {
+      return res.status(404).json({ message: 'Resume not found' });
+    }
+
+    const pdf = await PDFService.renderResume(resume);
+    sendExport(res, pdf, exportFileName(resume, 'pdf'), PDF_TYPE);
+  } catch (error) {
+    console.error('Export resume PDF error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/resume/:id/export?format=jsonresume|pdf|docx
+// @desc    Export resume in an interchange or document format
+// @access  Private
+router.get('/:id/export', auth, async (req, res) => {
+  try {
+    const format = String(req.query.format || 'jsonresume').toLowerCase();
+    if (!['jsonresume', 'pdf', 'docx'].includes(format)) {
+      return res.status(400).json({ message: 'Unsupported format. Use jsonresume, pdf or docx' });
+    }
+
+    const resume = await Resume.findOne({
+      _id: req.params.id,
+      user: req.user
+    });
+
+    if (!resume) {
+      return res.status(404).json({ message: 'Resume not found' });
+    }
+
+    if (format === 'pdf') {
+      const pdf = await PDFService.renderResume(resume);
+      return sendExport(res, pdf, exportFileName(resume, 'pdf'), PDF_TYPE);
+    }
+
+    if (format === 'docx') {
+      const docx = await DocxService.renderResume(resume);
+      return sendExport(res, docx, exportFileName(resume, 'docx'), DOCX_TYPE);
+    }
+
+    const { resume: jsonResume, unmapped } = JSONResumeService.toJSONResume(resume);
+    res.json({ format, resume: jsonResume, unmapped });
+  } catch (error) {
+    console.error('Export resume error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/resume/:id/export.docx
+// @desc    Export resume as a Word document with real heading and list styles
+// @access  Private
+router.get('/:id/export.docx', auth, async (req, res) => {
+  try {
+    const resume = await Resume.findOne({
+      _id: req.params.id,
+      user: req.user
+    });
+
+    if (!resume) {
+      return res.status(404).json({ message: 'Resume not found' });
+    }
+
+    const docx = await DocxService.renderResume(resume);
+    sendExport(res, docx, exportFileName(resume, 'docx'), DOCX_TYPE);
+  } catch (error) {
+    console.error('Export resume DOCX error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/resume/:id/lint
+// @desc    Check every bullet for weak openers, passive voice, missing metrics,
+//          pronouns, tense, repeated verbs, length and filler (no AI quota used)
+// @access  Private
+router.post('/:id/lint', auth, async (req, res) => {
+  try {
+    const resume = await Resume.findOne({ _id: req.params.id, user: req.user });
+    if (!resume) {
+      return res.status(404).json({ message: 'Resume not found' });
+    }
+
+    res.json(BulletLinter.lint(resume.toObject()));
+  } catch (error) {
+    console.error('Lint resume error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Merge preview with counts of what applying it would do per section
+const importView = (profileImport) => {
+  const summary = {};
+  profileImport.items.forEach(item => {
+    summary[item.section] = summary[item.section] || { add: 0, update: 0, skip: 0 };
+    summary[item.section][item.action]++;
+  });
+  return { ...profileImport.toObject(), summary };
+};
+
+// Store a merge preview of imported sections and send it back
+const sendImportPreview = async (req, res, resume, source, sections) => {
+  const profileImport = await ProfileImportService.preview(req.user, resume, source, sections);
+  res.status(201).json(importView(profileImport));
+};
+
+// @route   POST /api/resume/:id/import/linkedin
+// @desc    Preview experience, education and certifications from a LinkedIn
+//          data export (the ZIP, or its CSV files, as `files`); nothing is saved yet
+// @access  Private
+router.post('/:id/import/linkedin', auth, (req, res, next) => {
+  profileUpload.array('files', 10)(req, res, (err) => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_SIZE' ? 'Files must be 20MB or smaller' : err.message;
+      return res.status(400).json({ message });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const resume = await Resume.findOne({ _id: req.params.id, user: req.user });
+    if (!resume) {
+      return res.status(404).json({ message: 'Resume not found' });
+    }
+
+    const sections = ProfileImportService.linkedInSections(req.files);
+    await sendImportPreview(req, res, resume, 'linkedin', sections);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('LinkedIn import error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/resume/:id/import/github
+// @desc    Preview projects from a GitHub user's public repositories
+//          (`username`, optional `limit` and `includeForks`); nothing is saved yet
+// @access  Private
+router.post('/:id/import/github', auth, async (req, res) => {
+  try {
+    const { username, includeForks } = req.body || {};
+    if (typeof username !== 'string' || !/^[a-z\d](?:[a-z\d]|-(?=[a-z\d])){0,38}$/i.test(username)) {
+      return res.status(400).json({ message: 'A valid GitHub username is required' });
+    }
+    const limit = req.body.limit === undefined ? 30 : Number(req.body.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({ message: 'limit must be between 1 and 100' });
+    }
+
+    const resume = await Resume.findOne({ _id: req.params.id, user: req.user });
+    if (!resume) {
+      return res.status(404).json({ message: 'Resume not found' });
+    }
+
+    let sections;
+    try {
+      sections = await ProfileImportService.gitHubSections(username, { limit, includeForks: includeForks === true });
+    } catch (githubError) {
+      if (githubError.status === 404) {
+        return res.status(404).json({ message: 'GitHub user not found' });
+      }
+      console.error('GitHub import error:', githubError.message);
+      return res.status(githubError.status === 429 ? 429 : 502).json({ message: githubError.status === 429 ? githubError.message : 'Could not reach GitHub' });
+    }
+
+    await sendImportPreview(req, res, resume, 'github', sections);
+  } catch (error) {
+    console.error('GitHub import error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/resume/:id/import/:importId
+// @desc    Get a profile import preview
+// @access  Private
+router.get('/:id/import/:importId', auth, async (req, res) => {
+  try {
+    const profileImport = await ProfileImport.findOne({
+      _id: req.params.importId,
+      resume: req.params.id,
+      user: req.user
+    });
+
+    if (!profileImport) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+
+    res.json(importView(profileImport));
+  } catch (error) {
+    console.error('Get profile import error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/resume/:id/import/:importId/apply
+// @desc    Write previewed entries to the resume as a new version; `items`
+//          picks which (default: every addition and update)
+// @access  Private
+router.post('/:id/import/:importId/apply', auth, async (req, res) => {
+  try {
+    const { items } = req.body || {};
+    if (items !== undefined && (!Array.isArray(items) || items.some(id => typeof id !== 'string'))) {
+      return res.status(400).json({ message: 'items must be an array of item ids' });
+    }
+
+    const resume = await Resume.findOne({ _id: req.params.id, user: req.user });
+    if (!resume) {
+      return res.status(404).json({ message: 'Resume not found' });
+    }
+
+    const profileImport = await ProfileImport.findOne({
+      _id: req.params.importId,
+      resume: resume._id,
+      user: req.user
+    });
+    if (!profileImport) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+
+    const updated = await ProfileImportService.apply(resume, profileImport, items);
+    res.set('ETag', resumeETag(updated));
+    res.json(updated);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Apply profile import error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/resume/:id/import/:importId
+// @desc    Discard a profile import preview
+// @access  Private
+router.delete('/:id/import/:importId', auth, async (req, res) => {
+  try {
+    const profileImport = await ProfileImport.findOneAndDelete({
+      _id: req.params.importId,
+      resume: req.params.id,
+      user: req.user
+    });
+
+    if (!profileImport) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+
+    res.json({ message: 'Import discarded' });
+  } catch (error) {
+    console.error('Discard profile import error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
 
 // @route   POST /api/resume/:id/ats
@@ -277,17 +1079,12 @@ router.post('/:id/ats', auth, async (req, res) => {
 
     const ats = await AIService.computeATSScore(resumeData, {
       targetRole: targetRole || resume.roleApplyingFor,
-      jobDescription
+      jobDescription,
+      user: req.user
     });
 
     // Persist ATS info
-    resume.ats = {
-      score: ats.score,
-      summary: ats.summary,
-      keywordsMatched: ats.keywordsMatched,
-      keywordsMissing: ats.keywordsMissing,
-      lastComputedAt: new Date()
-    };
+    resume.setATSResult(ats, { jobDescription });
     await resume.save();
 
     return res.json({ ats });
@@ -0,0 +1,46 @@
+const express = require('express');
+const TaxonomyService = require('../services/TaxonomyService');
+
+const router = express.Router();
+
+// @route   GET /api/taxonomy/roles
+// @desc    List known roles with synonyms, ATS keywords and skill clusters
+// @access  Public
+router.get('/roles', (req, res) => {
+  try {
+    const { q, cluster } = req.query;
+    const roles = TaxonomyService.listRoles({
+      q: typeof q === 'string' ? q : undefined,
+      cluster: typeof cluster === 'string' ? cluster : undefined
+    });
+    res.json({ roles });
+  } catch (error) {
+    console.error('List taxonomy roles error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/taxonomy/roles/resolve
+// @desc    Resolve a job title to a known role
+// @access  Public
+router.get('/roles/resolve', (req, res) => {
+  const { title } = req.query;
+  if (typeof title !== 'string' || !title.trim()) {
+    return res.status(400).json({ message: 'title query parameter is required' });
+  }
+
+  const role = TaxonomyService.findRole(title);
+  if (!role) {
+    return res.status(404).json({ message: 'No matching role' });
+  }
+  res.json({ role: TaxonomyService.describeRole(role) });
+});
+
+// @route   GET /api/taxonomy/clusters
+// @desc    List skill clusters
+// @access  Public
+router.get('/clusters', (req, res) => {
+  res.json({ clusters: TaxonomyService.listClusters() });
+});
+
+module.exports = router;
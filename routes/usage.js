@@ -0,0 +1,20 @@
+const express = require('express');
+const UsageService = require('../services/UsageService');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/usage
+// @desc    Today's AI calls and tokens against the user's plan limits, and when they reset
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { exceeded, ...quota } = await UsageService.quota(req.user);
+    res.json({ ...quota, limitReached: exceeded });
+  } catch (error) {
+    console.error('Get usage error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,185 @@
+/**
+ * Persistent cache for AI responses. Entries are addressed by a SHA-256 of
+ * the task, its prompt version, the model it ran on, the requesting user and
+ * the full normalized input, so any change to the input or the prompt misses
+ * and one user's content is never served to another.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const AICacheEntry = require('../models/AICacheEntry');
+const AICacheStat = require('../models/AICacheStat');
+
+const TTL_HOURS = parseFloat(process.env.AI_CACHE_TTL_HOURS) || 24 * 7;
+const MAX_ENTRY_BYTES = parseInt(process.env.AI_CACHE_MAX_ENTRY_BYTES, 10) || 256 * 1024;
+const MAX_ENTRIES_PER_USER = parseInt(process.env.AI_CACHE_MAX_ENTRIES_PER_USER, 10) || 200;
+
+// Bookkeeping fields that change on every save without changing the content
+const VOLATILE_FIELDS = new Set(['_id', '__v', 'createdAt', 'updatedAt', 'lastModified']);
+
+// Stable form of an input: keys sorted, whitespace tidied, and empty values
+// and bookkeeping fields dropped so equivalent inputs hash the same
+function normalize(value) {
+  if (Array.isArray(value)) {
+    const items = value.map(normalize).filter(item => item !== undefined);
+    return items.length ? items : undefined;
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (value && typeof value === 'object') {
+    if (typeof value.toHexString === 'function') return value.toString();
+    const entries = Object.keys(value)
+      .filter(key => !VOLATILE_FIELDS.has(key))
+      .sort()
+      .map(key => [key, normalize(value[key])])
+      .filter(([, item]) => item !== undefined);
+    return entries.length ? Object.fromEntries(entries) : undefined;
+  }
+  if (typeof value === 'string') {
+    const text = value.replace(/[ \t]+/g, ' ').replace(/ *\n\s*/g, '\n').trim();
+    return text || undefined;
+  }
+  return value === null ? undefined : value;
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function userId(user) {
+  return user ? new mongoose.Types.ObjectId(String(user)) : null;
+}
+
+class AICacheService {
+  /**
+   * Cache key for a request
+   * @param {Object} scope
+   * @param {string} scope.task - LLMService task name
+   * @param {number} scope.promptVersion - Bumped whenever the task's prompt changes
+   * @param {string} scope.model - Provider and model the response came from
+   * @param {string} [scope.user] - Owner; entries are only served back to them
+   * @param {*} scope.input - Everything the prompt is built from
+   */
+  keyFor(scope) {
+    return crypto.createHash('sha256').update(JSON.stringify({
+      task: scope.task,
+      promptVersion: scope.promptVersion,
+      model: scope.model,
+      user: scope.user ? String(scope.user) : null,
+      input: normalize(scope.input) ?? null
+    })).digest('hex');
+  }
+
+  /**
+   * Cached payload for a request, or null on a miss. Cache errors count as
+   * misses so a database problem never blocks generation.
+   */
+  async get(scope) {
+    try {
+      const entry = await AICacheEntry.findOneAndUpdate(
+        { key: this.keyFor(scope), expiresAt: { $gt: new Date() } },
+        { $inc: { hits: 1 }, $set: { lastUsedAt: new Date() } },
+        { new: true }
+      ).lean();
+      await this.record(scope, entry ? 'hits' : 'misses');
+      return entry ? entry.payload : null;
+    } catch (error) {
+      console.error('AI cache error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store a payload. Payloads over the size limit are not cached.
+   * @returns {Promise<boolean>} Whether the payload was stored
+   */
+  async set(scope, payload) {
+    const size = Buffer.byteLength(JSON.stringify(payload));
+    if (size > MAX_ENTRY_BYTES) return false;
+
+    try {
+      await AICacheEntry.updateOne(
+        { key: this.keyFor(scope) },
+        {
+          $set: {
+            user: userId(scope.user),
+            task: scope.task,
+            promptVersion: scope.promptVersion,
+            model: scope.model,
+            payload,
+            size,
+            hits: 0,
+            lastUsedAt: new Date(),
+            expiresAt: new Date(Date.now() + TTL_HOURS * 60 * 60 * 1000)
+          }
+        },
+        { upsert: true }
+      );
+      await this.evict(scope.user);
+      return true;
+    } catch (error) {
+      console.error('AI cache error:', error);
+      return false;
+    }
+  }
+
+  // Keep only each user's MAX_ENTRIES_PER_USER most recently used entries
+  async evict(user) {
+    const stale = await AICacheEntry.find({ user: userId(user) })
+      .sort({ lastUsedAt: -1 })
+      .skip(MAX_ENTRIES_PER_USER)
+      .select('_id');
+    if (stale.length > 0) {
+      await AICacheEntry.deleteMany({ _id: { $in: stale.map(entry => entry._id) } });
+    }
+  }
+
+  record(scope, field) {
+    return AICacheStat.updateOne(
+      { user: userId(scope.user), task: scope.task, day: today() },
+      { $inc: { [field]: 1 } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Hit and miss counts for a user over the last `days` days, with the size
+   * of their live cache
+   */
+  async stats(user, days = 30) {
+    const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const [tasks, storage] = await Promise.all([
+      AICacheStat.aggregate([
+        { $match: { user: userId(user), day: { $gte: since } } },
+        { $group: { _id: '$task', hits: { $sum: '$hits' }, misses: { $sum: '$misses' } } },
+        { $sort: { _id: 1 } }
+      ]),
+      AICacheEntry.aggregate([
+        { $match: { user: userId(user), expiresAt: { $gt: new Date() } } },
+        { $group: { _id: null, entries: { $sum: 1 }, bytes: { $sum: '$size' } } }
+      ])
+    ]);
+
+    const hits = tasks.reduce((sum, task) => sum + task.hits, 0);
+    const misses = tasks.reduce((sum, task) => sum + task.misses, 0);
+    return {
+      days,
+      hits,
+      misses,
+      hitRate: hits + misses > 0 ? Math.round((hits / (hits + misses)) * 100) / 100 : 0,
+      entries: storage[0]?.entries || 0,
+      bytes: storage[0]?.bytes || 0,
+      byTask: tasks.map(task => ({ task: task._id, hits: task.hits, misses: task.misses }))
+    };
+  }
+
+  /**
+   * Drop every cached response belonging to a user
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async clear(user) {
+    const result = await AICacheEntry.deleteMany({ user: userId(user) });
+    return result.deletedCount;
+  }
+}
+
+module.exports = new AICacheService();
@@ -0,0 +1,236 @@
+/**
+ * Mongo-backed queue for long-running AI requests. Jobs are claimed
+ * atomically, so several server processes can share one queue, and run in an
+ * in-process worker pool with a concurrency limit. A running job holds a lock
+ * that its worker renews for as long as it runs; if the worker dies the lock
+ * lapses and the job goes back in the queue, so pending work resumes after a
+ * restart.
+ */
+
+const crypto = require('crypto');
+const AIJob = require('../models/AIJob');
+const Resume = require('../models/Resume');
+const AIService = require('./AIService');
+
+const CONCURRENCY = parseInt(process.env.AI_JOB_CONCURRENCY, 10) || 2;
+const POLL_INTERVAL = parseInt(process.env.AI_JOB_POLL_MS, 10) || 5000;
+const LOCK_MS = 2 * 60 * 1000;
+// Renewed well before it lapses, so a slow database write cannot let it expire
+const LOCK_RENEW_MS = LOCK_MS / 4;
+const MAX_ATTEMPTS = 3;
+
+// Rough completion for each AIService progress stage
+const STAGE_PERCENT = {
+  cached: 90,
+  generating: 10,
+  retrying: 10,
+  parsing: 90,
+  local: 50,
+  reviewing: 10
+};
+
+class AIJobService {
+  constructor() {
+    this.active = 0;
+    this.draining = false;
+    this.drainAgain = false;
+    this.timer = null;
+    this.handlers = {
+      'generate-resume': (job, progress) => this.generateResume(job, progress),
+      'review-resume': (job, progress) => this.reviewResume(job, progress),
+      'ats-score': (job, progress) => this.scoreResume(job, progress)
+    };
+  }
+
+  /**
+   * Start the worker pool. Call once the database connection is open.
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.drain(), POLL_INTERVAL);
+    this.timer.unref();
+    return this.drain();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async enqueue(user, type, input) {
+    const job = await AIJob.create({ user, type, input });
+    this.drain();
+    return job;
+  }
+
+  find(user, id) {
+    return AIJob.findOne({ _id: id, user });
+  }
+
+  // Requeue jobs whose worker stopped renewing their lock, giving up on
+  // jobs that keep getting interrupted
+  async recover() {
+    const now = new Date();
+    await AIJob.updateMany(
+      { status: 'running', lockedUntil: { $lt: now }, attempts: { $gte: MAX_ATTEMPTS } },
+      { $set: { status: 'failed', error: 'Job was interrupted too many times', completedAt: now, lockedUntil: null, lockedBy: null } }
+    );
+    await AIJob.updateMany(
+      { status: 'running', lockedUntil: { $lt: now } },
+      { $set: { status: 'queued', lockedUntil: null, lockedBy: null, 'progress.stage': 'queued', 'progress.message': 'Resuming after an interruption' } }
+    );
+  }
+
+  claim() {
+    return AIJob.findOneAndUpdate(
+      { status: 'queued' },
+      {
+        $set: {
+          status: 'running',
+          startedAt: new Date(),
+          lockedUntil: new Date(Date.now() + LOCK_MS),
+          lockedBy: crypto.randomUUID(),
+          'progress.stage': 'starting',
+          'progress.message': ''
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  // Fill free worker slots with queued jobs
+  async drain() {
+    if (this.draining) {
+      this.drainAgain = true;
+      return;
+    }
+    this.draining = true;
+
+    try {
+      do {
+        this.drainAgain = false;
+        await this.recover();
+        while (this.active < CONCURRENCY) {
+          const job = await this.claim();
+          if (!job) break;
+
+          this.active++;
+          this.run(job)
+            .catch(error => console.error('AI job error:', error))
+            .finally(() => {
+              this.active--;
+              this.drain();
+            });
+        }
+      } while (this.drainAgain && this.active < CONCURRENCY);
+    } catch (error) {
+      console.error('AI job queue error:', error);
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  async run(job) {
+    // Only this claim may write to the job; if its lock lapsed and the job
+    // was handed to another worker, these writes match nothing
+    const owned = { _id: job._id, status: 'running', lockedBy: job.lockedBy };
+
+    // Progress writes are chained so they land in order and before the result
+    let writes = Promise.resolve();
+    const progress = (stage, message, percent) => {
+      writes = writes
+        .then(() => AIJob.updateOne(
+          owned,
+          { $set: { progress: { stage, message, percent }, lockedUntil: new Date(Date.now() + LOCK_MS) } }
+        ))
+        .catch(error => console.error('AI job progress error:', error));
+    };
+
+    // Keep the lock while the handler runs, even when it reports no progress
+    const heartbeat = setInterval(() => {
+      AIJob.updateOne(
+        owned,
+        { $set: { lockedUntil: new Date(Date.now() + LOCK_MS) } }
+      ).catch(error => console.error('AI job lock error:', error));
+    }, LOCK_RENEW_MS);
+    heartbeat.unref();
+
+    let update;
+    try {
+      const result = await this.handlers[job.type](job, progress);
+      update = {
+        status: 'completed',
+        result,
+        progress: { stage: 'completed', message: 'Done', percent: 100 }
+      };
+    } catch (error) {
+      console.error(`AI job ${job._id} failed:`, error);
+      update = {
+        status: 'failed',
+        error: error.message || 'Job failed',
+        'progress.stage': 'failed'
+      };
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    await writes;
+    const saved = await AIJob.updateOne(
+      owned,
+      { $set: { ...update, completedAt: new Date(), lockedUntil: null, lockedBy: null } }
+    );
+    if (saved.matchedCount === 0) {
+      console.warn(`AI job ${job._id} lost its lock before finishing; result dropped`);
+    }
+  }
+
+  async generateResume(job, progress) {
+    let percent = 0;
+    return AIService.generateResumeContentStream(job.input, (event, data) => {
+      if (event === 'progress') {
+        percent = STAGE_PERCENT[data.stage] ?? percent;
+        progress(data.stage, data.message, percent);
+      } else if (event === 'section') {
+        percent = Math.min(percent + 10, 85);
+        progress('section', `Writing ${data.section}`, percent);
+      }
+    }, { user: job.user });
+  }
+
+  async reviewResume(job, progress) {
+    const { resumeData, jobDescription } = job.input;
+    let percent = 0;
+    const review = await AIService.reviewResumeStream(resumeData, jobDescription, (event, data) => {
+      if (event === 'progress') {
+        percent = STAGE_PERCENT[data.stage] ?? percent;
+        progress(data.stage, data.message, percent);
+      } else if (event === 'section') {
+        percent = Math.min(percent + 15, 85);
+        progress('section', `Reviewing ${data.section}`, percent);
+      }
+    }, { user: job.user });
+    return { review };
+  }
+
+  async scoreResume(job, progress) {
+    const { resumeId, targetRole, jobDescription } = job.input;
+    const resume = await Resume.findOne({ _id: resumeId, user: job.user });
+    if (!resume) {
+      throw new Error('Resume not found');
+    }
+
+    progress('scoring', 'Computing ATS score', 20);
+    const ats = await AIService.computeATSScore(resume.toObject(), {
+      targetRole: targetRole || resume.roleApplyingFor,
+      jobDescription,
+      user: job.user
+    });
+
+    resume.setATSResult(ats, { jobDescription });
+    await resume.save();
+    return { ats };
+  }
+}
+
+module.exports = new AIJobService();
@@ -1,7 +1,13 @@
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-
-// Force module reload for Google AI API changes
-delete require.cache[require.resolve('@google/generative-ai')];
+const LLMService = require('./LLMService');
+const AICacheService = require('./AICacheService');
+const UsageService = require('./UsageService');
+const ResumeImportService = require('./ResumeImportService');
+const ATSScorer = require('./ATSScorer');
+const TaxonomyService = require('./TaxonomyService');
+const JobDescriptionAnalyzer = require('./JobDescriptionAnalyzer');
+const { fullName } = require('./ResumeFormatter');
+const BulletLinter = require('./BulletLinter');
+const { parsePath, getAtPath } = require('./ResumePaths');
 
 // --- CRITICAL: JSON SCHEMAS FOR STRUCTURED OUTPUT ---
 
@@ -161,75 +167,321 @@ const resumeContentSchema = {
   // REMOVED required array - all sections are now optional
 };
 
+// Resume Import Schema (maps extracted resume text onto Resume model fields)
+const resumeImportSchema = {
+  type: "object",
+  properties: {
+    personalInfo: {
+      type: "object",
+      properties: {
+        firstName: { type: "string" },
+        lastName: { type: "string" },
+        email: { type: "string" },
+        phone: { type: "string" },
+        location: { type: "string" },
+        linkedin: { type: "string" },
+        github: { type: "string" },
+        website: { type: "string" },
+        summary: { type: "string" }
+      }
+    },
+    experience: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          company: { type: "string" },
+          position: { type: "string" },
+          location: { type: "string" },
+          startDate: { type: "string" },
+          endDate: { type: "string" },
+          current: { type: "boolean" },
+          description: { type: "array", items: { type: "string" } }
+        }
+      }
+    },
+    education: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          institution: { type: "string" },
+          degree: { type: "string" },
+          field: { type: "string" },
+          startDate: { type: "string" },
+          endDate: { type: "string" },
+          gpa: { type: "string" }
+        }
+      }
+    },
+    skills: {
+      type: "object",
+      properties: {
+        technical: { type: "array", items: { type: "string" } },
+        soft: { type: "array", items: { type: "string" } },
+        languages: { type: "array", items: { type: "string" } }
+      }
+    },
+    projects: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          name: { type: "string" },
+          description: { type: "string" },
+          technologies: { type: "array", items: { type: "string" } },
+          link: { type: "string" },
+          github: { type: "string" }
+        }
+      }
+    },
+    achievements: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          title: { type: "string" },
+          description: { type: "string" },
+          date: { type: "string" }
+        }
+      }
+    },
+    certifications: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          name: { type: "string" },
+          issuer: { type: "string" },
+          date: { type: "string" }
+        }
+      }
+    }
+  }
+};
+
+// Resume Tailoring Schema (rewrites reference the index of the original entry)
+const resumeTailorSchema = {
+  type: "object",
+  properties: {
+    summary: {
+      type: "string",
+      description: "2-3 sentence professional summary aimed at the job posting"
+    },
+    experience: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          index: { type: "integer", description: "Index of the experience entry being rewritten" },
+          description: { type: "array", items: { type: "string" } }
+        },
+        required: ["index", "description"]
+      }
+    },
+    projects: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          index: { type: "integer", description: "Index of the project being rewritten" },
+          description: { type: "string" }
+        },
+        required: ["index", "description"]
+      }
+    },
+    technicalSkills: {
+      type: "array",
+      items: { type: "string" },
+      description: "The candidate's existing technical skills, most relevant to the job first"
+    }
+  },
+  required: ["summary", "experience"]
+};
+
+// Cover Letter Schema
+const coverLetterSchema = {
+  type: "object",
+  properties: {
+    greeting: {
+      type: "string",
+      description: "Salutation line, e.g. 'Dear Hiring Manager,'"
+    },
+    hook: {
+      type: "string",
+      description: "Opening paragraph naming the role and why the candidate fits"
+    },
+    evidence: {
+      type: "array",
+      items: { type: "string" },
+      description: "Two or three paragraphs backing the fit with concrete resume achievements"
+    },
+    closing: {
+      type: "string",
+      description: "Closing paragraph with a call to action"
+    }
+  },
+  required: ["greeting", "hook", "evidence", "closing"]
+};
+
+// Dimensions every resume review scores, in display order
+const REVIEW_DIMENSIONS = [
+  { dimension: 'structure', label: 'Structure', description: 'section order, completeness and length' },
+  { dimension: 'impact', label: 'Impact', description: 'results and metrics rather than duties' },
+  { dimension: 'clarity', label: 'Clarity', description: 'concise, readable wording' },
+  { dimension: 'atsReadiness', label: 'ATS readiness', description: 'parseable layout and standard keywords' },
+  { dimension: 'relevance', label: 'Relevance', description: 'fit with the target job or role' }
+];
+
+const REVIEW_SEVERITIES = ['critical', 'warning', 'suggestion'];
+const MAX_REVIEW_COMMENTS = 20;
+
+// "I", "my", "we"... as whole words; a capital I only, so "I/O" and "i.e." pass
+const FIRST_PERSON = /(^|[\s(])(I|[Mm]e|[Mm]y|[Ww]e|[Oo]ur)(?=$|[\s,.;:!?')])/;
+
+// Top-level resume keys a review comment may point into
+const RESUME_SECTIONS = ['personalInfo', 'experience', 'education', 'projects', 'skills', 'achievements', 'certifications'];
+
+// Resume Review Schema
+const reviewSchema = {
+  type: "object",
+  properties: {
+    summary: {
+      type: "string",
+      description: "Two or three sentence overall assessment"
+    },
+    dimensions: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          dimension: { type: "string", description: `One of: ${REVIEW_DIMENSIONS.map(item => item.dimension).join(', ')}` },
+          score: { type: "number", description: "Score between 0 and 100" },
+          feedback: { type: "string", description: "One or two sentences explaining the score" }
+        },
+        required: ["dimension", "score", "feedback"]
+      }
+    },
+    comments: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          path: { type: "string", description: "Field the comment is about, e.g. experience[1].description[2]; indexes are zero-based" },
+          dimension: { type: "string", description: "Dimension the comment affects" },
+          severity: { type: "string", description: `One of: ${REVIEW_SEVERITIES.join(', ')}` },
+          comment: { type: "string", description: "What is wrong with the line and why" },
+          suggestion: { type: "string", description: "Rewritten line, when the fix is different wording" }
+        },
+        required: ["path", "dimension", "severity", "comment"]
+      }
+    },
+    strengths: {
+      type: "array",
+      items: { type: "string" }
+    },
+    actionItems: {
+      type: "array",
+      items: { type: "string" },
+      description: "Most valuable changes, highest impact first"
+    }
+  },
+  required: ["summary", "dimensions", "comments", "strengths", "actionItems"]
+};
+
+// What each rewrite tone aims for
+const REWRITE_TONE_GUIDES = {
+  concise: 'the shortest version that keeps the action and the result',
+  'metric-heavy': 'leads with numbers and measurable outcomes',
+  leadership: 'emphasizes ownership, initiative and leading people'
+};
+const MAX_REWRITES_PER_TONE = 2;
+
+// Bullet Rewrite Schema
+const rewriteSchema = {
+  type: "object",
+  properties: {
+    alternatives: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          tone: { type: "string", description: `One of: ${Object.keys(REWRITE_TONE_GUIDES).join(', ')}` },
+          text: { type: "string", description: "The rewritten line" },
+          rationale: { type: "string", description: "One sentence on what the rewrite improves" }
+        },
+        required: ["tone", "text", "rationale"]
+      }
+    }
+  },
+  required: ["alternatives"]
+};
+
+// Bump a task's version whenever its prompt or schema changes so cached
+// responses written for the old prompt are no longer served
+const PROMPT_VERSIONS = {
+  resumeContent: 1
+};
+
 // --------------------------------------------------------
 
-/**
- * Helper function to scrub the raw AI response text to fix common JSON errors
- * before attempting to parse it. This is a crucial defense against
- * SyntaxError: Unterminated string.
- * @param {string} text - The raw text output from the Gemini API.
- * @returns {string} The cleaned text.
- */
-function scrubJsonText(text) {
-  // First, trim whitespace from both ends
-  text = text.trim();
-  
-  // Remove any markdown code block markers
-  text = text.replace(/^```json\n?/, '').replace(/\n?```$/, '');
-  
-  // More careful quote handling - only fix obviously broken escaped quotes
-  // Don't touch properly escaped quotes in valid JSON
-  if (text.includes('\\"') && !text.includes('\\\\"')) {
-    // Only replace if it looks like malformed JSON (double backslashes don't exist)
-    text = text.replace(/\\"/g, '"');
-  }
-  
-  // Fix trailing commas before closing brackets/braces (common JSON error)
-  text = text.replace(/,\s*([}\]])/g, '$1');
-  
-  // Fix missing commas between array elements or object properties
-  text = text.replace(/(["}\]])\s*(["{])/g, '$1,$2');
-  
-  // Remove control characters that might break JSON
-  text = text.replace(/[\x00-\x1F\x7F]/g, '');
-  
-  // Better JSON completion logic
-  const openBraces = (text.match(/{/g) || []).length;
-  const closeBraces = (text.match(/}/g) || []).length;
-  const openBrackets = (text.match(/\[/g) || []).length;
-  const closeBrackets = (text.match(/\]/g) || []).length;
-  
-  // Add missing closing braces
-  if (openBraces > closeBraces) {
-    text += '}'.repeat(openBraces - closeBraces);
-  }
-  
-  // Add missing closing brackets
-  if (openBrackets > closeBrackets) {
-    text += ']'.repeat(openBrackets - closeBrackets);
-  }
-  
-  // Fix unescaped newlines within JSON strings
-  text = text.replace(/"(.*?)"\s*\n\s*"(.*?)"$/g, '"$1","$2"');
-  
-  // If string appears truncated inside quotes, close it
-  const quoteCount = (text.match(/"/g) || []).length;
-  if (quoteCount % 2 !== 0) {
-    text += '"';
-  }
-  
-  return text;
+// Reports each top-level key of a streamed JSON object once its name is
+// complete, so a caller can tell which resume section the model is writing
+function createSectionScanner() {
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let current = '';
+  let pendingKey = null;
+
+  return function scan(chunk) {
+    const keys = [];
+    for (const char of chunk) {
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+          if (depth === 1) pendingKey = current;
+          continue;
+        }
+        current += char;
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+        current = '';
+      } else if (char === ':' && pendingKey !== null) {
+        keys.push(pendingKey);
+        pendingKey = null;
+      } else if (!/\s/.test(char)) {
+        pendingKey = null;
+        if (char === '{' || char === '[') depth++;
+        if (char === '}' || char === ']') depth--;
+      }
+    }
+    return keys;
+  };
+}
+
+function clampScore(value) {
+  return Math.max(0, Math.min(100, Math.round(value)));
+}
+
+// Review comments may point at an existing field, or at a section or field
+// the resume is missing (e.g. "education" or "personalInfo.summary")
+function isReviewPath(resumeData, path) {
+  const keys = parsePath(path);
+  if (!keys || !RESUME_SECTIONS.includes(keys[0])) return false;
+  return getAtPath(resumeData, path) !== undefined ||
+    (keys.length <= 2 && keys.every(key => typeof key === 'string'));
 }
 
 class AIService {
   constructor() {
-    if (!process.env.GOOGLE_AI_API_KEY) {
-      console.warn('Google AI API key is not configured - AI features will be disabled');
-      this.genAI = null;
-    } else {
-      this.genAI = new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY);
-    }
-    
     // Circuit breaker state
     this.circuitState = 'CLOSED';
     this.failureCount = 0;
@@ -237,39 +489,37 @@ class AIService {
     this.failureThreshold = 3;
     this.resetTimeout = 60000; // 1 minute
     
-    // API optimization: Add caching and rate limiting
-    this.cache = new Map();
+    // API optimization: rate limiting (responses are cached by AICacheService,
+    // and each user's daily allowance is enforced by UsageService)
     this.lastApiCall = 0;
     this.minCallInterval = 1000; // 1 second between calls
-    this.dailyCallCount = 0;
-    this.dailyCallLimit = 15; // Conservative limit to stay under quota
-    this.lastResetDate = new Date().toDateString();
   }
   
-  isAvailable() {
-    return this.genAI !== null && this.circuitState !== 'OPEN' && !this.isDailyLimitReached();
+  /**
+   * Whether the provider configured for a task (see LLMService) can be called
+   */
+  isAvailable(task) {
+    return LLMService.isAvailable(task) && this.circuitState !== 'OPEN';
   }
-  
-  isDailyLimitReached() {
-    const today = new Date().toDateString();
-    if (today !== this.lastResetDate) {
-      this.dailyCallCount = 0;
-      this.lastResetDate = today;
-    }
-    return this.dailyCallCount >= this.dailyCallLimit;
+
+  /**
+   * Whether a task can call the model for a user who still has AI quota
+   * left today; callers fall back to local generation otherwise
+   */
+  async canUseAI(task, user) {
+    return this.isAvailable(task) && await UsageService.hasQuota(user);
   }
   
-  getCacheKey(data) {
-    // Create a deterministic cache key based on input data
-    const key = {
-      role: data.roleApplyingFor || 'general',
-      isFresher: data.isFresher || false,
-      skillsCount: data.skills?.technical?.length || 0,
-      experienceCount: data.experience?.length || 0,
-      projectsCount: data.projects?.length || 0,
-      educationField: data.education?.[0]?.field || ''
+  // AICacheService scope for a task's input
+  cacheScope(task, input, user) {
+    const { provider, model } = LLMService.describe(task);
+    return {
+      task,
+      promptVersion: PROMPT_VERSIONS[task],
+      model: `${provider}:${model}`,
+      user,
+      input
     };
-    return JSON.stringify(key);
   }
   
   async withRateLimit() {
@@ -279,7 +529,6 @@ class AIService {
       await new Promise(resolve => setTimeout(resolve, this.minCallInterval - timeSinceLastCall));
     }
     this.lastApiCall = Date.now();
-    this.dailyCallCount++;
   }
 
   async withCircuitBreaker(fn) {
@@ -327,21 +576,18 @@ class AIService {
     // Removed console.log to reduce noise
   }
 
-  async generateProfileSummary(data) {
-    if (!this.isAvailable()) {
+  /**
+   * @param {Object} data
+   * @param {Object} [options]
+   * @param {string} [options.user] - User the model call is metered against
+   */
+  async generateProfileSummary(data, options = {}) {
+    if (!(await this.canUseAI('profileSummary', options.user))) {
       return this.generateProfileSummaryLocally(data);
     }
     
     return this.withCircuitBreaker(async () => {
       const { roleApplyingFor, isFresher, skills, experience, education } = data;
-      
-      const model = this.genAI.getGenerativeModel({ 
-        model: 'gemini-2.5-flash',
-        generationConfig: {
-          temperature: 0.7,
-          maxOutputTokens: 500
-        }
-      });
 
       const context = {
         skills: skills?.technical?.slice(0, 5) || [],
@@ -368,15 +614,14 @@ Requirements:
 Generate the ${isFresher ? 'objective' : 'summary'}:`;
 
       try {
-        const result = await Promise.race([
-          model.generateContent(prompt),
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Request timeout')), 15000)
-          )
-        ]);
-        
-        const response = await result.response;
-        const summary = response.text().trim();
+        const result = await LLMService.generate('profileSummary', {
+          prompt,
+          temperature: 0.7,
+          maxOutputTokens: 500,
+          timeout: 15000,
+          user: options.user
+        });
+        const summary = result.text.trim();
         
         return {
           success: true,
@@ -416,7 +661,7 @@ Generate the ${isFresher ? 'objective' : 'summary'}:`;
   }
 
   async enhanceMultipleSections(sections, context = {}) {
-    if (!this.isAvailable()) {
+    if (!this.isAvailable('enhanceSection')) {
       return this.enhanceSectionsLocally(sections, context);
     }
     
@@ -483,64 +728,57 @@ Generate the ${isFresher ? 'objective' : 'summary'}:`;
     };
   }
 
-  async enhanceSection(section, content, context = {}) {
-    if (!this.isAvailable()) {
+  async enhanceSection(section, content, context = {}, options = {}) {
+    if (!(await this.canUseAI('enhanceSection', options.user))) {
       return { success: false, error: 'AI service is not available' };
     }
-    
-    try {
-      const model = this.genAI.getGenerativeModel({ 
-        model: 'gemini-2.5-flash',
-        generationConfig: {
-          temperature: 0.7,
-          maxOutputTokens: 1000
-        }
-      });
 
-      let prompt = `Enhance the following ${section} section for a resume. 
-${context.targetRole ? `Target role: ${context.targetRole}\n` : ''}
-${context.jobDescription ? `Job description: ${context.jobDescription}\n` : ''}`;
+    const field = context.field || 'content';
+    // Outcomes, achievement details and experience bullets are lists; other fields are prose
+    const isList = field === 'outcomes' || section === 'achievement' || (section === 'experience' && field === 'description');
 
+    try {
+      const details = [];
+      if (context.targetRole) details.push(`Target role: ${context.targetRole}`);
+      if (context.jobDescription) details.push(`Job description: ${context.jobDescription}`);
       if (section === 'project') {
-        prompt += `Project Name: ${context.projectName || 'N/A'}\n`;
-        prompt += `Technologies: ${context.technologies || 'N/A'}\n\n`;
-        prompt += `Current ${context.field}:\n${content}\n\n`;
-        
-        if (context.field === 'outcomes') {
-          prompt = `Generate 3-5 bullet points of key achievements/outcomes for this project. Each point should start with a strong action verb and include metrics where possible. Format each point on a new line starting with "• ".
+        details.push(`Project Name: ${context.projectName || 'N/A'}`);
+        details.push(`Technologies: ${context.technologies || 'N/A'}`);
+      } else if (section === 'achievement') {
+        details.push(`Achievement Title: ${context.achievementTitle || 'N/A'}`);
+        details.push(`Date: ${context.date || 'N/A'}`);
+      }
 
-Project: ${content}
+      let instructions;
+      if (section === 'project' && field === 'outcomes') {
+        instructions = `Generate 3-5 bullet points of key achievements/outcomes for this project. Each point should start with a strong action verb and include metrics where possible. Format each point on a new line starting with "• ".
 
 Example format:
 • Increased user engagement by 40% through implementation of new features
 • Reduced page load time by 2.5 seconds, improving user experience
-• Led a team of 5 developers to deliver the project 2 weeks ahead of schedule
-
-Key achievements/outcomes:`;
-        } else {
-          prompt = `Enhance the project description to be more compelling and achievement-focused. Include specific details about your role, technologies used, and impact. Format in 2-3 clear, concise sentences.
-
-Current description: ${content}
-
-Enhanced description:`;
-        }
+• Led a team of 5 developers to deliver the project 2 weeks ahead of schedule`;
+      } else if (section === 'project') {
+        instructions = 'Enhance the project description to be more compelling and achievement-focused. Include specific details about your role, technologies used, and impact. Format in 2-3 clear, concise sentences.';
       } else if (section === 'achievement') {
-        prompt += `Achievement Title: ${context.achievementTitle || 'N/A'}\n`;
-        prompt += `Date: ${context.date || 'N/A'}\n\n`;
-        prompt += `Current ${context.field}:\n${content}\n\n`;
-        
-        prompt = `Generate 2-3 bullet points describing this achievement in more detail. Each point should start with a strong action verb and include metrics where possible. Format each point on a new line starting with "• ".
-
-Achievement: ${content}
+        instructions = `Generate 2-3 bullet points describing this achievement in more detail. Each point should start with a strong action verb and include metrics where possible. Format each point on a new line starting with "• ".
 
 Example format:
 • Recognized as "Employee of the Year" among 500+ employees
 • Achieved 98% customer satisfaction rating, 15% above company average
-• Successfully led a team that increased sales by 35% YoY
-
-Achievement details:`;
+• Successfully led a team that increased sales by 35% YoY`;
+      } else if (isList) {
+        instructions = 'Rewrite each point to start with a strong action verb and include metrics where the content supports them. Format each point on a new line starting with "• ".';
+      } else {
+        instructions = 'Rewrite it to be clear, specific and achievement-focused without adding facts. Reply with the enhanced text only.';
       }
 
+      const prompt = `Enhance the ${field} of this ${section} section for a resume.
+${details.map(detail => `${detail}\n`).join('')}
+Current ${field}:
+${content}
+
+${instructions}`;
+
       let result;
       let retryCount = 0;
       const maxRetries = 3;
@@ -548,7 +786,12 @@ Achievement details:`;
       
       while (retryCount < maxRetries) {
         try {
-          result = await model.generateContent(prompt);
+          result = await LLMService.generate('enhanceSection', {
+            prompt,
+            temperature: 0.7,
+            maxOutputTokens: 1000,
+            user: options.user
+          });
           break; // Success, exit retry loop
         } catch (error) {
           if (error.status === 503 && retryCount < maxRetries - 1) {
@@ -561,16 +804,17 @@ Achievement details:`;
           }
         }
       }
-      const response = await result.response;
-      const enhancedContent = response.text().trim();
+      const enhancedContent = result.text.trim();
       
-      // Ensure bullet points are properly formatted
-      const formattedContent = enhancedContent
-        .split('\n')
-        .map(line => line.trim())
-        .filter(line => line)
-        .map(line => line.startsWith('•') ? line : `• ${line}`)
-        .join('\n');
+      // List answers get exactly one bullet per point; prose is returned as written
+      const formattedContent = isList
+        ? enhancedContent
+          .split('\n')
+          .map(line => line.trim().replace(/^[•\-*]\s*/, ''))
+          .filter(line => line)
+          .map(line => `• ${line}`)
+          .join('\n')
+        : enhancedContent;
       
       return { success: true, enhancedContent: formattedContent };
     } catch (error) {
@@ -579,24 +823,108 @@ Achievement details:`;
     }
   }
 
-  async generateResumeContent(data) {
+  rewriteRequest(text, context, tones) {
+    const prompt = `Rewrite this resume line in each of these tones: ${tones.map(tone => `${tone} (${REWRITE_TONE_GUIDES[tone]})`).join('; ')}.
+
+Line: ${text}
+${context.section ? `Section: ${context.section}\n` : ''}${context.targetRole ? `Target role: ${context.targetRole}\n` : ''}${context.jobDescription ? `Job description:\n${context.jobDescription}\n` : ''}
+RULES:
+- Give ${MAX_REWRITES_PER_TONE === 1 ? 'one rewrite' : `one or ${MAX_REWRITES_PER_TONE} rewrites`} per tone, each with a one-sentence rationale
+- Write in the ${context.tense === 'present' ? 'present' : 'past'} tense, starting with a strong action verb, without first-person pronouns
+- Keep every fact from the line; never invent numbers. Write [X] where a figure the line does not state would go
+- One line each, no bullet markers
+
+IMPORTANT: Generate ONLY valid JSON. No extra text.`;
+
+    return { prompt, schema: rewriteSchema, temperature: 0.8, maxOutputTokens: 800, timeout: 15000 };
+  }
+
+  /**
+   * Alternative rewrites of one resume line, each labelled with a tone and a
+   * rationale. Falls back to rule-based rewrites when AI is unavailable.
+   * @param {string} text - The line to rewrite
+   * @param {Object} [context]
+   * @param {string[]} [context.tones] - Tones to offer, all by default
+   * @param {string} [context.tense] - 'present' for a current role, 'past' otherwise
+   * @param {string} [context.section] - Resume section the line belongs to
+   * @param {string} [context.targetRole]
+   * @param {string} [context.jobDescription]
+   * @param {Object} [options]
+   * @param {string} [options.user] - Requesting user, for metering
+   * @returns {Promise<{ alternatives: Object[], method: 'ai'|'local' }>}
+   */
+  async suggestRewrites(text, context = {}, options = {}) {
+    const tones = context.tones?.length ? context.tones : Object.keys(REWRITE_TONE_GUIDES);
+
+    try {
+      if (await this.canUseAI('rewrite', options.user) && this.circuitState !== 'OPEN') {
+        return await this.withCircuitBreaker(async () => {
+          await this.withRateLimit();
+          const { data } = await LLMService.generateJSON('rewrite', {
+            ...this.rewriteRequest(text, context, tones),
+            user: options.user
+          });
+
+          const alternatives = this.normalizeRewrites(data, text, tones);
+          if (alternatives.length === 0) {
+            throw new Error('AI returned no usable rewrites');
+          }
+          return { alternatives, method: 'ai' };
+        });
+      }
+    } catch (error) {
+      // Silently handle AI failures without console spam
+    }
+
+    return {
+      alternatives: BulletLinter.variants(text, { tense: context.tense }).filter(variant => tones.includes(variant.tone)),
+      method: 'local'
+    };
+  }
+
+  // Keep rewrites in the requested tones that differ from the original and each other
+  normalizeRewrites(parsed, original, tones) {
+    const seen = new Set([original.trim()]);
+    const perTone = {};
+    return (Array.isArray(parsed?.alternatives) ? parsed.alternatives : [])
+      .filter(item => item && tones.includes(item.tone) && typeof item.text === 'string')
+      .map(item => ({
+        tone: item.tone,
+        text: item.text.trim().replace(/^[•\-*]\s*/, ''),
+        rationale: typeof item.rationale === 'string' ? item.rationale.trim() : ''
+      }))
+      .filter(item => {
+        if (!item.text || seen.has(item.text)) return false;
+        perTone[item.tone] = (perTone[item.tone] || 0) + 1;
+        seen.add(item.text);
+        return perTone[item.tone] <= MAX_REWRITES_PER_TONE;
+      });
+  }
+
+  /**
+   * @param {Object} data - Resume content and generation options
+   * @param {Object} [options]
+   * @param {string} [options.user] - Requesting user; cached responses are per user
+   */
+  async generateResumeContent(data, options = {}) {
     // Check cache first
-    const cacheKey = this.getCacheKey(data);
-    if (this.cache.has(cacheKey)) {
-      console.log('Using cached resume enhancement');
-      return this.cache.get(cacheKey);
+    const cacheScope = this.cacheScope('resumeContent', data, options.user);
+    const cached = await AICacheService.get(cacheScope);
+    if (cached) {
+      return cached;
     }
     
     // Always try AI first, but immediately fallback to local if any issues
     try {
-      if (this.isAvailable() && this.circuitState !== 'OPEN') {
+      if (await this.canUseAI('resumeContent', options.user) && this.circuitState !== 'OPEN') {
         const result = await this.withCircuitBreaker(async () => {
           await this.withRateLimit(); // Add rate limiting
-          return await this.generateResumeContentWithAI(data);
+          return await this.generateResumeContentWithAI(data, options.user);
         });
         
-        // Cache successful results
-        this.cache.set(cacheKey, result);
+        // Cache successful results; local results are cheap to recompute
+        // and should not outlive an outage
+        await AICacheService.set(cacheScope, result);
         return result;
       }
     } catch (error) {
@@ -604,12 +932,14 @@ Achievement details:`;
     }
     
     // Always fall back to local enhancement
-    const localResult = this.enhanceContentLocally(data);
-    this.cache.set(cacheKey, localResult); // Cache local results too
-    return localResult;
+    return this.enhanceContentLocally(data);
   }
 
-  async generateResumeContentWithAI(data) {
+  /**
+   * Prompt and generation settings for resume generation, shared by the
+   * blocking and streaming calls
+   */
+  resumeContentRequest(data) {
     const { personalInfo, skills, education, experience, projects, achievements, certifications, roleApplyingFor, aiPrompt, isFresher, template, jobDescription } = data;
     const effectiveRole = roleApplyingFor || 'Professional';
     
@@ -734,16 +1064,6 @@ Achievement details:`;
       }
     };
 
-    const model = this.genAI.getGenerativeModel({ 
-      model: 'gemini-2.5-flash',
-      generationConfig: {
-        temperature: 0.7,
-        maxOutputTokens: 2000,
-        responseMimeType: "application/json", 
-        responseSchema: resumeContentSchema,
-      }
-    });
-
     const prompt = `Enhance user's resume content. Target: ${effectiveRole || 'Professional'}.
 ${isFresher ? 'FRESHER CANDIDATE - Focus on education, projects, skills. NO EXPERIENCE NEEDED.' : 'EXPERIENCED CANDIDATE - Focus on work experience and achievements.'}
 
@@ -767,45 +1087,36 @@ IMPORTANT: Generate ONLY valid JSON. Do not include any text before or after the
 
 ${isFresher ? 'CRITICAL: Set experience array to empty [] for fresher candidates.' : 'Include actual work experience if provided.'}`;
 
-    let retryCount = 0;
-    const maxRetries = 2; // Reduced retries for faster fallback
-    
-    while (retryCount < maxRetries) {
-      try {
-        const result = await Promise.race([
-          model.generateContent(prompt),
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Resume generation timeout')), 25000)
-          )
-        ]);
-        
-        let content = result.response.text().trim();
-        
-        // CRITICAL FIX: Robust Pre-parse scrubbing
-        const originalContent = content;
-        content = scrubJsonText(content);
-        
-        // Log if scrubbing made changes (for debugging)
-        if (originalContent !== content) {
-          console.log('JSON content was scrubbed/fixed');
-        }
-        
-        let generatedContent;
-        try {
-          generatedContent = JSON.parse(content);
-        } catch (parseError) {
-          console.error('Resume JSON parse failed, falling back to local:', parseError.message);
-          console.error('Problematic content:', content.substring(0, 500) + '...');
-          throw new Error('Invalid JSON from AI');
-        }
-        
-        // Return in the format expected by the frontend
-        return {
-          success: true,
-          generatedContent,
-          aiPrompt: `Generated resume for ${effectiveRole || 'Professional'} role`,
-          generationMethod: 'ai'
-        };
+    const request = {
+      prompt,
+      schema: resumeContentSchema,
+      temperature: 0.7,
+      maxOutputTokens: 2000,
+      timeout: 25000
+    };
+    return { request, effectiveRole };
+  }
+
+  // Wrap the model's resume JSON in the payload the frontend expects
+  resumeContentPayload(generatedContent, effectiveRole) {
+    return {
+      success: true,
+      generatedContent,
+      aiPrompt: `Generated resume for ${effectiveRole || 'Professional'} role`,
+      generationMethod: 'ai'
+    };
+  }
+
+  async generateResumeContentWithAI(data, user) {
+    const { request, effectiveRole } = this.resumeContentRequest(data);
+
+    let retryCount = 0;
+    const maxRetries = 2; // Reduced retries for faster fallback
+    
+    while (retryCount < maxRetries) {
+      try {
+        const { data: generatedContent } = await LLMService.generateJSON('resumeContent', { ...request, user });
+        return this.resumeContentPayload(generatedContent, effectiveRole);
       } catch (error) {
         if (retryCount === maxRetries - 1) {
           throw error; // Trigger local fallback
@@ -817,6 +1128,457 @@ ${isFresher ? 'CRITICAL: Set experience array to empty [] for fresher candidates
     }
   }
 
+  /**
+   * Streaming variant of generateResumeContent. `onEvent(event, data)` receives
+   * `progress` updates, `delta` chunks of raw model text and a `section` event
+   * as each top-level part of the resume starts arriving.
+   * @param {Object} data - Same input as generateResumeContent
+   * @param {Function} onEvent
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the model call when the client disconnects
+   * @param {string} [options.user] - Requesting user; cached responses are per user
+   * @returns {Promise<Object>} The same payload generateResumeContent resolves with
+   */
+  async generateResumeContentStream(data, onEvent, options = {}) {
+    const cacheScope = this.cacheScope('resumeContent', data, options.user);
+    const cached = await AICacheService.get(cacheScope);
+    if (cached) {
+      onEvent('progress', { stage: 'cached', message: 'Using cached resume content' });
+      return cached;
+    }
+
+    try {
+      if (await this.canUseAI('resumeContent', options.user) && this.circuitState !== 'OPEN') {
+        const result = await this.withCircuitBreaker(async () => {
+          await this.withRateLimit();
+          return await this.generateResumeContentWithAIStream(data, onEvent, options);
+        });
+
+        await AICacheService.set(cacheScope, result);
+        return result;
+      }
+    } catch (error) {
+      if (options.signal?.aborted) throw error;
+    }
+
+    onEvent('progress', { stage: 'local', message: 'Generating resume content locally' });
+    const localResult = this.enhanceContentLocally(data);
+    Object.keys(localResult.generatedContent).forEach(section => onEvent('section', { section }));
+    return localResult;
+  }
+
+  async generateResumeContentWithAIStream(data, onEvent, options = {}) {
+    const { request, effectiveRole } = this.resumeContentRequest(data);
+    const maxRetries = 2;
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        onEvent('progress', { stage: 'generating', attempt, message: 'Generating resume content' });
+        const scanSections = createSectionScanner();
+        const { text } = await LLMService.stream('resumeContent', {
+          ...request,
+          signal: options.signal,
+          user: options.user,
+          onText: chunk => {
+            onEvent('delta', { text: chunk });
+            scanSections(chunk).forEach(section => onEvent('section', { section }));
+          }
+        });
+
+        onEvent('progress', { stage: 'parsing', message: 'Finalizing resume content' });
+        return this.resumeContentPayload(LLMService.parseJSON('resumeContent', text), effectiveRole);
+      } catch (error) {
+        if (attempt === maxRetries || options.signal?.aborted) {
+          throw error; // Trigger local fallback
+        }
+        console.warn(`Resume generation attempt ${attempt} failed: ${error.message}`);
+        // Partial text from the failed attempt is superseded by the retry
+        onEvent('progress', { stage: 'retrying', attempt, message: 'Retrying resume generation' });
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+  }
+
+  async parseResumeText(text, options = {}) {
+    // Always try AI first, but immediately fallback to local if any issues
+    try {
+      if (await this.canUseAI('resumeImport', options.user) && this.circuitState !== 'OPEN') {
+        return await this.withCircuitBreaker(async () => {
+          await this.withRateLimit();
+          return await this.parseResumeTextWithAI(text, options.user);
+        });
+      }
+    } catch (error) {
+      // Silently handle AI failures without console spam
+    }
+
+    // Always fall back to the deterministic local parser
+    return {
+      success: true,
+      parsedResume: ResumeImportService.parseTextLocally(text),
+      parseMethod: 'local'
+    };
+  }
+
+  async parseResumeTextWithAI(text, user) {
+    const prompt = `Extract the structured resume below into JSON.
+
+RULES:
+- Copy text as written, do not rewrite, summarize or invent anything
+- One experience entry per role, with each bullet as a separate description item
+- Keep dates as they appear (e.g. "Jan 2020", "Present"); set current to true for ongoing roles
+- Split the degree ("Bachelor of Science") from the field of study ("Computer Science")
+- Put programming languages in skills.technical and spoken languages in skills.languages
+- Leave out any section that is not present
+
+Resume text:
+${text.substring(0, 12000)}
+
+IMPORTANT: Generate ONLY valid JSON. No extra text.`;
+
+    const { data: parsed } = await LLMService.generateJSON('resumeImport', {
+      prompt,
+      schema: resumeImportSchema,
+      temperature: 0.1,
+      maxOutputTokens: 4000,
+      timeout: 25000,
+      user
+    });
+
+    return {
+      success: true,
+      parsedResume: ResumeImportService.normalizeParsedResume(parsed),
+      parseMethod: 'ai'
+    };
+  }
+
+  /**
+   * Rewrite a resume's summary and bullets toward a job posting
+   * @param {Object} resumeData - Plain resume object
+   * @param {Object} job
+   * @param {string} job.jobDescription - Full posting text
+   * @param {string} [job.targetRole] - Job title
+   * @returns {Promise<{ summary: string, experience: Object[], projects: Object[], technicalSkills: string[], tailoringMethod: string }>}
+   */
+  async tailorResumeForJob(resumeData, job, options = {}) {
+    // Always try AI first, but immediately fallback to local if any issues
+    try {
+      if (await this.canUseAI('tailor', options.user) && this.circuitState !== 'OPEN') {
+        return await this.withCircuitBreaker(async () => {
+          await this.withRateLimit();
+          return await this.tailorResumeForJobWithAI(resumeData, job, options.user);
+        });
+      }
+    } catch (error) {
+      // Silently handle AI failures without console spam
+    }
+
+    return this.tailorResumeLocally(resumeData, job);
+  }
+
+  async tailorResumeForJobWithAI(resumeData, job, user) {
+    const { jobDescription, targetRole } = job;
+
+    const source = {
+      summary: resumeData.personalInfo?.summary || '',
+      experience: (resumeData.experience || []).map((exp, index) => ({
+        index,
+        position: exp.position,
+        company: exp.company,
+        description: exp.description || []
+      })),
+      projects: (resumeData.projects || []).map((proj, index) => ({
+        index,
+        name: proj.name,
+        technologies: proj.technologies || [],
+        description: proj.description || ''
+      })),
+      technicalSkills: resumeData.skills?.technical || []
+    };
+    const requirements = JobDescriptionAnalyzer.analyze(jobDescription, { title: targetRole });
+
+    const prompt = `Tailor this resume to the job below.
+
+RULES:
+- Rewrite the summary and bullets to emphasise experience relevant to the job
+- Use the job's terminology where the candidate's experience supports it
+- Never invent employers, titles, dates, metrics or skills the candidate does not show
+- Keep one output bullet per input bullet and reference entries by their index
+- Start bullets with strong action verbs and keep existing numbers
+
+Job title: ${targetRole || 'Not specified'}
+Key requirements: ${JSON.stringify({ required: requirements.requiredKeywords, preferred: requirements.preferredKeywords })}
+Job description:
+${jobDescription.substring(0, 6000)}
+
+Resume:
+${JSON.stringify(source, null, 1)}
+
+IMPORTANT: Generate ONLY valid JSON. No extra text.`;
+
+    const { data: parsed } = await LLMService.generateJSON('tailor', {
+      prompt,
+      schema: resumeTailorSchema,
+      temperature: 0.4,
+      maxOutputTokens: 3000,
+      timeout: 25000,
+      user
+    });
+
+    const experienceCount = source.experience.length;
+    const projectCount = source.projects.length;
+    const known = new Set(source.technicalSkills.map(skill => skill.toLowerCase()));
+
+    return {
+      summary: typeof parsed.summary === 'string' ? parsed.summary.trim() : source.summary,
+      experience: (Array.isArray(parsed.experience) ? parsed.experience : [])
+        .filter(item => Number.isInteger(item.index) && item.index >= 0 && item.index < experienceCount && Array.isArray(item.description))
+        .map(item => ({ index: item.index, description: item.description.map(line => String(line).trim()).filter(Boolean) })),
+      projects: (Array.isArray(parsed.projects) ? parsed.projects : [])
+        .filter(item => Number.isInteger(item.index) && item.index >= 0 && item.index < projectCount && typeof item.description === 'string')
+        .map(item => ({ index: item.index, description: item.description.trim() })),
+      // Reordering only: skills the model added are dropped
+      technicalSkills: (Array.isArray(parsed.technicalSkills) ? parsed.technicalSkills : [])
+        .filter(skill => known.has(String(skill).toLowerCase())),
+      tailoringMethod: 'ai'
+    };
+  }
+
+  // Local tailoring reorders content by relevance instead of rewriting it
+  tailorResumeLocally(resumeData, job) {
+    const { jobDescription, targetRole } = job;
+    const analysis = JobDescriptionAnalyzer.analyze(jobDescription, { title: targetRole });
+    const wanted = new Set(analysis.keywords);
+    const relevance = text => JobDescriptionAnalyzer.findSkills(text).filter(skill => wanted.has(skill.name)).length;
+    const byRelevance = items => items
+      .map((item, position) => ({ item, position, score: relevance(item) }))
+      .sort((a, b) => b.score - a.score || a.position - b.position)
+      .map(entry => entry.item);
+
+    const technical = resumeData.skills?.technical || [];
+    const technicalSkills = byRelevance(technical);
+    const matchedSkills = technicalSkills.filter(skill => relevance(skill) > 0);
+
+    let summary = resumeData.personalInfo?.summary?.trim() || '';
+    if (!summary) {
+      summary = TaxonomyService.summary(targetRole || resumeData.roleApplyingFor || 'Professional', {
+        isFresher: resumeData.isFresher,
+        skills: (matchedSkills.length ? matchedSkills : technical).slice(0, 3).join(', ') || 'programming',
+        years: resumeData.experience?.length || 0
+      });
+    } else {
+      const unmentioned = matchedSkills.filter(skill => !summary.toLowerCase().includes(skill.toLowerCase()));
+      if (unmentioned.length > 0) {
+        const named = unmentioned.slice(0, 3);
+        const list = named.length > 1 ? `${named.slice(0, -1).join(', ')} and ${named[named.length - 1]}` : named[0];
+        summary = `${summary.replace(/\.?$/, '.')} Hands-on experience with ${list}.`;
+      }
+    }
+
+    return {
+      summary,
+      experience: (resumeData.experience || []).map((exp, index) => ({
+        index,
+        description: byRelevance(exp.description || [])
+      })),
+      projects: [],
+      technicalSkills,
+      tailoringMethod: 'local'
+    };
+  }
+
+  /**
+   * Write a cover letter for a job from a resume
+   * @param {Object} resumeData - Plain resume object
+   * @param {Object} job
+   * @param {string} job.jobDescription - Full posting text
+   * @param {string} [job.jobTitle]
+   * @param {string} [job.company]
+   * @param {string} [job.hiringManager]
+   * @returns {Promise<{ success: boolean, coverLetter: Object, generationMethod: string }>}
+   */
+  async generateCoverLetter(resumeData, job, options = {}) {
+    // Always try AI first, but immediately fallback to local if any issues
+    try {
+      if (await this.canUseAI('coverLetter', options.user) && this.circuitState !== 'OPEN') {
+        return await this.withCircuitBreaker(async () => {
+          await this.withRateLimit();
+          return await this.generateCoverLetterWithAI(resumeData, job, options.user);
+        });
+      }
+    } catch (error) {
+      // Silently handle AI failures without console spam
+    }
+
+    return this.generateCoverLetterLocally(resumeData, job);
+  }
+
+  async generateCoverLetterWithAI(resumeData, job, user) {
+    const { jobDescription, jobTitle, company, hiringManager } = job;
+
+    const resumeSummary = {
+      name: fullName(resumeData.personalInfo),
+      summary: resumeData.personalInfo?.summary || '',
+      skills: resumeData.skills?.technical?.slice(0, 15) || [],
+      experience: resumeData.experience?.slice(0, 3).map(exp => ({
+        position: exp.position,
+        company: exp.company,
+        description: exp.description?.slice(0, 5)
+      })) || [],
+      projects: resumeData.projects?.slice(0, 3).map(proj => ({
+        name: proj.name,
+        technologies: proj.technologies,
+        description: proj.description
+      })) || [],
+      education: resumeData.education?.slice(0, 1).map(edu => ({ degree: edu.degree, field: edu.field, institution: edu.institution })) || []
+    };
+
+    const prompt = `Write a cover letter for this candidate.
+
+RULES:
+- Greeting: address ${hiringManager || 'the hiring manager'}${company ? ` at ${company}` : ''}
+- Hook: one short paragraph naming the ${jobTitle || 'role'} and the candidate's strongest fit
+- Evidence: 2-3 paragraphs, each backed by a specific achievement from the resume
+- Closing: one short paragraph with a call to action
+- Only use facts from the resume; never invent employers, metrics or skills
+- Professional, confident tone; no placeholders like [Company]
+
+Job description:
+${jobDescription.substring(0, 6000)}
+
+Resume:
+${JSON.stringify(resumeSummary, null, 1)}
+
+IMPORTANT: Generate ONLY valid JSON. No extra text.`;
+
+    const { data: parsed } = await LLMService.generateJSON('coverLetter', {
+      prompt,
+      schema: coverLetterSchema,
+      temperature: 0.6,
+      maxOutputTokens: 2000,
+      timeout: 25000,
+      user
+    });
+
+    const evidence = (Array.isArray(parsed.evidence) ? parsed.evidence : [])
+      .map(paragraph => String(paragraph).trim())
+      .filter(Boolean);
+    if (!parsed.hook || evidence.length === 0) {
+      throw new Error('Incomplete cover letter from AI');
+    }
+
+    return {
+      success: true,
+      coverLetter: {
+        greeting: parsed.greeting || this.coverLetterGreeting(job),
+        hook: parsed.hook.trim(),
+        evidence,
+        closing: (parsed.closing || '').trim(),
+        signOff: 'Sincerely,',
+        signature: fullName(resumeData.personalInfo)
+      },
+      generationMethod: 'ai'
+    };
+  }
+
+  coverLetterGreeting({ hiringManager, company }) {
+    if (hiringManager) return `Dear ${hiringManager},`;
+    if (company) return `Dear ${company} Hiring Team,`;
+    return 'Dear Hiring Manager,';
+  }
+
+  // Local cover letter built from the resume's most job-relevant bullets
+  generateCoverLetterLocally(resumeData, job) {
+    const { jobDescription, jobTitle, company } = job;
+    const role = jobTitle || resumeData.roleApplyingFor;
+    const employer = company || 'your team';
+    const analysis = JobDescriptionAnalyzer.analyze(jobDescription, { title: jobTitle });
+    const wanted = new Set(analysis.keywords);
+    const relevantSkills = text => JobDescriptionAnalyzer.findSkills(text).filter(skill => wanted.has(skill.name)).map(skill => skill.name);
+
+    // Employers and projects keep their capital when they open a bullet
+    const names = new Set([
+      ...(resumeData.experience || []).map(item => item.company),
+      ...(resumeData.projects || []).map(item => item.name)
+    ].filter(Boolean).flatMap(name => name.split(/\s+/)));
+    // Drop a leading "I" and lower-case the opening verb so a bullet reads as part
+    // of a sentence; "I", acronyms, names and technologies are left alone
+    const asClause = bullet => {
+      const text = bullet.replace(/[.\s]+$/, '').replace(/^I\s+/, '');
+      const first = text.split(/\s+/)[0];
+      const keep = !/^[A-Z](?![A-Z0-9])/.test(first) || /^I\b/.test(first) || names.has(first) ||
+        JobDescriptionAnalyzer.findSkills(first).length > 0;
+      return keep ? text : text[0].toLowerCase() + text.slice(1);
+    };
+    const joinList = items => (items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0]);
+
+    const resumeSkills = relevantSkills(ATSScorer.resumeText(resumeData));
+    const skillPhrase = resumeSkills.length ? joinList(resumeSkills.slice(0, 3)) : (resumeData.skills?.technical || []).slice(0, 3).join(', ');
+    const latest = resumeData.experience?.[0];
+    const education = resumeData.education?.[0];
+
+    let background;
+    if (!resumeData.isFresher && latest?.position) {
+      background = `my experience as ${/^[aeiou]/i.test(latest.position) ? 'an' : 'a'} ${latest.position}${latest.company ? ` at ${latest.company}` : ''}`;
+    } else if (education?.degree) {
+      background = `my ${education.degree}${education.field ? ` in ${education.field}` : ''}`;
+    } else {
+      background = 'my background';
+    }
+    const hook = `I am excited to apply for ${role ? `the ${role} position` : 'this position'}${company ? ` at ${company}` : ''}. ` +
+      `With ${background}${skillPhrase ? ` and hands-on work with ${skillPhrase}` : ''}, I am confident I can make a meaningful contribution from day one.`;
+
+    // Evidence: the bullets that mention the most required skills, then any with numbers
+    const ranked = ATSScorer.collectBullets(resumeData)
+      .filter(bullet => bullet.path.startsWith('experience'))
+      .map((bullet, position) => ({
+        ...bullet,
+        position,
+        score: relevantSkills(bullet.text).length * 2 + (/\d/.test(bullet.text) ? 1 : 0)
+      }))
+      .sort((a, b) => b.score - a.score || a.position - b.position);
+
+    const evidence = [];
+    const byEntry = new Map();
+    ranked.slice(0, 4).forEach(bullet => {
+      const index = Number(bullet.path.match(/^experience\[(\d+)\]/)[1]);
+      if (!byEntry.has(index)) byEntry.set(index, []);
+      byEntry.get(index).push(bullet.text);
+    });
+    [...byEntry.entries()].slice(0, 2).forEach(([index, bullets]) => {
+      const exp = resumeData.experience[index];
+      const opener = exp.company ? `At ${exp.company}` : `As ${exp.position}`;
+      const [first, ...rest] = bullets;
+      evidence.push(`${opener}, I ${asClause(first)}.${rest.length ? ` I also ${rest.map(asClause).join(', and ')}.` : ''}`);
+    });
+
+    const project = (resumeData.projects || []).find(proj => proj.name && proj.description);
+    if (evidence.length < 2 && project) {
+      const firstSentence = String(project.description).split(/(?<=\.)\s/)[0].replace(/[.\s]+$/, '');
+      evidence.push(`I ${evidence.length ? 'also ' : ''}built ${project.name}${project.technologies?.length ? ` using ${joinList(project.technologies.slice(0, 3))}` : ''}: ${asClause(firstSentence)}.`);
+    }
+
+    const missing = analysis.requiredKeywords.filter(keyword => !resumeSkills.includes(keyword)).slice(0, 2);
+    if (evidence.length === 0) {
+      evidence.push(`Throughout my ${resumeData.isFresher ? 'studies and projects' : 'career'}, I have focused on ${skillPhrase || 'delivering high-quality work'}, and I am eager to bring that focus to ${employer}.`);
+    } else if (missing.length > 0) {
+      evidence.push(`I am also keen to deepen my work with ${joinList(missing)}, which I see are central to this role.`);
+    }
+
+    return {
+      success: true,
+      coverLetter: {
+        greeting: this.coverLetterGreeting(job),
+        hook,
+        evidence,
+        closing: `I would welcome the opportunity to discuss how I can help ${employer} succeed in this role. Thank you for your time and consideration.`,
+        signOff: 'Sincerely,',
+        signature: fullName(resumeData.personalInfo)
+      },
+      generationMethod: 'local'
+    };
+  }
+
   // Local enhancement method when AI is unavailable
   enhanceContentLocally(data) {
     const { personalInfo, skills, education, experience, projects, achievements, roleApplyingFor, isFresher } = data;
@@ -881,38 +1643,15 @@ ${isFresher ? 'CRITICAL: Set experience array to empty [] for fresher candidates
   generateSummary(personalInfo, skills, experience, isFresher, role) {
     // Generate role-based summary if role is provided, otherwise preserve existing
     if (!role || role === 'Professional') {
-      return personalInfo?.summary || `Professional with expertise in various fields. Committed to delivering high-quality results and continuous learning.`;
+      return personalInfo?.summary || TaxonomyService.genericSummary();
     }
     
-    const skillList = skills?.technical?.slice(0, 3).join(', ') || 'programming';
-    const roleSpecific = role || 'Professional';
-    const expCount = experience?.length || 0;
-    
-    if (isFresher) {
-      // Fresher summaries based on role - NO EXPERIENCE MENTIONED
-      const fresherSummaries = {
-        'Software Engineer': `Recent Computer Science graduate with strong foundation in ${skillList}. Passionate about developing innovative software solutions and eager to apply academic knowledge to real-world challenges. Seeking to contribute fresh perspectives and grow within a dynamic development team.`,
-        'Frontend Developer': `Creative and detail-oriented graduate with expertise in ${skillList}. Passionate about creating intuitive user interfaces and exceptional user experiences. Eager to apply modern frontend development skills to build engaging web applications.`,
-        'Backend Developer': `Analytical and problem-solving graduate with strong foundation in ${skillList}. Passionate about building robust server-side applications and optimizing system performance. Seeking to apply backend development skills to create scalable solutions.`,
-        'Full Stack Developer': `Versatile and motivated graduate with comprehensive skills in ${skillList}. Passionate about end-to-end development and creating complete web solutions. Eager to contribute to both frontend and backend development projects.`,
-        'Data Scientist': `Analytical graduate with strong foundation in ${skillList} and statistical analysis. Passionate about extracting insights from data and building predictive models. Seeking to apply data science skills to solve complex business problems.`,
-        'Product Manager': `Strategic and communication-focused graduate with understanding of ${skillList}. Passionate about product development and user-centric solutions. Eager to apply analytical and leadership skills to drive product success.`
-      };
-      
-      return fresherSummaries[roleSpecific] || `Recent ${roleSpecific} graduate with strong foundation in ${skillList}. Eager to apply academic knowledge and passion for technology to contribute to innovative projects and grow within a dynamic team.`;
-    }
-    
-    // Experienced summaries based on role and actual experience
-    const experiencedSummaries = {
-      'Software Engineer': `Results-driven Software Engineer with ${expCount}+ years of experience in ${skillList}. Proven track record of delivering high-quality software solutions and leading development projects. Passionate about code optimization, mentorship, and implementing best practices.`,
-      'Frontend Developer': `Creative Frontend Developer with ${expCount}+ years of expertise in ${skillList}. Specialized in building responsive, user-centric interfaces and enhancing user experience. Committed to staying current with frontend trends and accessibility standards.`,
-      'Backend Developer': `Experienced Backend Developer with ${expCount}+ years specializing in ${skillList}. Expert in designing scalable architectures, optimizing database performance, and implementing robust API solutions. Focus on system reliability and security.`,
-      'Full Stack Developer': `Versatile Full Stack Developer with ${expCount}+ years of comprehensive experience in ${skillList}. Proven ability to handle end-to-end development from concept to deployment. Passionate about creating seamless user experiences and robust backend systems.`,
-      'Data Scientist': `Experienced Data Scientist with ${expCount}+ years in ${skillList} and machine learning. Expert in data analysis, model development, and generating actionable insights. Track record of driving data-driven decision making and business value.`,
-      'Product Manager': `Strategic Product Manager with ${expCount}+ years of experience in product lifecycle management. Skilled in cross-functional collaboration, user research, and driving product vision. Proven ability to deliver products that meet market needs and business objectives.`
-    };
-    
-    return experiencedSummaries[roleSpecific] || `Experienced ${roleSpecific} with expertise in ${skillList}. Proven track record of delivering high-quality solutions and driving project success.`;
+    // Fresher templates never mention years of experience
+    return TaxonomyService.summary(role, {
+      isFresher,
+      skills: skills?.technical?.slice(0, 3).join(', ') || 'programming',
+      years: experience?.length || 0
+    });
   }
   
   generateObjective(personalInfo, education, skills, role) {
@@ -943,78 +1682,11 @@ ${isFresher ? 'CRITICAL: Set experience array to empty [] for fresher candidates
     if (!education || education.length === 0) return '';
     
     const edu = education[0]; // Use first education entry
-    const field = edu.field || 'General Studies';
-    const degree = edu.degree || 'Degree';
-    
-    const courseSummaries = {
-      'Computer Science': {
-        'Software Engineer': 'Completed rigorous coursework in software engineering principles, algorithms, data structures, and system design. Developed strong foundation in programming languages, database management, and software development methodologies. Gained hands-on experience through lab sessions and collaborative projects focusing on scalable application development.',
-        'Frontend Developer': 'Focused on web development, user interface design, and interactive systems. Studied JavaScript frameworks, responsive design principles, and modern frontend technologies. Completed projects emphasizing user experience design, accessibility standards, and performance optimization for web applications.',
-        'Backend Developer': 'Specialized in server-side architecture, database systems, and API development. Completed coursework in distributed systems, cloud computing, and backend optimization. Gained practical experience in building scalable server solutions and managing complex data infrastructures.',
-        'Data Scientist': 'Emphasized statistical analysis, machine learning, and data visualization. Studied advanced mathematics, programming for data analysis, and predictive modeling techniques. Completed hands-on projects working with real datasets to extract actionable insights and build predictive models.'
-      },
-      'Business Administration': {
-        'Product Manager': 'Completed comprehensive business curriculum with focus on product strategy, market analysis, and project management. Developed skills in business intelligence, user research, and cross-functional leadership. Participated in case studies analyzing successful product launches and go-to-market strategies.',
-        'Software Engineer': 'Combined business acumen with technical foundation. Studied business process optimization, technology management, and strategic planning for tech organizations. Gained understanding of how technical solutions drive business value and competitive advantage.'
-      },
-      'Information Technology': {
-        'Software Engineer': 'Gained practical experience in system administration, network management, and IT infrastructure. Developed understanding of enterprise systems and technology operations. Completed hands-on labs focusing on system security, cloud deployment, and IT service management.',
-        'Backend Developer': 'Focused on infrastructure, cloud services, and system architecture. Studied DevOps principles, security protocols, and scalable system design. Acquired skills in managing complex IT environments and optimizing system performance.'
-      }
-    };
-    
-    const defaultSummary = `Pursued ${degree} in ${field} with comprehensive curriculum covering foundational principles and practical applications. Developed analytical thinking, problem-solving abilities, and domain expertise relevant to ${targetRole || 'professional roles'} through coursework, projects, and collaborative learning experiences.`;
-    
-    const fieldSummaries = courseSummaries[field] || {};
-    return fieldSummaries[targetRole] || defaultSummary;
+    return TaxonomyService.courseSummary(edu.field || 'General Studies', targetRole, edu.degree || 'Degree');
   }
   
   generateExperienceAchievements(exp, skills) {
-    const positionType = this.getPositionType(exp.position);
-    
-    const achievementTemplates = {
-      'Software Engineer': [
-        'Developed and deployed production-ready code following best practices',
-        'Collaborated in agile teams to deliver features on schedule',
-        'Optimized application performance improving user experience',
-        'Participated in code reviews ensuring quality standards'
-      ],
-      'Frontend Developer': [
-        'Built responsive user interfaces with modern frameworks',
-        'Improved website performance and accessibility standards',
-        'Collaborated with UX teams to implement design systems',
-        'Developed reusable components following best practices'
-      ],
-      'Backend Developer': [
-        'Designed and implemented RESTful APIs and microservices',
-        'Optimized database queries improving system performance',
-        'Ensured system security and data protection protocols',
-        'Managed cloud infrastructure and deployment pipelines'
-      ],
-      'Product Manager': [
-        'Led product strategy and roadmap development',
-        'Conducted user research and market analysis',
-        'Collaborated with cross-functional teams for product delivery',
-        'Defined product requirements and success metrics'
-      ]
-    };
-    
-    const defaultAchievements = [
-      `Successfully contributed to ${exp.position} responsibilities`,
-      'Collaborated effectively with team members',
-      'Demonstrated problem-solving skills'
-    ];
-    
-    return achievementTemplates[positionType] || defaultAchievements;
-  }
-  
-  getPositionType(position) {
-    const pos = position.toLowerCase();
-    if (pos.includes('software') || pos.includes('developer') || pos.includes('engineer')) return 'Software Engineer';
-    if (pos.includes('frontend') || pos.includes('ui') || pos.includes('ux')) return 'Frontend Developer';
-    if (pos.includes('backend') || pos.includes('server') || pos.includes('api')) return 'Backend Developer';
-    if (pos.includes('product') || pos.includes('manager')) return 'Product Manager';
-    return 'General';
+    return TaxonomyService.bullets(exp.position);
   }
   
   enhanceAchievementDescription(ach) {
@@ -1138,44 +1810,253 @@ ${isFresher ? 'CRITICAL: Set experience array to empty [] for fresher candidates
   }
 
   
-  async reviewResume(resumeData, jobDescription) {
-    try {
-      const model = this.genAI.getGenerativeModel({ 
-        model: 'gemini-2.5-flash',
-        generationConfig: {
-          temperature: 0.5,
-          maxOutputTokens: 1500
-        }
-      });
+  reviewRequest(resumeData, jobDescription) {
+    const prompt = `Review this resume${jobDescription ? ' against the target job description' : ''}.
 
-      const prompt = `Please review the following resume and provide detailed feedback:
-      
 Resume:
 ${JSON.stringify(resumeData, null, 2)}
 
 ${jobDescription ? `Target Job Description:
-${jobDescription}` : ''}
-
-Please provide feedback on:
-1. Overall structure and formatting
-2. Content quality and relevance
-3. ATS optimization
-4. Areas for improvement
-5. Suggested action items`;
-
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      return response.text();
+${jobDescription}
+
+` : ''}RULES:
+- Score each dimension from 0 to 100: ${REVIEW_DIMENSIONS.map(item => `${item.dimension} (${item.description})`).join(', ')}
+- Comment on specific lines. "path" uses the resume's JSON keys and zero-based indexes, e.g. experience[1].description[2], projects[0].description or personalInfo.summary
+- Severity is critical, warning or suggestion
+- Include a rewritten line as "suggestion" when the fix is better wording
+- Only use facts from the resume; never invent employers, metrics or skills
+
+IMPORTANT: Generate ONLY valid JSON. No extra text.`;
+
+    return { prompt, schema: reviewSchema, temperature: 0.4, maxOutputTokens: 2500, timeout: 30000 };
+  }
+
+  /**
+   * Structured review: a 0-100 score for each of REVIEW_DIMENSIONS plus
+   * comments pinned to resume paths. The rule-based fallback returns the
+   * same shape when AI is unavailable.
+   */
+  async reviewResume(resumeData, jobDescription, options = {}) {
+    try {
+      if (await this.canUseAI('review', options.user) && this.circuitState !== 'OPEN') {
+        return await this.withCircuitBreaker(async () => {
+          await this.withRateLimit();
+          const { data } = await LLMService.generateJSON('review', {
+            ...this.reviewRequest(resumeData, jobDescription),
+            user: options.user
+          });
+          return this.normalizeReview(data, resumeData, jobDescription);
+        });
+      }
     } catch (error) {
-      console.error('Error reviewing resume:', error);
-      throw new Error('Failed to review resume. Please try again later.');
+      // Silently handle AI failures without console spam
     }
+
+    return this.reviewResumeLocally(resumeData, jobDescription);
+  }
+
+  /**
+   * Streaming variant of reviewResume. Sends `delta` chunks of the review
+   * JSON and a `section` event as each part of it starts arriving.
+   * @returns {Promise<Object>} The same review reviewResume resolves with
+   */
+  async reviewResumeStream(resumeData, jobDescription, onEvent, options = {}) {
+    try {
+      if (await this.canUseAI('review', options.user) && this.circuitState !== 'OPEN') {
+        return await this.withCircuitBreaker(async () => {
+          await this.withRateLimit();
+          onEvent('progress', { stage: 'reviewing', message: 'Reviewing resume' });
+
+          const scanSections = createSectionScanner();
+          const result = await LLMService.stream('review', {
+            ...this.reviewRequest(resumeData, jobDescription),
+            signal: options.signal,
+            user: options.user,
+            onText: chunk => {
+              onEvent('delta', { text: chunk });
+              scanSections(chunk).forEach(section => onEvent('section', { section }));
+            }
+          });
+
+          onEvent('progress', { stage: 'parsing', message: 'Finalizing review' });
+          return this.normalizeReview(LLMService.parseJSON('review', result.text), resumeData, jobDescription);
+        });
+      }
+    } catch (error) {
+      if (options.signal?.aborted) throw error;
+    }
+
+    onEvent('progress', { stage: 'local', message: 'Reviewing resume locally' });
+    const review = this.reviewResumeLocally(resumeData, jobDescription);
+    reviewSchema.required.forEach(section => onEvent('section', { section }));
+    return review;
+  }
+
+  // Fit a model's review to the local review's shape. Dimensions the model
+  // skipped keep their local score, and comments on paths outside the
+  // resume are dropped.
+  normalizeReview(parsed, resumeData, jobDescription) {
+    const local = this.reviewResumeLocally(resumeData, jobDescription);
+    const scored = new Map((Array.isArray(parsed.dimensions) ? parsed.dimensions : [])
+      .filter(item => item && typeof item.score === 'number')
+      .map(item => [item.dimension, item]));
+    const strings = list => (Array.isArray(list) ? list.filter(item => typeof item === 'string' && item.trim()) : []);
+
+    const dimensions = local.dimensions.map(fallback => {
+      const item = scored.get(fallback.dimension);
+      return item
+        ? { ...fallback, score: clampScore(item.score), feedback: String(item.feedback || fallback.feedback) }
+        : fallback;
+    });
+
+    const comments = (Array.isArray(parsed.comments) ? parsed.comments : [])
+      .filter(item => item && typeof item.comment === 'string' && item.comment.trim() && isReviewPath(resumeData, item.path))
+      .map(item => ({
+        path: item.path,
+        dimension: REVIEW_DIMENSIONS.some(dim => dim.dimension === item.dimension) ? item.dimension : null,
+        severity: REVIEW_SEVERITIES.includes(item.severity) ? item.severity : 'suggestion',
+        comment: item.comment.trim(),
+        suggestion: typeof item.suggestion === 'string' && item.suggestion.trim() ? item.suggestion.trim() : null
+      }));
+
+    return this.reviewPayload({
+      summary: typeof parsed.summary === 'string' && parsed.summary.trim() ? parsed.summary.trim() : local.summary,
+      dimensions,
+      comments,
+      strengths: strings(parsed.strengths),
+      actionItems: strings(parsed.actionItems).length ? strings(parsed.actionItems) : local.actionItems
+    }, 'ai');
+  }
+
+  reviewPayload(review, reviewMethod) {
+    const severityRank = severity => REVIEW_SEVERITIES.indexOf(severity);
+    return {
+      overallScore: clampScore(review.dimensions.reduce((sum, item) => sum + item.score, 0) / review.dimensions.length),
+      summary: review.summary,
+      dimensions: review.dimensions,
+      // Most severe first; sort is stable so comments keep resume order within a severity
+      comments: [...review.comments]
+        .sort((a, b) => severityRank(a.severity) - severityRank(b.severity))
+        .slice(0, MAX_REVIEW_COMMENTS),
+      strengths: review.strengths,
+      actionItems: review.actionItems,
+      reviewMethod
+    };
+  }
+
+  // Rule-based review when AI is unavailable, built on the ATS scorer's checks
+  reviewResumeLocally(resumeData, jobDescription) {
+    const targetRole = resumeData.roleApplyingFor;
+    const ats = ATSScorer.score(resumeData, {
+      jobDescription,
+      expectedKeywords: this.getRoleKeywords(targetRole)
+    });
+    const criteria = Object.fromEntries(ats.breakdown.map(item => [item.criterion, item]));
+    const bullets = ATSScorer.collectBullets(resumeData);
+    const comments = [];
+    const comment = (path, dimension, severity, text) => comments.push({ path, dimension, severity, comment: text, suggestion: null });
+
+    // Structure: missing sections and roles without bullets
+    const missingSections = {
+      'contact details': { path: 'personalInfo', severity: 'critical', text: 'Add an email address and phone number' },
+      summary: { path: 'personalInfo.summary', severity: 'warning', text: 'Add a two or three sentence professional summary' },
+      experience: { path: 'experience', severity: 'critical', text: 'Add your work experience' },
+      'experience or projects': { path: 'experience', severity: 'critical', text: 'Add internships, work experience or projects' },
+      education: { path: 'education', severity: 'critical', text: 'Add your education' },
+      skills: { path: 'skills.technical', severity: 'critical', text: 'List your technical skills' },
+      'projects, achievements or certifications': { path: 'projects', severity: 'suggestion', text: 'Add projects, achievements or certifications' }
+    };
+    ats.missingSections
+      .map(section => missingSections[section])
+      .filter(Boolean)
+      .forEach(({ path, severity, text }) => comment(path, 'structure', severity, text));
+    (resumeData.experience || []).forEach((exp, i) => {
+      const lines = Array.isArray(exp.description) ? exp.description.filter(Boolean) : [];
+      if (lines.length === 0) {
+        comment(`experience[${i}].description`, 'structure', 'warning', `Add 2-4 bullets on what you achieved as ${exp.position || 'this role'}`);
+      }
+    });
+
+    // Impact and clarity, bullet by bullet
+    const unclear = new Set();
+    bullets.forEach(bullet => {
+      const words = bullet.text.split(/\s+/).filter(Boolean).length;
+      if (!ATSScorer.startsWithActionVerb(bullet.text)) {
+        comment(bullet.path, 'impact', 'warning', 'Open with a strong action verb such as "Led", "Built" or "Reduced"');
+      }
+      if (!ATSScorer.isQuantified(bullet.text)) {
+        comment(bullet.path, 'impact', 'suggestion', 'Add a number that shows the result: scale, time saved, revenue or users');
+      }
+      if (words > 35) {
+        unclear.add(bullet);
+        comment(bullet.path, 'clarity', 'warning', `This line runs ${words} words; keep bullets to one idea and under 30 words`);
+      } else if (words < 4) {
+        unclear.add(bullet);
+        comment(bullet.path, 'clarity', 'suggestion', 'Too short to show what you did; add the outcome');
+      }
+      if (FIRST_PERSON.test(bullet.text)) {
+        unclear.add(bullet);
+        comment(bullet.path, 'clarity', 'warning', 'Drop first-person pronouns; resume lines are written without them');
+      }
+    });
+
+    const summaryWords = (resumeData.personalInfo?.summary || '').split(/\s+/).filter(Boolean).length;
+    if (summaryWords > 80) {
+      comment('personalInfo.summary', 'clarity', 'warning', `The summary runs ${summaryWords} words; cut it to two or three sentences`);
+    }
+
+    // Relevance: keywords the job or role expects that the resume lacks
+    if (ats.keywordsMissing.length > 0) {
+      comment('skills.technical', 'relevance', jobDescription ? 'warning' : 'suggestion',
+        `Missing ${jobDescription ? 'job' : 'role'} keywords: ${ats.keywordsMissing.slice(0, 5).join(', ')}. Add the ones you genuinely have`);
+    }
+
+    const clarityScore = bullets.length
+      ? clampScore(100 * (1 - unclear.size / bullets.length) - (summaryWords > 80 ? 10 : 0))
+      : 0;
+    const scores = {
+      structure: {
+        score: clampScore(criteria.sections.score * 0.7 + criteria.length.score * 0.3),
+        feedback: `${criteria.sections.details}; ${criteria.length.details}`
+      },
+      impact: {
+        score: clampScore((criteria.quantified.score + criteria.actionVerbs.score) / 2),
+        feedback: `${criteria.quantified.details}; ${criteria.actionVerbs.details}`
+      },
+      clarity: {
+        score: clarityScore,
+        feedback: bullets.length
+          ? `${unclear.size} of ${bullets.length} bullets are too long, too short or use first-person pronouns`
+          : 'No bullet points to evaluate'
+      },
+      atsReadiness: {
+        score: ats.score,
+        feedback: `Estimated ATS score ${ats.score}/100`
+      },
+      relevance: {
+        score: criteria.keywords.score,
+        feedback: criteria.keywords.details
+      }
+    };
+
+    const dimensions = REVIEW_DIMENSIONS.map(({ dimension, label }) => ({ dimension, label, ...scores[dimension] }));
+    const ranked = [...dimensions].sort((a, b) => b.score - a.score);
+    const overall = clampScore(dimensions.reduce((sum, item) => sum + item.score, 0) / dimensions.length);
+
+    return this.reviewPayload({
+      summary: `Overall ${overall}/100. Strongest area: ${ranked[0].label.toLowerCase()} (${ranked[0].score}/100); ` +
+        `weakest: ${ranked[ranked.length - 1].label.toLowerCase()} (${ranked[ranked.length - 1].score}/100).`,
+      dimensions,
+      comments,
+      strengths: dimensions.filter(item => item.score >= 80).map(item => `${item.label}: ${item.feedback}`),
+      actionItems: this.generateLocalSuggestions(resumeData, ats, targetRole)
+    }, 'local');
   }
 
   async computeATSScore(resumeData, options = {}) {
     // Always try AI first, but immediately fallback to local if any issues
     try {
-      if (this.isAvailable() && this.circuitState !== 'OPEN') {
+      if (await this.canUseAI('atsScore', options.user) && this.circuitState !== 'OPEN') {
         return await this.withCircuitBreaker(async () => {
           return await this.computeATSScoreWithAI(resumeData, options);
         });
@@ -1191,16 +2072,6 @@ Please provide feedback on:
   async computeATSScoreWithAI(resumeData, options = {}) {
     const { targetRole, jobDescription } = options;
 
-    const model = this.genAI.getGenerativeModel({ 
-      model: 'gemini-2.5-flash',
-      generationConfig: {
-        temperature: 0.3,
-        maxOutputTokens: 800,
-        responseMimeType: "application/json",
-        responseSchema: atsScoreSchema,
-      }
-    });
-
     // Create a concise summary of resume data to save tokens
     const resumeSummary = {
       summary: resumeData.personalInfo?.summary || '',
@@ -1219,9 +2090,22 @@ Please provide feedback on:
       achievements: resumeData.achievements?.slice(0, 3) || []
     };
 
+    const jobKeywords = jobDescription && jobDescription.trim()
+      ? ATSScorer.jobKeywords(jobDescription)
+      : null;
+    const requirements = jobKeywords ? {
+      seniority: jobKeywords.analysis.seniority,
+      yearsOfExperience: jobKeywords.analysis.yearsOfExperience,
+      required: jobKeywords.required,
+      preferred: jobKeywords.preferred,
+      certifications: jobKeywords.analysis.certifications
+    } : null;
+
     const prompt = `ATS analysis for ${targetRole || 'general'}.
 Resume: ${JSON.stringify(resumeSummary, null, 1)}
-${jobDescription ? `Job: ${jobDescription.substring(0, 300)}` : ''}
+${requirements ? `Job requirements: ${JSON.stringify(requirements)}
+Job description:
+${jobDescription.trim()}` : ''}
 
 Evaluate:
 1. Keyword match (0-100)
@@ -1237,42 +2121,32 @@ IMPORTANT: Generate ONLY valid JSON. No extra text.`;
     
     while (retryCount < maxRetries) {
       try {
-        const result = await Promise.race([
-          model.generateContent(prompt),
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('ATS analysis timeout')), 15000)
-          )
-        ]);
-        
-        let content = result.response.text().trim();
-        
-        // Store original for debugging
-        const originalContent = content;
-        
-        // Scrub the JSON
-        content = scrubJsonText(content);
-        
-        // Log if scrubbing made changes (for debugging)
-        if (originalContent !== content) {
-          console.log('ATS JSON content was scrubbed/fixed');
-        }
-        
-        let parsed;
-        try {
-          parsed = JSON.parse(content);
-        } catch (parseError) {
-          console.error('ATS JSON parse failed, falling back to local:', parseError.message);
-          console.error('Problematic content:', content.substring(0, 500) + '...');
-          throw new Error('Invalid JSON from AI');
-        }
+        const { data: parsed } = await LLMService.generateJSON('atsScore', {
+          prompt,
+          schema: atsScoreSchema,
+          temperature: 0.3,
+          maxOutputTokens: 800,
+          timeout: 15000,
+          user: options.user
+        });
+
+        // Keyword lists for a job come from the analyzer so both paths agree on them
+        const keywords = jobKeywords
+          ? ATSScorer.scoreKeywords(resumeData, jobKeywords.required, jobKeywords.preferred)
+          : null;
 
         // Normalize fields
         return {
           score: typeof parsed.score === 'number' ? Math.max(0, Math.min(100, Math.round(parsed.score))) : null,
           summary: parsed.summary || '',
-          keywordsMatched: Array.isArray(parsed.keywordsMatched) ? parsed.keywordsMatched : [],
-          keywordsMissing: Array.isArray(parsed.keywordsMissing) ? parsed.keywordsMissing : [],
+          keywordsMatched: keywords
+            ? keywords.matched.slice(0, 10)
+            : Array.isArray(parsed.keywordsMatched) ? parsed.keywordsMatched : [],
+          keywordsMissing: keywords
+            ? keywords.missing.slice(0, 10)
+            : Array.isArray(parsed.keywordsMissing) ? parsed.keywordsMissing : [],
           suggestions: Array.isArray(parsed.suggestions) ? parsed.suggestions : [],
+          jobAnalysis: jobKeywords ? jobKeywords.analysis : null,
           computationMethod: 'ai'
         };
       } catch (error) {
@@ -1288,191 +2162,74 @@ IMPORTANT: Generate ONLY valid JSON. No extra text.`;
 
   // Local ATS computation when AI is unavailable
   computeATSScoreLocally(resumeData, options = {}) {
-    const { targetRole } = options;
-    
-    // Calculate resume completeness score
-    const completenessScore = this.calculateResumeCompleteness(resumeData);
-    
-    let score;
-    let summary;
-    
-    if (completenessScore < 0.4) {
-      // Incomplete resume - below 50
-      score = Math.floor(Math.random() * 15) + 35; // 35-50 range
-      summary = `ATS Score: ${score}/100 - Resume appears incomplete. Please add more sections like projects, achievements, or certifications to improve your score.`;
-    } else {
-      // Complete resume - 70-80 range based on length
-      const resumeLength = this.calculateResumeLength(resumeData);
-      
-      // Base score between 70-80, adjusted by resume length
-      const baseScore = Math.floor(Math.random() * 11) + 70; // 70-80 range
-      
-      // Add bonus for longer, more detailed resumes
-      const lengthBonus = Math.min(resumeLength / 1000, 5); // Up to 5 points bonus
-      score = Math.min(baseScore + lengthBonus, 80);
-      
-      summary = `ATS Score: ${score}/100 - ${score >= 75 ? 'Strong match!' : 'Good match!'} Your resume shows good potential for ${targetRole || 'this role'}.`;
-    }
-    
-    const keywords = this.extractKeywords(resumeData);
-    const missingKeywords = this.getMissingKeywords(targetRole, keywords);
-    
+    const { targetRole, jobDescription } = options;
+
+    const result = ATSScorer.score(resumeData, {
+      jobDescription,
+      expectedKeywords: this.getRoleKeywords(targetRole)
+    });
+
+    const ranked = [...result.breakdown].sort((a, b) => b.score - a.score);
+    const verdict = result.score >= 75 ? 'Strong match!' : result.score >= 55 ? 'Good match.' : 'Needs work.';
+    const summary = `ATS Score: ${result.score}/100 - ${verdict} Strongest area: ${ranked[0].label.toLowerCase()} (${ranked[0].score}/100); ` +
+      `weakest: ${ranked[ranked.length - 1].label.toLowerCase()} (${ranked[ranked.length - 1].score}/100).`;
+
     return {
-      score: Math.round(score),
+      score: result.score,
       summary,
-      keywordsMatched: keywords.slice(0, 5),
-      keywordsMissing: missingKeywords.slice(0, 5),
-      suggestions: this.generateLocalSuggestions(resumeData, score, targetRole),
+      keywordsMatched: result.keywordsMatched.slice(0, 10),
+      keywordsMissing: result.keywordsMissing.slice(0, 10),
+      suggestions: this.generateLocalSuggestions(resumeData, result, targetRole),
+      breakdown: result.breakdown,
+      jobAnalysis: result.jobAnalysis,
       lastComputedAt: new Date().toISOString(),
       computationMethod: 'local'
     };
   }
-  
-  calculateResumeCompleteness(resumeData) {
-    let completeness = 0;
-    let totalChecks = 0;
-    
-    // Check personal info (20% weight)
-    if (resumeData.personalInfo) {
-      if (resumeData.personalInfo.summary) completeness += 0.1;
-      if (resumeData.personalInfo.email) completeness += 0.05;
-      if (resumeData.personalInfo.phone) completeness += 0.05;
-    }
-    totalChecks += 0.2;
-    
-    // Check education (20% weight)
-    if (resumeData.education && resumeData.education.length > 0) {
-      completeness += 0.2;
-    }
-    totalChecks += 0.2;
-    
-    // Check experience (20% weight)
-    if (resumeData.experience && resumeData.experience.length > 0) {
-      completeness += 0.2;
-    }
-    totalChecks += 0.2;
-    
-    // Check skills (15% weight)
-    if (resumeData.skills && resumeData.skills.technical && resumeData.skills.technical.length > 0) {
-      completeness += 0.15;
-    }
-    totalChecks += 0.15;
-    
-    // Check projects (15% weight)
-    if (resumeData.projects && resumeData.projects.length > 0) {
-      completeness += 0.15;
-    }
-    totalChecks += 0.15;
-    
-    // Check achievements (10% weight)
-    if (resumeData.achievements && resumeData.achievements.length > 0) {
-      completeness += 0.1;
-    }
-    totalChecks += 0.1;
-    
-    return completeness / totalChecks;
-  }
-  
-  calculateResumeLength(resumeData) {
-    let length = 0;
-    
-    // Count characters in all text fields
-    if (resumeData.personalInfo?.summary) length += resumeData.personalInfo.summary.length;
-    if (resumeData.personalInfo?.objective) length += resumeData.personalInfo.objective.length;
-    
-    if (resumeData.education) {
-      resumeData.education.forEach(edu => {
-        if (edu.description) length += edu.description.length;
-        if (edu.achievements) length += edu.achievements.join(' ').length;
-      });
-    }
-    
-    if (resumeData.experience) {
-      resumeData.experience.forEach(exp => {
-        if (exp.description) {
-          if (Array.isArray(exp.description)) {
-            length += exp.description.join(' ').length;
-          } else {
-            length += exp.description.length;
-          }
-        }
-        if (exp.achievements) length += exp.achievements.join(' ').length;
-      });
-    }
-    
-    if (resumeData.projects) {
-      resumeData.projects.forEach(proj => {
-        if (proj.description) length += proj.description.length;
-        if (proj.outcomes) length += proj.outcomes.join(' ').length;
-      });
-    }
-    
-    if (resumeData.achievements) {
-      resumeData.achievements.forEach(ach => {
-        if (ach.description) length += ach.description.length;
-      });
-    }
-    
-    return length;
-  }
-  
-  generateLocalSuggestions(resumeData, score, targetRole) {
+
+  generateLocalSuggestions(resumeData, result, targetRole) {
     const suggestions = [];
-    
-    if (score < 75) {
-      suggestions.push(`Add more ${targetRole || 'role'}-specific keywords to improve ATS matching`);
-    }
-    
-    if (!resumeData.personalInfo?.summary) {
-      suggestions.push('Add a professional summary to highlight your strengths');
-    }
-    
-    if (resumeData.skills?.technical && resumeData.skills.technical.length < 5) {
-      suggestions.push('Include more technical skills relevant to your target role');
-    }
-    
-    if (resumeData.experience && resumeData.experience.length > 0) {
-      suggestions.push('Quantify your achievements with specific metrics and numbers');
-    }
-    
-    if (resumeData.projects && resumeData.projects.length > 0) {
-      suggestions.push('Enhance project descriptions with outcomes and technologies used');
+
+    // Address the criteria that cost the most points first
+    const byLostPoints = [...result.breakdown]
+      .filter(item => item.score < 80)
+      .sort((a, b) => (100 - b.score) * b.weight - (100 - a.score) * a.weight);
+
+    byLostPoints.forEach(item => {
+      switch (item.criterion) {
+        case 'keywords':
+          suggestions.push(result.keywordsMissing.length
+            ? `Work these ${targetRole || 'role'} keywords into your resume where they apply: ${result.keywordsMissing.slice(0, 5).join(', ')}`
+            : `Add more ${targetRole || 'role'}-specific keywords to improve ATS matching`);
+          break;
+        case 'sections':
+          suggestions.push(`Complete the missing sections: ${result.missingSections.join(', ')}`);
+          break;
+        case 'quantified':
+          suggestions.push('Quantify your achievements with specific metrics and numbers');
+          break;
+        case 'actionVerbs':
+          suggestions.push('Start each bullet with a strong action verb such as "Led", "Built" or "Reduced"');
+          break;
+        case 'length':
+          suggestions.push(result.wordCount < 400
+            ? 'Add more detail to your experience and projects; the resume is on the short side'
+            : 'Tighten wording and remove older or less relevant bullets; the resume runs long');
+          break;
+        default:
+          break;
+      }
+    });
+
+    if (suggestions.length === 0) {
+      suggestions.push(`Tailor your summary to each ${targetRole || 'role'} you apply for`);
     }
-    
+
     return suggestions.slice(0, 3);
   }
 
-  extractKeywords(resumeData) {
-    const keywords = new Set();
-    
-    // Extract from summary
-    if (resumeData.personalInfo?.summary) {
-      const summaryWords = resumeData.personalInfo.summary.toLowerCase().split(/\s+/);
-      summaryWords.forEach(word => {
-        if (word.length > 3) keywords.add(word);
-      });
-    }
-    
-    // Extract technical skills
-    if (resumeData.skills?.technical) {
-      resumeData.skills.technical.forEach(skill => keywords.add(skill.toLowerCase()));
-    }
-    
-    return Array.from(keywords);
-  }
-  
-  getMissingKeywords(role, keywords) {
-    const roleKeywords = {
-      'Software Engineer': ['javascript', 'react', 'node', 'git', 'api', 'database', 'html', 'css'],
-      'Frontend Developer': ['javascript', 'react', 'html', 'css', 'redux', 'webpack', 'responsive'],
-      'Backend Developer': ['node', 'express', 'mongodb', 'sql', 'api', 'rest', 'graphql'],
-      'Full Stack Developer': ['javascript', 'react', 'node', 'express', 'mongodb', 'sql', 'git']
-    };
-    
-    const expectedKeywords = roleKeywords[role] || roleKeywords['Software Engineer'];
-    const keywordSet = new Set(keywords.map(k => k.toLowerCase()));
-    
-    return expectedKeywords.filter(keyword => !keywordSet.has(keyword.toLowerCase()));
+  getRoleKeywords(role) {
+    return TaxonomyService.roleKeywords(role);
   }
 }
 
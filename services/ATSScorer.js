@@ -0,0 +1,398 @@
+/**
+ * Deterministic ATS scoring engine used when the AI path is unavailable.
+ * The same resume and job description always produce the same score: text is
+ * tokenized and stemmed, then scored against fixed, weighted criteria.
+ */
+
+const JobDescriptionAnalyzer = require('./JobDescriptionAnalyzer');
+
+const STOPWORDS = new Set([
+  'a', 'about', 'above', 'across', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'been', 'being', 'both', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'doing', 'during', 'each',
+  'etc', 'every', 'few', 'for', 'from', 'further', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'his',
+  'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'may', 'me', 'more', 'most', 'must', 'my', 'no',
+  'nor', 'not', 'of', 'on', 'once', 'only', 'or', 'other', 'our', 'ours', 'out', 'over', 'own', 'per', 'plus',
+  'same', 'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there',
+  'these', 'they', 'this', 'those', 'through', 'to', 'too', 'under', 'until', 'up', 'us', 'very', 'was', 'we',
+  'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with', 'within', 'would',
+  'you', 'your', 'yours', 'able', 'ability', 'including', 'strong', 'work', 'working', 'job', 'role',
+  'team', 'teams', 'company', 'candidate', 'experience', 'years', 'year', 'looking', 'join', 'preferred',
+  'required', 'requirements', 'responsibilities', 'qualifications', 'skills', 'knowledge', 'understanding',
+  'good', 'great', 'excellent', 'new', 'well', 'using', 'use', 'based', 'related', 'need', 'needs', 'want',
+  'seeking', 'ideal', 'opportunity', 'e.g', 'i.e'
+]);
+
+const ACTION_VERBS = new Set([
+  'accelerated', 'achieved', 'analyzed', 'architected', 'automated', 'boosted', 'built', 'championed',
+  'collaborated', 'coordinated', 'created', 'cut', 'decreased', 'delivered', 'deployed', 'designed',
+  'developed', 'directed', 'drove', 'eliminated', 'enabled', 'engineered', 'established', 'evaluated',
+  'executed', 'expanded', 'facilitated', 'founded', 'generated', 'grew', 'guided', 'headed', 'implemented',
+  'improved', 'increased', 'initiated', 'integrated', 'introduced', 'launched', 'led', 'maintained', 'managed',
+  'mentored', 'migrated', 'modernized', 'negotiated', 'optimized', 'orchestrated', 'organized', 'oversaw',
+  'partnered', 'pioneered', 'planned', 'presented', 'produced', 'programmed', 'published', 'reduced',
+  'refactored', 'redesigned', 'resolved', 'restructured', 'revamped', 'saved', 'scaled', 'secured',
+  'shipped', 'simplified', 'spearheaded', 'streamlined', 'strengthened', 'supervised', 'tested', 'trained',
+  'transformed', 'tripled', 'doubled', 'upgraded', 'won', 'wrote'
+]);
+
+const QUANTIFIED = /(\d|%|\$|€|£|\b(one|two|three|four|five|six|seven|eight|nine|ten|hundred|thousand|million|billion|dozens?)\b)/i;
+
+// Criterion weights add up to 100
+const WEIGHTS = {
+  keywords: 35,
+  sections: 20,
+  quantified: 15,
+  actionVerbs: 15,
+  length: 15
+};
+
+// Word counts that read as a complete resume without running long
+const LENGTH_BANDS = {
+  fresher: { min: 250, idealMin: 350, idealMax: 650, max: 900 },
+  experienced: { min: 350, idealMin: 450, idealMax: 900, max: 1300 }
+};
+
+const MAX_JOB_KEYWORDS = 25;
+
+// Required job keywords count twice as much as preferred ones
+const REQUIRED_KEYWORD_WEIGHT = 2;
+
+// Below this many recognised terms the posting is padded with its most frequent words
+const MIN_ANALYZED_KEYWORDS = 5;
+
+/**
+ * Light suffix-stripping stemmer (a subset of Porter's rules). Tokens that
+ * contain digits or symbols such as "c++" or "node.js" are left untouched.
+ */
+function stem(word) {
+  if (word.length <= 3 || /[^a-z]/.test(word)) return word;
+
+  let w = word;
+  if (w.endsWith('sses')) w = w.slice(0, -2);
+  else if (w.endsWith('ies')) w = `${w.slice(0, -3)}y`;
+  else if (w.endsWith('s') && !w.endsWith('ss') && !w.endsWith('us') && !(w.endsWith('is') && w.length > 4)) w = w.slice(0, -1);
+
+  const rules = [
+    ['ational', 'ate'], ['ization', 'ize'], ['isation', 'ize'], ['fulness', 'ful'], ['iveness', 'ive'],
+    ['ation', 'ate'], ['ement', ''], ['ment', ''], ['ness', ''], ['ing', ''], ['ed', ''], ['ly', ''], ['er', '']
+  ];
+  // Two passes so that "engineering" and "engineer" end up on the same stem
+  for (let pass = 0; pass < 2; pass++) {
+    const rule = rules.find(([suffix]) => {
+      const base = w.slice(0, -suffix.length);
+      return w.endsWith(suffix) && base.length >= (suffix === 'ly' ? 4 : 3) && /[aeiouy]/.test(base);
+    });
+    if (!rule) break;
+    w = w.slice(0, -rule[0].length) + rule[1];
+    // "running" -> "runn" -> "run"
+    if (/([^aeiouslz])\1$/.test(w)) w = w.slice(0, -1);
+  }
+
+  // Drop a silent final "e" so "manage", "managed" and "managing" agree
+  if (w.length > 4 && w.endsWith('e')) w = w.slice(0, -1);
+  return w;
+}
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9+#./\s-]/g, ' ')
+    .split(/[\s/-]+/)
+    .map(token => token.replace(/^[.]+|[.]+$/g, ''))
+    .filter(token => token.length > 1 && !STOPWORDS.has(token) && !/^\d+$/.test(token));
+}
+
+function stems(text) {
+  return tokenize(text).map(stem);
+}
+
+function clamp(value) {
+  return Math.max(0, Math.min(100, Math.round(value)));
+}
+
+function textOf(value) {
+  if (Array.isArray(value)) return value.filter(Boolean).join('\n');
+  return value ? String(value) : '';
+}
+
+class ATSScorer {
+  constructor() {
+    this.weights = WEIGHTS;
+  }
+
+  tokenize(text) {
+    return tokenize(text);
+  }
+
+  stem(word) {
+    return stem(word);
+  }
+
+  isQuantified(text) {
+    return QUANTIFIED.test(text);
+  }
+
+  startsWithActionVerb(text) {
+    const first = tokenize(String(text).split(/\s+/)[0])[0] || '';
+    return ACTION_VERBS.has(first) || ACTION_VERBS.has(`${first}ed`) || ACTION_VERBS.has(`${first}d`);
+  }
+
+  /**
+   * Every bullet-like line of the resume with the path it came from
+   */
+  collectBullets(resumeData) {
+    const bullets = [];
+
+    (resumeData.experience || []).forEach((exp, i) => {
+      (Array.isArray(exp.description) ? exp.description : textOf(exp.description).split('\n'))
+        .map(line => String(line || '').replace(/^\s*[•\-*]\s*/, '').trim())
+        .filter(Boolean)
+        .forEach((text, j) => bullets.push({ path: `experience[${i}].description[${j}]`, text }));
+    });
+
+    (resumeData.projects || []).forEach((proj, i) => {
+      textOf(proj.description).split('\n')
+        .map(line => line.replace(/^\s*[•\-*]\s*/, '').trim())
+        .filter(Boolean)
+        .forEach(text => bullets.push({ path: `projects[${i}].description`, text }));
+    });
+
+    (resumeData.achievements || []).forEach((ach, i) => {
+      if (ach.description) bullets.push({ path: `achievements[${i}].description`, text: ach.description.trim() });
+    });
+
+    return bullets;
+  }
+
+  resumeText(resumeData) {
+    const info = resumeData.personalInfo || {};
+    const parts = [info.summary, info.objective, resumeData.roleApplyingFor];
+
+    (resumeData.experience || []).forEach(exp => parts.push(exp.position, exp.company, textOf(exp.description)));
+    (resumeData.education || []).forEach(edu => parts.push(edu.degree, edu.field, edu.institution, edu.description));
+    (resumeData.projects || []).forEach(proj => parts.push(proj.name, proj.description, textOf(proj.technologies)));
+    (resumeData.achievements || []).forEach(ach => parts.push(ach.title, ach.description));
+    (resumeData.certifications || []).forEach(cert => parts.push(cert.name, cert.issuer));
+    const skills = resumeData.skills || {};
+    parts.push(textOf(skills.technical), textOf(skills.soft), textOf(skills.languages), textOf(skills.tools));
+
+    return parts.filter(Boolean).join('\n');
+  }
+
+  /**
+   * Most frequent meaningful terms of a job description, in first-seen order
+   * among equally frequent terms so results never depend on object ordering.
+   */
+  extractJobKeywords(jobDescription, limit = MAX_JOB_KEYWORDS) {
+    const counts = new Map();
+    tokenize(jobDescription).forEach((token, index) => {
+      const key = stem(token);
+      const entry = counts.get(key) || { term: token, count: 0, first: index };
+      entry.count += 1;
+      counts.set(key, entry);
+    });
+
+    return [...counts.values()]
+      .filter(entry => entry.term.length > 2)
+      .sort((a, b) => b.count - a.count || a.first - b.first)
+      .slice(0, limit)
+      .map(entry => entry.term);
+  }
+
+  /**
+   * Turn a job description into required and preferred target keywords using
+   * the analyzer, topping up with frequent terms for postings outside the
+   * known skill vocabulary.
+   */
+  jobKeywords(jobDescription) {
+    const analysis = JobDescriptionAnalyzer.analyze(jobDescription);
+    const required = [...analysis.requiredKeywords];
+    const preferred = [...analysis.preferredKeywords];
+
+    if (required.length + preferred.length < MIN_ANALYZED_KEYWORDS) {
+      const known = new Set([...required, ...preferred].flatMap(keyword => stems(keyword)));
+      this.extractJobKeywords(jobDescription)
+        .filter(term => !known.has(stem(term)))
+        .slice(0, MIN_ANALYZED_KEYWORDS * 2 - required.length)
+        .forEach(term => required.push(term));
+    }
+
+    return { analysis, required, preferred };
+  }
+
+  scoreKeywords(resumeData, expectedKeywords, preferredKeywords = []) {
+    const text = this.resumeText(resumeData);
+    const resumeLower = text.toLowerCase();
+    // "Node.js" on a resume should also satisfy a plain "node" keyword
+    const resumeStems = new Set(
+      tokenize(text).flatMap(token => (token.includes('.') ? [token, token.split('.')[0]] : [token])).map(stem)
+    );
+    const hasKeyword = keyword => {
+      if (JobDescriptionAnalyzer.isKnownSkill(keyword) && JobDescriptionAnalyzer.mentions(text, keyword)) return true;
+      const keywordStems = stems(keyword);
+      return keywordStems.length > 0
+        ? keywordStems.every(s => resumeStems.has(s))
+        : resumeLower.includes(keyword.toLowerCase());
+    };
+
+    const requiredMatched = expectedKeywords.filter(hasKeyword);
+    const preferredMatched = preferredKeywords.filter(hasKeyword);
+    // Missing required keywords come first since they matter most
+    const matched = [...requiredMatched, ...preferredMatched];
+    const missing = [
+      ...expectedKeywords.filter(keyword => !requiredMatched.includes(keyword)),
+      ...preferredKeywords.filter(keyword => !preferredMatched.includes(keyword))
+    ];
+
+    const possible = expectedKeywords.length * REQUIRED_KEYWORD_WEIGHT + preferredKeywords.length;
+    const earned = requiredMatched.length * REQUIRED_KEYWORD_WEIGHT + preferredMatched.length;
+    let details = 'No target keywords available; add a job description for a precise match';
+    if (preferredKeywords.length) {
+      details = `${requiredMatched.length} of ${expectedKeywords.length} required and ` +
+        `${preferredMatched.length} of ${preferredKeywords.length} preferred keywords found`;
+    } else if (expectedKeywords.length) {
+      details = `${requiredMatched.length} of ${expectedKeywords.length} target keywords found`;
+    }
+
+    return {
+      score: clamp(possible ? (earned / possible) * 100 : 50),
+      matched,
+      missing,
+      details
+    };
+  }
+
+  scoreSections(resumeData) {
+    const info = resumeData.personalInfo || {};
+    const checks = [
+      { label: 'contact details', weight: 15, present: Boolean(info.email && info.phone) },
+      { label: 'summary', weight: 15, present: Boolean(info.summary && info.summary.trim()) },
+      {
+        label: resumeData.isFresher ? 'experience or projects' : 'experience',
+        weight: 25,
+        present: resumeData.isFresher
+          ? Boolean(resumeData.experience?.length || resumeData.projects?.length)
+          : Boolean(resumeData.experience?.length)
+      },
+      { label: 'education', weight: 20, present: Boolean(resumeData.education?.length) },
+      { label: 'skills', weight: 15, present: Boolean(resumeData.skills?.technical?.length) },
+      {
+        label: 'projects, achievements or certifications',
+        weight: 10,
+        present: Boolean(resumeData.projects?.length || resumeData.achievements?.length || resumeData.certifications?.length)
+      }
+    ];
+
+    const score = checks.reduce((sum, check) => sum + (check.present ? check.weight : 0), 0);
+    const missing = checks.filter(check => !check.present).map(check => check.label);
+    return {
+      score: clamp(score),
+      missing,
+      details: missing.length ? `Missing: ${missing.join(', ')}` : 'All key sections present'
+    };
+  }
+
+  scoreQuantified(bullets) {
+    if (bullets.length === 0) {
+      return { score: 0, details: 'No bullet points to evaluate' };
+    }
+    const quantified = bullets.filter(bullet => this.isQuantified(bullet.text)).length;
+    // Half of all bullets carrying a metric earns full marks
+    const score = (quantified / bullets.length / 0.5) * 100;
+    return {
+      score: clamp(score),
+      details: `${quantified} of ${bullets.length} bullets include a number or metric`
+    };
+  }
+
+  scoreActionVerbs(bullets) {
+    if (bullets.length === 0) {
+      return { score: 0, details: 'No bullet points to evaluate' };
+    }
+    const strong = bullets.filter(bullet => this.startsWithActionVerb(bullet.text)).length;
+    // Seven in ten bullets opening with an action verb earns full marks
+    const score = (strong / bullets.length / 0.7) * 100;
+    return {
+      score: clamp(score),
+      details: `${strong} of ${bullets.length} bullets start with a strong action verb`
+    };
+  }
+
+  scoreLength(resumeData) {
+    const words = this.resumeText(resumeData).split(/\s+/).filter(Boolean).length;
+    const band = resumeData.isFresher ? LENGTH_BANDS.fresher : LENGTH_BANDS.experienced;
+    let score;
+
+    if (words >= band.idealMin && words <= band.idealMax) {
+      score = 100;
+    } else if (words < band.idealMin) {
+      score = words <= band.min
+        ? (words / band.min) * 60
+        : 60 + ((words - band.min) / (band.idealMin - band.min)) * 40;
+    } else {
+      score = words >= band.max
+        ? Math.max(30, 60 - ((words - band.max) / band.max) * 60)
+        : 100 - ((words - band.idealMax) / (band.max - band.idealMax)) * 40;
+    }
+
+    return {
+      score: clamp(score),
+      wordCount: words,
+      details: `${words} words (ideal ${band.idealMin}-${band.idealMax})`
+    };
+  }
+
+  /**
+   * Score a resume against a job description or a list of role keywords.
+   * @param {Object} resumeData - Plain resume object
+   * @param {Object} options
+   * @param {string} [options.jobDescription] - Full job posting text
+   * @param {string[]} [options.expectedKeywords] - Keywords to use when there is no job description
+   * @returns {{ score: number, breakdown: Object[], keywordsMatched: string[], keywordsMissing: string[], jobAnalysis: Object|null }}
+   */
+  score(resumeData, options = {}) {
+    const { jobDescription, expectedKeywords = [] } = options;
+    const bullets = this.collectBullets(resumeData);
+    const target = jobDescription && jobDescription.trim()
+      ? this.jobKeywords(jobDescription)
+      : { analysis: null, required: expectedKeywords, preferred: [] };
+
+    const results = {
+      keywords: this.scoreKeywords(resumeData, target.required, target.preferred),
+      sections: this.scoreSections(resumeData),
+      quantified: this.scoreQuantified(bullets),
+      actionVerbs: this.scoreActionVerbs(bullets),
+      length: this.scoreLength(resumeData)
+    };
+
+    const labels = {
+      keywords: 'Keyword match',
+      sections: 'Section completeness',
+      quantified: 'Quantified achievements',
+      actionVerbs: 'Action verbs',
+      length: 'Length'
+    };
+
+    const breakdown = Object.keys(WEIGHTS).map(criterion => ({
+      criterion,
+      label: labels[criterion],
+      score: results[criterion].score,
+      weight: WEIGHTS[criterion],
+      details: results[criterion].details
+    }));
+
+    const total = breakdown.reduce((sum, item) => sum + item.score * item.weight, 0) / 100;
+
+    return {
+      score: clamp(total),
+      breakdown,
+      keywordsMatched: results.keywords.matched,
+      keywordsMissing: results.keywords.missing,
+      missingSections: results.sections.missing,
+      wordCount: results.length.wordCount,
+      jobAnalysis: target.analysis
+    };
+  }
+}
+
+module.exports = new ATSScorer();
@@ -0,0 +1,91 @@
+/**
+ * Signed, expiring tokens for the links in account emails. Each token names
+ * its purpose so one kind cannot stand in for another, and they are signed
+ * with a key derived from JWT_SECRET so none of them work as an access token.
+ * A verification token is bound to the address it was sent to; a reset token
+ * is bound to the password it replaces, so it stops working once used.
+ *
+ *   EMAIL_VERIFICATION_TTL_HOURS=24
+ *   PASSWORD_RESET_TTL_MINUTES=60
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+const VERIFICATION_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24;
+const RESET_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+
+function signingKey() {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not defined in environment variables');
+  }
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update('account-tokens').digest();
+}
+
+// Changes whenever the password does, since the stored hash is salted
+function passwordFingerprint(user) {
+  return crypto.createHash('sha256').update(String(user.password)).digest('hex').slice(0, 32);
+}
+
+class AccountTokenService {
+  get verificationTTL() {
+    return `${VERIFICATION_HOURS} hour${VERIFICATION_HOURS === 1 ? '' : 's'}`;
+  }
+
+  get resetTTL() {
+    return `${RESET_MINUTES} minute${RESET_MINUTES === 1 ? '' : 's'}`;
+  }
+
+  emailVerificationToken(user) {
+    return jwt.sign(
+      { sub: String(user._id), purpose: 'verify-email', email: user.email },
+      signingKey(),
+      { expiresIn: VERIFICATION_HOURS * 60 * 60 }
+    );
+  }
+
+  passwordResetToken(user) {
+    return jwt.sign(
+      { sub: String(user._id), purpose: 'reset-password', pwd: passwordFingerprint(user) },
+      signingKey(),
+      { expiresIn: RESET_MINUTES * 60 }
+    );
+  }
+
+  // Payload of a valid, unexpired token for `purpose`, or null
+  verify(token, purpose) {
+    try {
+      const payload = jwt.verify(token, signingKey());
+      return payload.purpose === purpose ? payload : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * User a verification token was issued to, or null if the token is invalid,
+   * expired or was sent to an address the user no longer has
+   */
+  async userForEmailVerification(token) {
+    const payload = this.verify(token, 'verify-email');
+    if (!payload) return null;
+
+    const user = await User.findById(payload.sub);
+    return user && user.email === payload.email ? user : null;
+  }
+
+  /**
+   * User a reset token was issued to, or null if the token is invalid,
+   * expired or the password has changed since it was issued
+   */
+  async userForPasswordReset(token) {
+    const payload = this.verify(token, 'reset-password');
+    if (!payload) return null;
+
+    const user = await User.findById(payload.sub);
+    return user && passwordFingerprint(user) === payload.pwd ? user : null;
+  }
+}
+
+module.exports = new AccountTokenService();
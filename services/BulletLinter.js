@@ -0,0 +1,464 @@
+/**
+ * Deterministic quality checks for resume bullets: experience descriptions,
+ * project descriptions and achievements. Each finding names the rule, the
+ * path of the line, a severity and a rewrite that fixes that one problem
+ * (null when no safe rewrite exists). Runs locally and never uses AI quota.
+ */
+
+const ATSScorer = require('./ATSScorer');
+
+const SEVERITIES = ['critical', 'warning', 'suggestion'];
+
+// Word counts past which a bullet is too long to scan
+const MAX_WORDS = 30;
+const MAX_WORDS_CRITICAL = 45;
+
+// Longest subject a passive bullet is rewritten around
+const MAX_SUBJECT_WORDS = 6;
+
+// Base forms of verbs that open resume bullets
+const VERBS = [
+  'accelerate', 'achieve', 'administer', 'advise', 'analyze', 'apply', 'architect', 'assess', 'assist', 'audit',
+  'author', 'automate', 'boost', 'build', 'champion', 'coach', 'collaborate', 'communicate', 'compile', 'complete',
+  'conduct', 'configure', 'consolidate', 'construct', 'contribute', 'coordinate', 'create', 'cut', 'debug',
+  'decrease', 'define', 'deliver', 'deploy', 'design', 'develop', 'diagnose', 'direct', 'document', 'double',
+  'draft', 'drive', 'eliminate', 'employ', 'enable', 'engineer', 'enhance', 'ensure', 'establish', 'evaluate',
+  'execute', 'expand', 'facilitate', 'forecast', 'found', 'generate', 'grow', 'guide', 'handle', 'head', 'help',
+  'hire', 'identify', 'implement', 'improve', 'increase', 'influence', 'initiate', 'install', 'integrate',
+  'introduce', 'investigate', 'launch', 'lead', 'leverage', 'lower', 'maintain', 'manage', 'mentor', 'migrate',
+  'model', 'modernize', 'monitor', 'negotiate', 'onboard', 'operate', 'optimize', 'orchestrate', 'organize',
+  'overhaul', 'oversee', 'own', 'participate', 'partner', 'perform', 'pilot', 'pioneer', 'plan', 'prepare',
+  'present', 'prioritize', 'process', 'produce', 'program', 'provide', 'publish', 'raise', 'rebuild', 'recommend',
+  'recruit', 'redesign', 'reduce', 'refactor', 'refine', 'release', 'report', 'research', 'resolve', 'restructure',
+  'revamp', 'review', 'rewrite', 'run', 'save', 'scale', 'secure', 'sell', 'serve', 'set', 'shape', 'ship',
+  'simplify', 'solve', 'spearhead', 'standardize', 'streamline', 'strengthen', 'supervise', 'support', 'sustain',
+  'teach', 'test', 'track', 'train', 'transform', 'triple', 'troubleshoot', 'unify', 'update', 'upgrade', 'use',
+  'utilize', 'validate', 'verify', 'win', 'work', 'write'
+];
+
+const IRREGULAR_PAST = {
+  build: 'built', cut: 'cut', drive: 'drove', grow: 'grew', lead: 'led', oversee: 'oversaw', rebuild: 'rebuilt',
+  rewrite: 'rewrote', run: 'ran', sell: 'sold', set: 'set', teach: 'taught', win: 'won', write: 'wrote'
+};
+
+// Past participles that differ from the past tense, for passive voice
+const IRREGULAR_PARTICIPLES = {
+  drive: 'driven', grow: 'grown', oversee: 'overseen', rewrite: 'rewritten', run: 'run', write: 'written'
+};
+
+// Verbs that double their final consonant: plan -> planned, planning
+const DOUBLING = new Set(['plan', 'program', 'run', 'set', 'ship', 'win', 'cut']);
+
+// Alternatives offered when an opening verb is repeated
+const SYNONYMS = {
+  analyze: ['evaluate', 'assess', 'investigate'],
+  build: ['develop', 'engineer', 'construct'],
+  collaborate: ['partner', 'coordinate', 'work'],
+  coordinate: ['organize', 'orchestrate', 'manage'],
+  create: ['design', 'produce', 'establish'],
+  deliver: ['ship', 'launch', 'complete'],
+  design: ['architect', 'plan', 'shape'],
+  develop: ['build', 'engineer', 'create'],
+  handle: ['manage', 'resolve', 'process'],
+  help: ['support', 'assist', 'enable'],
+  implement: ['deliver', 'deploy', 'execute'],
+  improve: ['enhance', 'strengthen', 'refine'],
+  increase: ['grow', 'boost', 'raise'],
+  launch: ['introduce', 'release', 'ship'],
+  lead: ['direct', 'head', 'guide'],
+  maintain: ['support', 'operate', 'sustain'],
+  manage: ['oversee', 'direct', 'coordinate'],
+  mentor: ['coach', 'train', 'guide'],
+  optimize: ['streamline', 'refine', 'improve'],
+  reduce: ['cut', 'decrease', 'lower'],
+  support: ['assist', 'enable', 'serve'],
+  test: ['validate', 'verify', 'debug'],
+  use: ['apply', 'leverage', 'employ'],
+  work: ['collaborate', 'partner', 'contribute'],
+  write: ['author', 'draft', 'document']
+};
+
+// Openers that describe duties or involvement instead of results, with the
+// verb a rewrite opens with when no stronger verb follows
+const WEAK_OPENERS = [
+  { pattern: /^(?:was |were )?responsible for\s+/i, verb: 'own' },
+  { pattern: /^(?:was |were )?in charge of\s+/i, verb: 'lead' },
+  { pattern: /^(?:was |were )?tasked with\s+/i, verb: 'deliver' },
+  { pattern: /^(?:was |were )?involved in\s+/i, verb: 'contribute', joiner: 'to' },
+  { pattern: /^(?:participated|took part) in\s+/i, verb: 'contribute', joiner: 'to' },
+  { pattern: /^(?:duties|responsibilities) included:?\s+/i, verb: 'own' },
+  { pattern: /^worked on\s+/i, verb: 'deliver' },
+  { pattern: /^(?:helped|assisted)(?: to| with| in)?\s+/i, verb: 'support' }
+];
+
+// Filler phrases and what to replace them with
+const FILLERS = [
+  [/\bin order to\b/gi, 'to'],
+  [/\bdue to the fact that\b/gi, 'because'],
+  [/\bfor the purpose of\b/gi, 'to'],
+  [/\bon a (?:daily|day-to-day) basis\b/gi, 'daily'],
+  [/\bon a regular basis\b/gi, 'regularly'],
+  [/\bin a timely manner\b/gi, 'promptly'],
+  [/\b(?:a number of|a variety of|various)\b/gi, 'several'],
+  [/\b(?:was|were) able to\s+/gi, ''],
+  [/\butiliz(?:e|ed|ing)\b/gi, match => ({ utilize: 'use', utilized: 'used', utilizing: 'using' })[match.toLowerCase()]],
+  [/\b(?:successfully|effectively|basically|actually|very|really)\s+/gi, ''],
+  [/,?\s*(?:etc\.?|and so on)(?=[\s.,;]|$)/gi, '']
+];
+
+// "I", "my", "we"... as whole words; a capital I only, so "I/O" and "i.e." pass
+const FIRST_PERSON = /(^|[\s(])(I|[Mm]e|[Mm]y|[Ww]e|[Oo]ur|[Uu]s)(?=$|[\s,.;:!?')])/;
+
+function pastTense(verb) {
+  if (IRREGULAR_PAST[verb]) return IRREGULAR_PAST[verb];
+  if (DOUBLING.has(verb)) return `${verb}${verb.slice(-1)}ed`;
+  if (verb.endsWith('e')) return `${verb}d`;
+  if (/[^aeiou]y$/.test(verb)) return `${verb.slice(0, -1)}ied`;
+  return `${verb}ed`;
+}
+
+function thirdPerson(verb) {
+  if (/(s|sh|ch|x|z)$/.test(verb)) return `${verb}es`;
+  if (/[^aeiou]y$/.test(verb)) return `${verb.slice(0, -1)}ies`;
+  return `${verb}s`;
+}
+
+function gerund(verb) {
+  if (DOUBLING.has(verb)) return `${verb}${verb.slice(-1)}ing`;
+  if (/[^e]e$/.test(verb)) return `${verb.slice(0, -1)}ing`;
+  return `${verb}ing`;
+}
+
+// Every known verb form mapped to its base and tense. Forms shared by the
+// past and present ("cut", "set") are marked "any" and never flagged for tense.
+const VERB_FORMS = new Map();
+VERBS.forEach(base => {
+  const add = (form, tense) => {
+    const existing = VERB_FORMS.get(form);
+    VERB_FORMS.set(form, existing && existing.tense !== tense ? { base, tense: 'any' } : { base, tense });
+  };
+  add(base, 'present');
+  add(thirdPerson(base), 'present');
+  add(gerund(base), 'gerund');
+  add(pastTense(base), 'past');
+});
+Object.entries(IRREGULAR_PARTICIPLES).forEach(([base, participle]) => {
+  if (!VERB_FORMS.has(participle)) VERB_FORMS.set(participle, { base, tense: 'past' });
+});
+
+// Rewrites for current roles use the -ing form: a bare "Lead" or "Deliver"
+// reads as a noun or a command. 'base' keeps the bare form.
+function formOf(base, tense) {
+  if (tense === 'past') return pastTense(base);
+  if (tense === 'gerund' || tense === 'present') return gerund(base);
+  return base;
+}
+
+// Past and -ing forms of a verb the list does not know, from its -ing form:
+// "coding" -> coded, "mapping" -> mapped, "copying" -> copied
+function unknownGerundForms(word) {
+  const stem = word.slice(0, -3);
+  let base = stem;
+  if (/([^aeiouls])\1$/.test(stem)) base = stem.slice(0, -1);
+  else if (/^[^aeiou][aeiou][^aeiouwxy]$/.test(stem) || /(?:at|iz|ul|uc|ur|ag|dg|rg|rv|lv|iv|ang)$/.test(stem)) base = `${stem}e`;
+
+  const past = stem !== base && !base.endsWith('e')
+    ? `${stem}ed`
+    : /[^aeiou]y$/.test(base) ? `${base.slice(0, -1)}ied` : base.endsWith('e') ? `${base}d` : `${base}ed`;
+  return { past, gerund: word };
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function lowerFirst(text) {
+  // Leave acronyms and proper names such as "API" or "AWS" alone
+  return /^[A-Z][a-z]/.test(text) ? text.charAt(0).toLowerCase() + text.slice(1) : text;
+}
+
+function words(text) {
+  return text.split(/\s+/).filter(Boolean);
+}
+
+function tidy(text) {
+  return capitalize(text.replace(/\s+([,.;:])/g, '$1').replace(/\s{2,}/g, ' ').trim());
+}
+
+function firstWord(text) {
+  return (text.match(/^[A-Za-z-]+/) || [''])[0].toLowerCase();
+}
+
+// Base and tense of a bullet's opening verb, or null if it does not open with one
+function openingVerb(text) {
+  const word = firstWord(text);
+  if (VERB_FORMS.has(word)) return VERB_FORMS.get(word);
+  if (word.length > 4 && word.endsWith('ed')) return { base: null, tense: 'past' };
+  if (word.length > 5 && word.endsWith('ing')) return { base: null, tense: 'gerund' };
+  return null;
+}
+
+// Replace the opening verb with `base` in `tense`
+function withOpener(text, base, tense) {
+  return capitalize(`${formOf(base, tense)}${text.slice(firstWord(text).length)}`);
+}
+
+function lines(value) {
+  return String(value || '').split('\n').map(line => line.replace(/^\s*[•\-*]\s*/, '').trim());
+}
+
+class BulletLinter {
+  constructor() {
+    this.severities = SEVERITIES;
+    this.rules = [
+      'weak-opener',
+      'passive-voice',
+      'missing-metric',
+      'first-person',
+      'tense',
+      'duplicate-verb',
+      'too-long',
+      'filler'
+    ];
+  }
+
+  /**
+   * Every linted line with its path. `line` is the line number inside a
+   * multi-line string field and null otherwise. `tense` is the tense the
+   * line should use: present for current roles, past for everything else.
+   */
+  collectLines(resumeData) {
+    const collected = [];
+    const addField = (path, value, tense) => {
+      const fieldLines = lines(value);
+      fieldLines.forEach((text, i) => {
+        if (text) collected.push({ path, line: fieldLines.length > 1 ? i : null, text, tense });
+      });
+    };
+
+    (resumeData.experience || []).forEach((exp, i) => {
+      const tense = exp.current ? 'present' : 'past';
+      if (Array.isArray(exp.description)) {
+        exp.description.forEach((item, j) => addField(`experience[${i}].description[${j}]`, item, tense));
+      } else {
+        addField(`experience[${i}].description`, exp.description, tense);
+      }
+    });
+    (resumeData.projects || []).forEach((proj, i) => addField(`projects[${i}].description`, proj.description, null));
+    (resumeData.achievements || []).forEach((ach, i) => addField(`achievements[${i}].description`, ach.description, null));
+
+    return collected;
+  }
+
+  /**
+   * Lint every bullet of a resume
+   * @param {Object} resumeData - Plain resume object
+   * @returns {{ findings: Object[], summary: Object }}
+   */
+  lint(resumeData) {
+    const bullets = this.collectLines(resumeData);
+    const findings = [];
+    const usedVerbs = new Set(bullets.map(bullet => openingVerb(bullet.text)?.base).filter(Boolean));
+    const firstUse = new Map();
+
+    bullets.forEach(bullet => {
+      const add = (rule, severity, message, suggestion) => findings.push({
+        path: bullet.path,
+        line: bullet.line,
+        rule,
+        severity,
+        message,
+        text: bullet.text,
+        suggestion: suggestion && suggestion !== bullet.text ? suggestion : null
+      });
+      const tense = bullet.tense || 'past';
+      const opener = openingVerb(bullet.text);
+
+      // Passive lines rarely open with a verb, so they only get the passive finding
+      const passive = this.checkPassive(bullet.text, tense);
+      const weak = this.checkWeakOpener(bullet.text, tense);
+      if (weak && !(passive && !weak.phrase)) add('weak-opener', weak.severity, weak.message, weak.suggestion);
+      if (passive && !weak?.phrase) add('passive-voice', 'warning', 'Passive voice hides who did the work; lead with what you did', passive.suggestion);
+
+      if (!ATSScorer.isQuantified(bullet.text)) {
+        add('missing-metric', 'suggestion', 'No number shows the result; add scale, time saved, revenue or users',
+          `${bullet.text.replace(/[.;]\s*$/, '')}, resulting in [measurable outcome]`);
+      }
+
+      if (FIRST_PERSON.test(bullet.text)) {
+        add('first-person', 'warning', 'Drop first-person pronouns; resume lines are written without them', this.withoutPronouns(bullet.text));
+      }
+
+      if (bullet.tense && opener?.base && opener.tense !== 'any' && opener.tense !== bullet.tense &&
+        !(bullet.tense === 'present' && opener.tense === 'gerund')) {
+        add('tense', 'warning', bullet.tense === 'present'
+          ? 'This is your current role; describe it in the present tense'
+          : 'This role has ended; describe it in the past tense', withOpener(bullet.text, opener.base, bullet.tense));
+      }
+
+      if (opener?.base) {
+        const earlier = firstUse.get(opener.base);
+        if (earlier) {
+          const alternative = (SYNONYMS[opener.base] || []).find(verb => !usedVerbs.has(verb));
+          if (alternative) usedVerbs.add(alternative);
+          add('duplicate-verb', 'suggestion', `"${capitalize(firstWord(bullet.text))}" already opens ${earlier}; vary your verbs`,
+            alternative ? withOpener(bullet.text, alternative, { any: tense, present: 'base' }[opener.tense] || opener.tense) : null);
+        } else {
+          firstUse.set(opener.base, bullet.path);
+        }
+      }
+
+      const count = words(bullet.text).length;
+      if (count > MAX_WORDS) {
+        add('too-long', count > MAX_WORDS_CRITICAL ? 'critical' : 'warning',
+          `${count} words; keep bullets to one idea and under ${MAX_WORDS} words`, this.shorten(bullet.text));
+      }
+
+      const fillers = FILLERS.flatMap(([pattern]) => bullet.text.match(pattern) || []);
+      if (fillers.length > 0) {
+        add('filler', 'suggestion', `Cut filler: ${fillers.map(filler => `"${filler.trim().replace(/^,\s*/, '')}"`).join(', ')}`, this.withoutFiller(bullet.text));
+      }
+    });
+
+    const count = (key, values) => Object.fromEntries(values.map(value => [value, findings.filter(finding => finding[key] === value).length]));
+    return {
+      findings,
+      summary: {
+        bullets: bullets.length,
+        findings: findings.length,
+        cleanBullets: bullets.filter(bullet => !findings.some(finding => finding.path === bullet.path && finding.line === bullet.line)).length,
+        bySeverity: count('severity', SEVERITIES),
+        byRule: count('rule', this.rules)
+      }
+    };
+  }
+
+  checkWeakOpener(text, tense) {
+    // "I worked on" is judged by "worked on"; the pronoun is its own finding
+    text = text.replace(/^(?:I|We)\s+/, '');
+    const weak = WEAK_OPENERS.find(opener => opener.pattern.test(text));
+    if (weak) {
+      const rest = text.replace(weak.pattern, '');
+      const next = openingVerb(rest);
+      // "Responsible for managing X" becomes "Managed X"
+      let suggestion;
+      if (next?.base && (next.tense === 'gerund' || next.tense === 'present')) {
+        suggestion = withOpener(rest, next.base, tense);
+      } else if (next?.tense === 'gerund') {
+        // "Tasked with coding the API" becomes "Coded the API"
+        const forms = unknownGerundForms(firstWord(rest));
+        suggestion = capitalize(`${tense === 'past' ? forms.past : forms.gerund}${rest.slice(forms.gerund.length)}`);
+      } else {
+        suggestion = capitalize(`${formOf(weak.verb, tense)} ${weak.joiner ? `${weak.joiner} ` : ''}${rest}`);
+      }
+      const phrase = text.match(weak.pattern)[0].trim();
+      return {
+        phrase,
+        severity: 'warning',
+        message: `"${phrase}" describes a duty, not a result; open with what you did`,
+        suggestion: this.withoutPronouns(suggestion)
+      };
+    }
+
+    if (!openingVerb(text) && !/^(?:was|were)\b/i.test(text)) {
+      return { severity: 'suggestion', message: 'Open with an action verb such as "Led", "Built" or "Reduced"', suggestion: null };
+    }
+    return null;
+  }
+
+  // "The API was redesigned by me to cut latency" -> "Redesigned the API to cut latency".
+  // Active bullets with a relative clause are left alone:
+  //   "Designed a cache layer which is used by 12 services"
+  //   "Built the API which was used by customers"
+  checkPassive(text, tense) {
+    if (openingVerb(text)) return null;
+    const match = text.match(/^(?:(.+?)\s+)?(?:was|were|is|are|has been|have been|had been)\s+([a-z]+)\b(?:\s+by\s+(?:me|us|myself|the team|our team))?(.*)$/i);
+    if (!match) return null;
+    // Only a short noun phrase can be the subject
+    if (match[1] && (words(match[1]).length > MAX_SUBJECT_WORDS || /\b(?:which|that|who)\b/i.test(match[1]))) return null;
+    const verb = VERB_FORMS.get(match[2].toLowerCase());
+    if (!verb || verb.tense === 'present' || verb.tense === 'gerund') return null;
+
+    // "My tests were written" is about the tests, not the pronoun
+    const subject = match[1] && match[1].replace(/\b(?:[Mm]y|[Oo]ur)\b/g, 'the');
+    return {
+      suggestion: subject && !FIRST_PERSON.test(` ${subject} `)
+        ? tidy(`${formOf(verb.base, tense)} ${lowerFirst(subject)}${match[3]}`)
+        : null
+    };
+  }
+
+  /**
+   * Rule-based rewrites of a bullet in each tone, used when AI rewrites are
+   * unavailable. Figures the bullet does not state are left as [X]
+   * placeholders instead of being made up.
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {string} [options.tense] - 'past' (default) or 'present'
+   * @returns {Array<{ tone: string, text: string, rationale: string }>}
+   */
+  variants(text, options = {}) {
+    const tense = options.tense || 'past';
+
+    // Every tone starts from the bullet with its opener, pronouns and filler fixed
+    const weak = this.checkWeakOpener(text, tense);
+    const passive = this.checkPassive(text, tense);
+    let base = this.withoutFiller(this.withoutPronouns(weak?.suggestion || passive?.suggestion || text)).replace(/[.;]\s*$/, '');
+    const opener = openingVerb(base);
+    if (opener?.base && opener.tense !== 'any' && opener.tense !== tense) {
+      base = withOpener(base, opener.base, tense);
+    }
+
+    const concise = tidy(words(base).length > MAX_WORDS
+      ? (this.shorten(base) || base).split('\n')[0]
+      : base.replace(/\s*\([^)]*\)/g, ''));
+
+    const changeVerbs = ['accelerate', 'boost', 'cut', 'decrease', 'grow', 'improve', 'increase', 'lower', 'reduce', 'save'];
+    const metric = ATSScorer.isQuantified(base)
+      ? base
+      : changeVerbs.includes(opener?.base) ? `${base} by [X]%` : `${base}, improving [metric] by [X]%`;
+
+    const leadsAlready = ['champion', 'direct', 'found', 'head', 'lead', 'mentor', 'oversee', 'pioneer', 'spearhead', 'supervise'].includes(opener?.base);
+    const leadership = leadsAlready
+      ? `${base}, guiding a team of [N]`
+      : opener?.base && `${capitalize(formOf('lead', tense))} the effort to ${opener.base}${base.slice(firstWord(base).length)}, coordinating [N] engineers`;
+
+    const seen = new Set([text]);
+    return [
+      { tone: 'concise', text: concise, rationale: 'Leads with the action and cuts everything that does not add information' },
+      { tone: 'metric-heavy', text: metric, rationale: 'Puts a measurable result on the line; replace the [X] placeholders with real figures' },
+      { tone: 'leadership', text: leadership, rationale: 'Frames the work as something you drove and led; adjust the team size to match' }
+    ].filter(variant => variant.text && !seen.has(variant.text) && seen.add(variant.text));
+  }
+
+  withoutPronouns(text) {
+    return tidy(text
+      .replace(/^(?:I|We)\s+/, '')
+      .replace(/\s+by (?:me|us|myself)\b/g, '')
+      .replace(/\b(?:[Mm]y|[Oo]ur)\b/g, 'the'));
+  }
+
+  withoutFiller(text) {
+    return tidy(FILLERS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text));
+  }
+
+  // Drop filler and asides; if that is not enough, split at the clause
+  // boundary nearest the middle that starts with a verb
+  shorten(text) {
+    const trimmed = this.withoutFiller(text).replace(/\s*\([^)]*\)/g, '');
+    if (words(trimmed).length <= MAX_WORDS) return tidy(trimmed);
+
+    const middle = trimmed.length / 2;
+    const split = [...trimmed.matchAll(/(?:[;,]\s*and|;|\s+and|,\s*while)\s+/g)]
+      .filter(boundary => words(trimmed.slice(0, boundary.index)).length >= 5 &&
+        openingVerb(trimmed.slice(boundary.index + boundary[0].length))?.base)
+      .sort((a, b) => Math.abs(a.index - middle) - Math.abs(b.index - middle))[0];
+    if (!split) return null;
+
+    const first = trimmed.slice(0, split.index).replace(/[,;]\s*$/, '');
+    const second = trimmed.slice(split.index + split[0].length);
+    return `${tidy(first)}\n${tidy(second)}`;
+  }
+}
+
+module.exports = new BulletLinter();
@@ -0,0 +1,323 @@
+const {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  HeadingLevel,
+  AlignmentType,
+  LevelFormat,
+  Tab,
+  TabStopType,
+  TabStopPosition
+} = require('docx');
+const {
+  fullName,
+  formatDateRange,
+  contactItems,
+  skillGroups,
+  bulletLines,
+  letterParagraphs,
+  letterDate
+} = require('./ResumeFormatter');
+
+const BULLET_REFERENCE = 'resume-bullets';
+const DEFAULT_HEADING_COLOR = '1F2937';
+
+function headingColor(theme) {
+  const primary = theme?.primary;
+  if (typeof primary === 'string' && /^#[0-9a-f]{6}$/i.test(primary.trim())) {
+    return primary.trim().slice(1).toUpperCase();
+  }
+  return DEFAULT_HEADING_COLOR;
+}
+
+class DocxService {
+  /**
+   * Build a .docx file from a resume. Sections use the built-in Heading 1/2
+   * styles and bullets use a real Word numbering list, so ATS parsers that
+   * read document structure see the same outline a person does.
+   * @param {Object} resume - Resume mongoose document or plain object
+   * @returns {Promise<Buffer>}
+   */
+  async renderResume(resume) {
+    const data = typeof resume.toObject === 'function' ? resume.toObject() : resume;
+    const color = headingColor(data.theme);
+
+    const doc = new Document({
+      creator: 'AI Resume Builder',
+      title: data.title || 'Resume',
+      description: data.roleApplyingFor ? `Resume for ${data.roleApplyingFor}` : 'Resume',
+      styles: {
+        default: {
+          document: { run: { font: 'Calibri', size: 21 } },
+          title: { run: { font: 'Calibri', size: 40, bold: true, color } },
+          heading1: {
+            run: { font: 'Calibri', size: 24, bold: true, allCaps: true, color },
+            paragraph: { spacing: { before: 240, after: 80 } }
+          },
+          heading2: {
+            run: { font: 'Calibri', size: 22, bold: true, color: DEFAULT_HEADING_COLOR },
+            paragraph: { spacing: { before: 120, after: 20 } }
+          }
+        }
+      },
+      numbering: {
+        config: [{
+          reference: BULLET_REFERENCE,
+          levels: [{
+            level: 0,
+            format: LevelFormat.BULLET,
+            text: '•',
+            alignment: AlignmentType.LEFT,
+            style: { paragraph: { indent: { left: 360, hanging: 260 } } }
+          }]
+        }]
+      },
+      sections: [{
+        properties: {
+          page: { margin: { top: 720, bottom: 720, left: 900, right: 900 } }
+        },
+        children: [
+          ...this.buildHeader(data),
+          ...this.buildSummary(data),
+          ...this.buildExperience(data),
+          ...this.buildEducation(data),
+          ...this.buildSkills(data),
+          ...this.buildProjects(data),
+          ...this.buildAchievements(data),
+          ...this.buildCertifications(data)
+        ]
+      }]
+    });
+
+    return Packer.toBuffer(doc);
+  }
+
+  /**
+   * Build a .docx cover letter with the same header as the resume it was
+   * written from.
+   * @param {Object} letter - CoverLetter mongoose document or plain object
+   * @param {Object} resume - Resume the letter belongs to
+   * @returns {Promise<Buffer>}
+   */
+  async renderCoverLetter(letter, resume) {
+    const data = typeof resume.toObject === 'function' ? resume.toObject() : resume;
+    const content = typeof letter.toObject === 'function' ? letter.toObject() : letter;
+    const color = headingColor(data.theme);
+    const spaced = text => new Paragraph({ text, spacing: { after: 200 } });
+
+    const recipient = [content.hiringManager, content.company].filter(Boolean);
+    const children = [
+      ...this.buildHeader({ ...data, roleApplyingFor: undefined }),
+      spaced(letterDate(content.updatedAt)),
+      ...(recipient.length ? [new Paragraph({
+        spacing: { after: 200 },
+        children: recipient.map((line, index) => new TextRun({ text: line, break: index > 0 ? 1 : 0 }))
+      })] : []),
+      ...(content.greeting ? [spaced(content.greeting)] : []),
+      ...letterParagraphs(content).map(paragraph => new Paragraph({
+        text: paragraph,
+        alignment: AlignmentType.JUSTIFIED,
+        spacing: { after: 200 }
+      })),
+      new Paragraph({ text: content.signOff || 'Sincerely,', spacing: { after: 120 } }),
+      ...(content.signature ? [new Paragraph({ children: [new TextRun({ text: content.signature, bold: true })] })] : [])
+    ];
+
+    const doc = new Document({
+      creator: 'AI Resume Builder',
+      title: content.title || 'Cover Letter',
+      styles: {
+        default: {
+          document: { run: { font: 'Calibri', size: 22 } },
+          title: { run: { font: 'Calibri', size: 40, bold: true, color } }
+        }
+      },
+      sections: [{
+        properties: {
+          page: { margin: { top: 1080, bottom: 1080, left: 1260, right: 1260 } }
+        },
+        children
+      }]
+    });
+
+    return Packer.toBuffer(doc);
+  }
+
+  sectionHeading(text) {
+    return new Paragraph({ text, heading: HeadingLevel.HEADING_1 });
+  }
+
+  // Entry title with an optional right-aligned date, e.g. "Engineer ⇥ 2020 – Present"
+  entryHeading(title, date) {
+    const children = [new TextRun(title)];
+    if (date) {
+      children.push(new TextRun({ children: [new Tab(), date], bold: false }));
+    }
+    return new Paragraph({
+      heading: HeadingLevel.HEADING_2,
+      tabStops: [{ type: TabStopType.RIGHT, position: TabStopPosition.MAX }],
+      children
+    });
+  }
+
+  subtitle(text) {
+    return new Paragraph({
+      spacing: { after: 40 },
+      children: [new TextRun({ text, italics: true })]
+    });
+  }
+
+  bullet(text) {
+    return new Paragraph({
+      text,
+      numbering: { reference: BULLET_REFERENCE, level: 0 }
+    });
+  }
+
+  paragraph(text) {
+    return new Paragraph({ text, spacing: { after: 60 } });
+  }
+
+  buildHeader(data) {
+    const info = data.personalInfo || {};
+    const paragraphs = [
+      new Paragraph({
+        text: fullName(info) || data.title || 'Resume',
+        heading: HeadingLevel.TITLE
+      })
+    ];
+
+    if (data.roleApplyingFor) {
+      paragraphs.push(new Paragraph({
+        children: [new TextRun({ text: data.roleApplyingFor, size: 24 })]
+      }));
+    }
+
+    const contact = contactItems(info);
+    if (contact.length > 0) {
+      paragraphs.push(new Paragraph({ text: contact.join(' | '), spacing: { after: 120 } }));
+    }
+
+    return paragraphs;
+  }
+
+  buildSummary(data) {
+    const summary = data.personalInfo?.summary?.trim();
+    if (!summary) return [];
+    return [
+      this.sectionHeading(data.isFresher ? 'Objective' : 'Summary'),
+      this.paragraph(summary)
+    ];
+  }
+
+  buildExperience(data) {
+    const experience = (data.experience || []).filter(exp => exp.position || exp.company);
+    if (experience.length === 0) return [];
+
+    const paragraphs = [this.sectionHeading('Experience')];
+    experience.forEach(exp => {
+      paragraphs.push(this.entryHeading(
+        exp.position || exp.company,
+        formatDateRange(exp.startDate, exp.endDate, exp.current)
+      ));
+
+      const subtitle = [exp.position ? exp.company : null, exp.location].filter(Boolean).join(', ');
+      if (subtitle) paragraphs.push(this.subtitle(subtitle));
+
+      bulletLines(exp.description).forEach(line => paragraphs.push(this.bullet(line)));
+    });
+    return paragraphs;
+  }
+
+  buildEducation(data) {
+    const education = (data.education || []).filter(edu => edu.institution || edu.degree);
+    if (education.length === 0) return [];
+
+    const paragraphs = [this.sectionHeading('Education')];
+    education.forEach(edu => {
+      const degree = [edu.degree, edu.field].filter(Boolean).join(' in ');
+      paragraphs.push(this.entryHeading(
+        degree || edu.institution,
+        formatDateRange(edu.startDate, edu.endDate, edu.isCurrent)
+      ));
+
+      const subtitle = [degree ? edu.institution : null, edu.gpa ? `GPA: ${edu.gpa}` : null]
+        .filter(Boolean)
+        .join(', ');
+      if (subtitle) paragraphs.push(this.subtitle(subtitle));
+      if (edu.description) paragraphs.push(this.paragraph(edu.description));
+    });
+    return paragraphs;
+  }
+
+  buildSkills(data) {
+    const groups = skillGroups(data.skills);
+    if (groups.length === 0) return [];
+
+    return [
+      this.sectionHeading('Skills'),
+      ...groups.map(group => new Paragraph({
+        numbering: { reference: BULLET_REFERENCE, level: 0 },
+        children: [
+          new TextRun({ text: `${group.label}: `, bold: true }),
+          new TextRun(group.items.join(', '))
+        ]
+      }))
+    ];
+  }
+
+  buildProjects(data) {
+    const projects = (data.projects || []).filter(proj => proj.name);
+    if (projects.length === 0) return [];
+
+    const paragraphs = [this.sectionHeading('Projects')];
+    projects.forEach(proj => {
+      paragraphs.push(this.entryHeading(proj.name));
+      if (proj.technologies?.length) {
+        paragraphs.push(this.subtitle(proj.technologies.join(', ')));
+      }
+      bulletLines(proj.description).forEach(line => paragraphs.push(this.bullet(line)));
+
+      const links = [proj.link, proj.github].filter(Boolean).join(' | ');
+      if (links) paragraphs.push(this.paragraph(links));
+    });
+    return paragraphs;
+  }
+
+  buildAchievements(data) {
+    const achievements = (data.achievements || []).filter(ach => ach.title);
+    if (achievements.length === 0) return [];
+
+    return [
+      this.sectionHeading('Achievements'),
+      ...achievements.map(ach => new Paragraph({
+        numbering: { reference: BULLET_REFERENCE, level: 0 },
+        children: [
+          new TextRun({ text: ach.title, bold: true }),
+          ...(ach.date ? [new TextRun(` (${ach.date})`)] : []),
+          ...(ach.description ? [new TextRun(` – ${ach.description}`)] : [])
+        ]
+      }))
+    ];
+  }
+
+  buildCertifications(data) {
+    const certifications = (data.certifications || []).filter(cert => cert.name);
+    if (certifications.length === 0) return [];
+
+    return [
+      this.sectionHeading('Certifications'),
+      ...certifications.map(cert => new Paragraph({
+        numbering: { reference: BULLET_REFERENCE, level: 0 },
+        children: [
+          new TextRun({ text: cert.name, bold: true }),
+          ...(cert.issuer ? [new TextRun(`, ${cert.issuer}`)] : []),
+          ...(cert.date ? [new TextRun(` (${cert.date})`)] : [])
+        ]
+      }))
+    ];
+  }
+}
+
+module.exports = new DocxService();
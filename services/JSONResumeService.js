@@ -0,0 +1,386 @@
+const Resume = require('../models/Resume');
+const { fullName } = require('./ResumeFormatter');
+
+const JSON_RESUME_SCHEMA = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+// App-only settings travel in `meta` so a round trip keeps the look of the resume
+const META_KEY = 'aiResumeBuilder';
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// JSON Resume sections that have no counterpart in the Resume schema
+const UNSUPPORTED_SECTIONS = ['volunteer', 'publications', 'interests', 'references'];
+
+// Sections read as lists of entries, and the list fields inside those entries
+const ENTRY_SECTIONS = {
+  work: ['highlights'],
+  education: ['courses'],
+  projects: ['highlights', 'keywords', 'roles'],
+  skills: ['keywords'],
+  awards: [],
+  certificates: [],
+  languages: []
+};
+
+/**
+ * Convert the free-form dates users type ("Jan 2020", "2020", "03/2021") into
+ * the ISO 8601 subset JSON Resume expects. Returns null when unparseable.
+ */
+function toISODate(value) {
+  if (!value || typeof value !== 'string') return null;
+  const text = value.trim();
+
+  if (/^\d{4}(-\d{2}(-\d{2})?)?$/.test(text)) return text;
+
+  const monthYear = text.match(/^([a-z]{3,})\.?\s+(\d{4})$/i);
+  if (monthYear) {
+    const month = MONTHS.indexOf(monthYear[1].slice(0, 3).toLowerCase());
+    if (month !== -1) return `${monthYear[2]}-${String(month + 1).padStart(2, '0')}`;
+  }
+
+  const numeric = text.match(/^(\d{1,2})\/(\d{4})$/);
+  if (numeric && Number(numeric[1]) >= 1 && Number(numeric[1]) <= 12) {
+    return `${numeric[2]}-${numeric[1].padStart(2, '0')}`;
+  }
+
+  return null;
+}
+
+function isPresent(value) {
+  return typeof value === 'string' && /^(present|current|now)$/i.test(value.trim());
+}
+
+function nonEmpty(value) {
+  return typeof value === 'string' ? value.trim() !== '' : value !== undefined && value !== null;
+}
+
+// Drop empty strings, nulls and empty arrays so the output stays schema-clean
+function compact(object) {
+  return Object.fromEntries(
+    Object.entries(object).filter(([, value]) =>
+      Array.isArray(value) ? value.length > 0 : nonEmpty(value)
+    )
+  );
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function profileUsername(url) {
+  if (!url) return undefined;
+  const parts = url.replace(/\/+$/, '').split('/');
+  return parts[parts.length - 1] || undefined;
+}
+
+function splitLanguage(entry) {
+  const match = String(entry).match(/^(.*?)\s*\((.+)\)\s*$/);
+  return match ? { language: match[1], fluency: match[2] } : { language: String(entry) };
+}
+
+class JSONResumeService {
+  /**
+   * Map a stored Resume onto the JSON Resume schema.
+   * @param {Object} resume - Resume mongoose document or plain object
+   * @returns {{ resume: Object, unmapped: Array<{ path: string, reason: string }> }}
+   */
+  toJSONResume(resume) {
+    const data = typeof resume.toObject === 'function' ? resume.toObject() : resume;
+    const info = data.personalInfo || {};
+    const unmapped = [];
+
+    const exportDate = (value, path) => {
+      if (!nonEmpty(value) || isPresent(value)) return undefined;
+      const iso = toISODate(value);
+      if (!iso) {
+        unmapped.push({ path, reason: `Date "${value}" is not ISO 8601 and was left out` });
+      }
+      return iso || undefined;
+    };
+
+    const [city, ...region] = (info.location || '').split(',').map(part => part.trim());
+    const profiles = [];
+    if (info.linkedin) {
+      profiles.push({ network: 'LinkedIn', username: profileUsername(info.linkedin), url: info.linkedin });
+    }
+    if (info.github) {
+      profiles.push({ network: 'GitHub', username: profileUsername(info.github), url: info.github });
+    }
+
+    const basics = compact({
+      name: fullName(info),
+      label: data.roleApplyingFor,
+      image: info.avatar,
+      email: info.email,
+      phone: info.phone,
+      url: info.website,
+      summary: info.summary,
+      location: city ? compact({ city, region: region.join(', ') }) : undefined,
+      profiles: profiles.map(compact)
+    });
+
+    const work = (data.experience || []).map((exp, index) => compact({
+      name: exp.company,
+      position: exp.position,
+      location: exp.location,
+      startDate: exportDate(exp.startDate, `experience[${index}].startDate`),
+      endDate: exp.current ? undefined : exportDate(exp.endDate, `experience[${index}].endDate`),
+      highlights: (exp.description || []).filter(nonEmpty)
+    }));
+
+    const education = (data.education || []).map((edu, index) => {
+      if (nonEmpty(edu.description)) {
+        unmapped.push({ path: `education[${index}].description`, reason: 'JSON Resume education has no description field' });
+      }
+      return compact({
+        institution: edu.institution,
+        area: edu.field,
+        studyType: edu.degree,
+        startDate: exportDate(edu.startDate, `education[${index}].startDate`),
+        endDate: edu.isCurrent ? undefined : exportDate(edu.endDate, `education[${index}].endDate`),
+        score: edu.gpa
+      });
+    });
+
+    const projects = (data.projects || []).map((proj, index) => {
+      if (proj.link && proj.github) {
+        unmapped.push({ path: `projects[${index}].github`, reason: 'JSON Resume projects hold a single url; link was kept' });
+      }
+      return compact({
+        name: proj.name,
+        description: proj.description,
+        keywords: (proj.technologies || []).filter(nonEmpty),
+        url: proj.link || proj.github
+      });
+    });
+
+    const awards = (data.achievements || []).map((ach, index) => compact({
+      title: ach.title,
+      date: exportDate(ach.date, `achievements[${index}].date`),
+      summary: ach.description
+    }));
+
+    const certificates = (data.certifications || []).map((cert, index) => compact({
+      name: cert.name,
+      issuer: cert.issuer,
+      date: exportDate(cert.date, `certifications[${index}].date`),
+      url: cert.link
+    }));
+
+    const skills = [];
+    if (data.skills?.technical?.length) {
+      skills.push({ name: 'Technical', keywords: data.skills.technical.filter(nonEmpty) });
+    }
+    if (data.skills?.soft?.length) {
+      skills.push({ name: 'Soft Skills', keywords: data.skills.soft.filter(nonEmpty) });
+    }
+    const languages = (data.skills?.languages || []).filter(nonEmpty).map(splitLanguage);
+
+    const jsonResume = compact({
+      $schema: JSON_RESUME_SCHEMA,
+      basics,
+      work,
+      education,
+      projects,
+      awards,
+      certificates,
+      skills,
+      languages,
+      meta: compact({
+        version: `v${data.version || 1}`,
+        lastModified: data.lastModified ? new Date(data.lastModified).toISOString() : undefined,
+        [META_KEY]: compact({
+          title: data.title,
+          template: data.template,
+          theme: data.theme && Object.keys(compact(data.theme)).length ? compact(data.theme) : undefined,
+          showPhoto: data.showPhoto,
+          onePage: data.onePage,
+          isFresher: data.isFresher
+        })
+      })
+    });
+
+    return { resume: jsonResume, unmapped };
+  }
+
+  /**
+   * Path of the first value in a JSON Resume document whose type cannot be
+   * read, such as `work` sent as an object; null when the document is usable
+   */
+  invalidPath(json) {
+    const { basics } = json;
+    if (basics != null) {
+      if (!isObject(basics)) return 'basics';
+      if (basics.name != null && typeof basics.name !== 'string') return 'basics.name';
+      if (basics.location != null && !isObject(basics.location)) return 'basics.location';
+      if (basics.profiles != null) {
+        if (!Array.isArray(basics.profiles)) return 'basics.profiles';
+        const index = basics.profiles.findIndex(profile =>
+          !isObject(profile) || (profile.network != null && typeof profile.network !== 'string'));
+        if (index !== -1) return `basics.profiles[${index}]`;
+      }
+    }
+
+    for (const [section, lists] of Object.entries(ENTRY_SECTIONS)) {
+      const entries = json[section];
+      if (entries == null) continue;
+      if (!Array.isArray(entries)) return section;
+
+      for (let index = 0; index < entries.length; index++) {
+        if (!isObject(entries[index])) return `${section}[${index}]`;
+        const list = lists.find(key => entries[index][key] != null && !Array.isArray(entries[index][key]));
+        if (list) return `${section}[${index}].${list}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Map a JSON Resume document onto the fields of the Resume schema.
+   * @param {Object} json - Document following the JSON Resume schema
+   * @returns {{ resume: Object, unmapped: Array<{ path: string, reason: string }> }}
+   */
+  fromJSONResume(json) {
+    const unmapped = [];
+    const report = (path, reason) => unmapped.push({ path, reason });
+    const basics = json.basics || {};
+
+    const nameParts = (basics.name || '').trim().split(/\s+/).filter(Boolean);
+    const location = basics.location || {};
+    const personalInfo = compact({
+      firstName: nameParts.length > 1 ? nameParts.slice(0, -1).join(' ') : nameParts[0],
+      lastName: nameParts.length > 1 ? nameParts[nameParts.length - 1] : undefined,
+      email: basics.email,
+      phone: basics.phone,
+      website: basics.url || basics.website,
+      summary: basics.summary,
+      avatar: basics.image || basics.picture,
+      location: [location.city, location.region, location.countryCode].filter(nonEmpty).join(', ') ||
+        location.address
+    });
+    if (nonEmpty(location.address) && (location.city || location.region)) {
+      report('basics.location.address', 'Street address is not stored on resumes');
+    }
+
+    (basics.profiles || []).forEach((profile, index) => {
+      const network = (profile.network || '').toLowerCase();
+      const url = profile.url || (profile.username && network === 'github' ? `https://github.com/${profile.username}` : undefined);
+      if (network === 'linkedin' && url && !personalInfo.linkedin) {
+        personalInfo.linkedin = url;
+      } else if (network === 'github' && url && !personalInfo.github) {
+        personalInfo.github = url;
+      } else {
+        report(`basics.profiles[${index}]`, `No resume field for ${profile.network || 'unknown'} profile`);
+      }
+    });
+
+    const experience = (json.work || []).map((job, index) => {
+      if (nonEmpty(job.url)) report(`work[${index}].url`, 'Experience entries have no url field');
+      return compact({
+        company: job.name || job.company,
+        position: job.position,
+        location: job.location,
+        startDate: job.startDate,
+        endDate: job.endDate,
+        current: !job.endDate && Boolean(job.startDate),
+        description: [job.summary, ...(job.highlights || [])].filter(nonEmpty)
+      });
+    });
+
+    const education = (json.education || []).map((edu, index) => {
+      if (nonEmpty(edu.url)) report(`education[${index}].url`, 'Education entries have no url field');
+      return compact({
+        institution: edu.institution,
+        degree: edu.studyType,
+        field: edu.area,
+        startDate: edu.startDate,
+        endDate: edu.endDate,
+        isCurrent: !edu.endDate && Boolean(edu.startDate),
+        gpa: edu.score || edu.gpa,
+        description: edu.courses?.length ? `Relevant coursework: ${edu.courses.join(', ')}` : undefined
+      });
+    });
+
+    const projects = (json.projects || []).map((proj, index) => {
+      ['roles', 'entity', 'type', 'startDate', 'endDate'].forEach(key => {
+        if (nonEmpty(proj[key]) && !(Array.isArray(proj[key]) && proj[key].length === 0)) {
+          report(`projects[${index}].${key}`, 'Projects have no matching field');
+        }
+      });
+      const url = proj.url || '';
+      return compact({
+        name: proj.name,
+        description: [proj.description, ...(proj.highlights || [])].filter(nonEmpty).join('\n'),
+        technologies: proj.keywords || [],
+        link: /github\.com/i.test(url) ? undefined : url,
+        github: /github\.com/i.test(url) ? url : undefined
+      });
+    });
+
+    const achievements = (json.awards || []).map((award, index) => {
+      if (nonEmpty(award.awarder)) report(`awards[${index}].awarder`, 'Achievements have no awarder field');
+      return compact({
+        title: award.title,
+        date: award.date,
+        description: award.summary
+      });
+    });
+
+    const certifications = (json.certificates || []).map(cert => compact({
+      name: cert.name,
+      issuer: cert.issuer,
+      date: cert.date,
+      link: cert.url
+    }));
+
+    const skills = { technical: [], soft: [], languages: [] };
+    (json.skills || []).forEach((skill, index) => {
+      const keywords = (skill.keywords || []).filter(nonEmpty);
+      const bucket = /soft|interpersonal/i.test(skill.name || '') ? skills.soft : skills.technical;
+      if (keywords.length > 0) {
+        bucket.push(...keywords);
+      } else if (nonEmpty(skill.name)) {
+        bucket.push(skill.name);
+      }
+      if (nonEmpty(skill.level)) report(`skills[${index}].level`, 'Skill levels are not stored');
+    });
+    (json.languages || []).forEach(lang => {
+      if (!nonEmpty(lang.language)) return;
+      skills.languages.push(lang.fluency ? `${lang.language} (${lang.fluency})` : lang.language);
+    });
+
+    UNSUPPORTED_SECTIONS.forEach(section => {
+      if (Array.isArray(json[section]) && json[section].length > 0) {
+        report(section, `Resumes have no ${section} section`);
+      }
+    });
+
+    const settings = { ...(json.meta?.[META_KEY] || {}) };
+    if (settings.template && !Resume.schema.path('template').enumValues.includes(settings.template)) {
+      report(`meta.${META_KEY}.template`, `Unknown template "${settings.template}", the default is used`);
+      delete settings.template;
+    }
+
+    return {
+      resume: compact({
+        title: settings.title || (basics.label ? `${basics.label} Resume` : undefined),
+        template: settings.template,
+        theme: settings.theme,
+        showPhoto: settings.showPhoto,
+        onePage: settings.onePage,
+        isFresher: settings.isFresher,
+        roleApplyingFor: basics.label,
+        personalInfo,
+        experience,
+        education,
+        skills,
+        projects,
+        achievements,
+        certifications
+      }),
+      unmapped
+    };
+  }
+}
+
+module.exports = new JSONResumeService();
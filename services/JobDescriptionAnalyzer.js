@@ -0,0 +1,216 @@
+/**
+ * Local job-description analyzer. Reads the full posting text and pulls out
+ * required and preferred skills, tools, certifications, seniority and
+ * years-of-experience requirements without calling the AI service.
+ */
+
+const TaxonomyService = require('./TaxonomyService');
+
+const CERTIFICATION_PATTERNS = [
+  /\bAWS Certified[\w\s-]{0,40}?(?=[,.;)\n]|\s(?:or|and)\s|$)/g,
+  /\b(?:Google Cloud|GCP) (?:Certified )?Professional[\w\s-]{0,30}?(?=[,.;)\n]|\s(?:or|and)\s|$)/g,
+  /\bAzure (?:Fundamentals|Administrator|Developer|Solutions Architect)[\w\s-]{0,20}?(?=[,.;)\n]|\s(?:or|and)\s|$)/g,
+  /\b(?:PMP|CISSP|CISM|CISA|CPA|CFA|CKA|CKAD|CSM|PSM|PMI-ACP|CCNA|CCNP|ITIL|OSCP)\b/g,
+  /\bCompTIA (?:A\+|Network\+|Security\+|CySA\+)/g,
+  /\bSecurity\+/g,
+  /\b(?:Certified Scrum Master|Six Sigma(?: Green Belt| Black Belt)?|Certified Kubernetes (?:Administrator|Application Developer))/gi
+];
+
+const SENIORITY_LEVELS = [
+  { level: 'executive', pattern: /\b(vp|vice president|chief|cto|cio|head of)\b/i },
+  { level: 'director', pattern: /\bdirector\b/i },
+  { level: 'principal', pattern: /\b(principal|distinguished)\b/i },
+  { level: 'staff', pattern: /\bstaff\b/i },
+  { level: 'lead', pattern: /\b(lead|team lead|tech lead)\b/i },
+  { level: 'manager', pattern: /\bmanager\b/i },
+  { level: 'senior', pattern: /\b(senior|sr\.?)\b/i },
+  { level: 'mid', pattern: /\b(mid-level|mid level|intermediate)\b/i },
+  { level: 'junior', pattern: /\b(junior|jr\.?|entry[- ]level|graduate|new grad)\b/i },
+  { level: 'intern', pattern: /\b(intern|internship)\b/i }
+];
+
+const REQUIRED_HEADINGS = /^(requirements|required|qualifications|minimum qualifications|basic qualifications|must[- ]haves?|what you(?:'|’)ll need|what we(?:'|’)re looking for|you have|who you are|skills)/i;
+const PREFERRED_HEADINGS = /^(preferred|preferred qualifications|nice[- ]to[- ]haves?|bonus|bonus points|pluses|desired|good to have|it(?:'|’)s a plus)/i;
+const OTHER_HEADINGS = /^(responsibilities|what you(?:'|’)ll do|about (?:us|the role|the team)|benefits|perks|the role|your role|compensation)/i;
+const PREFERRED_CUES = /\b(preferred|nice to have|a plus|is a plus|bonus|desirable|ideally|familiarity with)\b/i;
+
+const YEARS_PATTERN = /(\d{1,2})\s*(?:\+|plus)?\s*(?:(?:-|–|to)\s*(\d{1,2})\s*)?\+?\s*years?(?:\s+of)?(?:\s+(?:professional|relevant|industry|hands-on|work))?(?:\s+experience)?(?:\s+(?:with|in|using))?\s*([A-Za-z.+#/ ]{0,30})?/gi;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Bound aliases so "java" does not match inside "javascript" and "sql" not inside "postgresql"
+function aliasPattern(alias, flags) {
+  return new RegExp(`(?<![\\w+#.])${escapeRegExp(alias)}(?![\\w+#]|\\.\\w)`, flags);
+}
+
+// Taxonomy skills list their spellings in `aliases`; `exact` aliases are
+// case-sensitive because they are also ordinary English words, and `pattern`
+// covers names that only count as a skill in list-like context
+function compileSkills(skills) {
+  return skills.map(skill => ({
+    ...skill,
+    patterns: [
+      ...(skill.aliases || []).map(alias => aliasPattern(alias, 'i')),
+      ...(skill.exact || []).map(alias => aliasPattern(alias, '')),
+      ...(skill.pattern ? [new RegExp(skill.pattern, 'm')] : [])
+    ]
+  }));
+}
+
+class JobDescriptionAnalyzer {
+  constructor() {
+    this.skills = compileSkills(TaxonomyService.skills);
+  }
+
+  /**
+   * Canonical skills mentioned anywhere in a piece of text
+   * @param {string} text
+   * @returns {Array<{ name: string, category: string }>}
+   */
+  findSkills(text) {
+    if (!text) return [];
+    return this.skills
+      .filter(skill => skill.patterns.some(pattern => pattern.test(text)))
+      .map(({ name, category }) => ({ name, category }));
+  }
+
+  mentions(text, skillName) {
+    const skill = this.skills.find(s => s.name.toLowerCase() === String(skillName).toLowerCase());
+    return skill ? skill.patterns.some(pattern => pattern.test(text || '')) : false;
+  }
+
+  isKnownSkill(name) {
+    return this.skills.some(s => s.name.toLowerCase() === String(name).toLowerCase());
+  }
+
+  // Tag every line of the posting as required, preferred or other context
+  splitSections(text) {
+    let context = 'general';
+    return text.split(/\n+/).map(raw => {
+      const line = raw.replace(/^\s*[•●▪*\-–]\s*/, '').trim();
+      const heading = line.replace(/[:：]\s*$/, '');
+      if (line.length <= 60 && /[:：]\s*$|^[A-Z][A-Za-z’' ]+$/.test(line)) {
+        if (REQUIRED_HEADINGS.test(heading)) context = 'required';
+        else if (PREFERRED_HEADINGS.test(heading)) context = 'preferred';
+        else if (OTHER_HEADINGS.test(heading)) context = 'other';
+      }
+      const cue = PREFERRED_CUES.test(line) ? 'preferred' : context;
+      return { line, context: cue };
+    }).filter(entry => entry.line);
+  }
+
+  extractCertifications(text) {
+    const found = new Map();
+    CERTIFICATION_PATTERNS.forEach(pattern => {
+      (text.match(pattern) || []).forEach(match => {
+        const name = match.trim().replace(/\s+/g, ' ');
+        if (!found.has(name.toLowerCase())) found.set(name.toLowerCase(), name);
+      });
+    });
+    return [...found.values()];
+  }
+
+  extractYears(text) {
+    const requirements = [];
+    let match;
+    YEARS_PATTERN.lastIndex = 0;
+    while ((match = YEARS_PATTERN.exec(text)) !== null) {
+      const min = parseInt(match[1], 10);
+      const max = match[2] ? parseInt(match[2], 10) : null;
+      if (min > 30) continue;
+      const skill = match[3] ? this.findSkills(match[3])[0] : null;
+      requirements.push({ min, max, skill: skill ? skill.name : null });
+    }
+    return requirements;
+  }
+
+  detectSeniority(text, title, yearsMin) {
+    const source = title || text.split('\n').find(line => line.trim()) || '';
+    const fromTitle = SENIORITY_LEVELS.find(entry => entry.pattern.test(source));
+    if (fromTitle) return fromTitle.level;
+
+    if (yearsMin !== null) {
+      if (yearsMin >= 8) return 'staff';
+      if (yearsMin >= 5) return 'senior';
+      if (yearsMin >= 2) return 'mid';
+      return 'junior';
+    }
+
+    const fromBody = SENIORITY_LEVELS.find(entry => entry.pattern.test(text));
+    return fromBody ? fromBody.level : null;
+  }
+
+  /**
+   * Analyze a complete job posting.
+   * @param {string} text - Full job description
+   * @param {Object} [options]
+   * @param {string} [options.title] - Job title when known separately from the text
+   * @returns {Object} Structured requirements; `keywords` lists every term in priority order
+   */
+  analyze(text, options = {}) {
+    const jobText = String(text || '');
+    const lines = this.splitSections(jobText);
+
+    const contexts = new Map();
+    lines.forEach(({ line, context }) => {
+      this.findSkills(line).forEach(skill => {
+        const entry = contexts.get(skill.name) || { ...skill, required: false, preferred: false, mentions: 0 };
+        if (context === 'preferred') entry.preferred = true;
+        else entry.required = true;
+        entry.mentions += 1;
+        contexts.set(skill.name, entry);
+      });
+    });
+
+    // A skill named in a required context anywhere counts as required
+    const ordered = [...contexts.values()].sort((a, b) => b.mentions - a.mentions);
+    const required = ordered.filter(skill => skill.required);
+    const preferred = ordered.filter(skill => !skill.required && skill.preferred);
+
+    const years = this.extractYears(jobText);
+    const overall = years.filter(req => !req.skill);
+    const yearsSource = overall.length ? overall : years;
+    const yearsOfExperience = yearsSource.length
+      ? {
+        min: Math.min(...yearsSource.map(req => req.min)),
+        max: yearsSource.some(req => req.max) ? Math.max(...yearsSource.map(req => req.max || req.min)) : null,
+        bySkill: years.filter(req => req.skill)
+      }
+      : null;
+
+    const requiredCertifications = new Set();
+    const preferredCertifications = new Set();
+    lines.forEach(({ line, context }) => {
+      this.extractCertifications(line).forEach(name => {
+        (context === 'preferred' ? preferredCertifications : requiredCertifications).add(name);
+      });
+    });
+    const certifications = [...requiredCertifications];
+    const preferredCerts = [...preferredCertifications].filter(name => !requiredCertifications.has(name));
+    const seniority = this.detectSeniority(jobText, options.title, yearsOfExperience ? yearsOfExperience.min : null);
+
+    const names = list => list.map(skill => skill.name);
+    const requiredSkills = names(required.filter(skill => skill.category !== 'tool'));
+    const preferredSkills = names(preferred.filter(skill => skill.category !== 'tool'));
+    const tools = names(required.filter(skill => skill.category === 'tool'));
+    const preferredTools = names(preferred.filter(skill => skill.category === 'tool'));
+
+    return {
+      seniority,
+      yearsOfExperience,
+      requiredSkills,
+      preferredSkills,
+      tools,
+      preferredTools,
+      certifications,
+      preferredCertifications: preferredCerts,
+      requiredKeywords: [...requiredSkills, ...tools, ...certifications],
+      preferredKeywords: [...preferredSkills, ...preferredTools, ...preferredCerts],
+      keywords: [...requiredSkills, ...tools, ...certifications, ...preferredSkills, ...preferredTools, ...preferredCerts]
+    };
+  }
+}
+
+module.exports = new JobDescriptionAnalyzer();
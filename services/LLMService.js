@@ -0,0 +1,159 @@
+/**
+ * Routes AIService model calls to a configured LLM provider. Each task
+ * (feature) can use its own provider and model:
+ *
+ *   AI_PROVIDER=gemini              default provider: gemini, openai or mock
+ *   AI_MODEL=gemini-2.5-flash       default model for the default provider
+ *   AI_REVIEW_PROVIDER=openai       per-task override, task name in SNAKE_CASE
+ *   AI_REVIEW_MODEL=llama3.1:8b
+ */
+
+const GeminiProvider = require('./llm/GeminiProvider');
+const OpenAICompatibleProvider = require('./llm/OpenAICompatibleProvider');
+const MockProvider = require('./llm/MockProvider');
+const UsageService = require('./UsageService');
+const { parseJSON } = require('./llm/json');
+
+const TASKS = [
+  'profileSummary',
+  'enhanceSection',
+  'resumeContent',
+  'resumeImport',
+  'tailor',
+  'coverLetter',
+  'review',
+  'atsScore',
+  'rewrite'
+];
+
+const DEFAULT_MODELS = {
+  gemini: 'gemini-2.5-flash',
+  openai: 'gpt-4o-mini',
+  mock: 'mock'
+};
+
+function envName(task) {
+  return task.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+class LLMService {
+  constructor(env = process.env) {
+    this.env = env;
+    this.factories = {
+      gemini: () => new GeminiProvider({ apiKey: env.GOOGLE_AI_API_KEY }),
+      openai: () => new OpenAICompatibleProvider({
+        baseUrl: env.OPENAI_BASE_URL,
+        apiKey: env.OPENAI_API_KEY,
+        jsonMode: env.OPENAI_JSON_MODE
+      }),
+      mock: () => new MockProvider({ fixturesDir: env.AI_MOCK_FIXTURES_DIR })
+    };
+    this.providers = new Map();
+
+    // Resolve every task up front so a misconfigured provider fails at startup
+    this.routes = new Map(TASKS.map(task => [task, this.resolve(task)]));
+    [...new Set([...this.routes.values()].map(route => route.provider))]
+      .filter(provider => !provider.isConfigured())
+      .forEach(provider => {
+        console.warn(`AI provider "${provider.name}" is not configured - AI features using it will be disabled`);
+      });
+  }
+
+  resolve(task) {
+    const key = envName(task);
+    const defaultName = (this.env.AI_PROVIDER || 'gemini').toLowerCase();
+    const name = (this.env[`AI_${key}_PROVIDER`] || defaultName).toLowerCase();
+    if (!this.factories[name]) {
+      throw new Error(`Unknown AI provider "${name}" for task ${task}`);
+    }
+
+    const model = this.env[`AI_${key}_MODEL`] ||
+      (name === defaultName && this.env.AI_MODEL) ||
+      DEFAULT_MODELS[name];
+    return { provider: this.provider(name), model };
+  }
+
+  provider(name) {
+    if (!this.providers.has(name)) {
+      this.providers.set(name, this.factories[name]());
+    }
+    return this.providers.get(name);
+  }
+
+  route(task) {
+    const route = this.routes.get(task);
+    if (!route) throw new Error(`Unknown AI task "${task}"`);
+    return route;
+  }
+
+  /**
+   * Provider name and model a task is routed to
+   */
+  describe(task) {
+    const { provider, model } = this.route(task);
+    return { provider: provider.name, model };
+  }
+
+  isAvailable(task) {
+    return this.route(task).provider.isConfigured();
+  }
+
+  request(task, options) {
+    const { provider, model } = this.route(task);
+    const { user, ...rest } = options;
+    return { provider, request: { ...rest, task, model } };
+  }
+
+  // Record a completed call against the user it was made for
+  async meter(task, options, result) {
+    try {
+      await UsageService.record(options.user, { feature: task, ...this.describe(task), usage: result.usage });
+    } catch (error) {
+      console.error('Usage record error:', error);
+    }
+    return result;
+  }
+
+  /**
+   * Plain-text completion
+   * @param {string} task - One of TASKS
+   * @param {Object} options - prompt, temperature, maxOutputTokens, timeout,
+   *   signal, and the `user` the call is metered against
+   * @returns {Promise<{ text: string, usage: Object }>}
+   */
+  async generate(task, options) {
+    const { provider, request } = this.request(task, options);
+    return this.meter(task, options, await provider.generate(request));
+  }
+
+  /**
+   * Completion constrained to `options.schema`, parsed
+   * @returns {Promise<{ data: *, text: string, usage: Object }>}
+   */
+  async generateJSON(task, options) {
+    const { provider, request } = this.request(task, options);
+    const result = await this.meter(task, options, await provider.generateJSON(request));
+    return { ...result, data: this.parseJSON(task, result.text) };
+  }
+
+  /**
+   * Streamed completion; `options.onText` receives each chunk
+   * @returns {Promise<{ text: string, usage: Object }>}
+   */
+  async stream(task, options) {
+    const { provider, request } = this.request(task, options);
+    return this.meter(task, options, await provider.stream(request));
+  }
+
+  parseJSON(task, text) {
+    try {
+      return parseJSON(text);
+    } catch (parseError) {
+      console.error(`${task} JSON parse failed, falling back to local:`, parseError.message);
+      console.error('Problematic content:', String(text).substring(0, 500) + '...');
+      throw new Error('Invalid JSON from AI');
+    }
+  }
+}
+
+module.exports = new LLMService();
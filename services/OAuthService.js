@@ -0,0 +1,267 @@
+/**
+ * Sign-in with Google, GitHub and LinkedIn. A provider is enabled when its
+ * client id and secret are set:
+ *
+ *   GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET
+ *   GITHUB_CLIENT_ID, GITHUB_CLIENT_SECRET
+ *   LINKEDIN_CLIENT_ID, LINKEDIN_CLIENT_SECRET
+ *   OAUTH_REDIRECT_BASE_URL=http://localhost:5000   public URL of this API, for callbacks
+ *
+ * Endpoints can be overridden to point at a mock identity provider with
+ * <PROVIDER>_OAUTH_AUTHORIZE_URL, <PROVIDER>_OAUTH_TOKEN_URL and
+ * <PROVIDER>_OAUTH_USERINFO_URL, or GITHUB_API_URL for GitHub.
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const OAuthState = require('../models/OAuthState');
+const OIDCProvider = require('./oauth/OIDCProvider');
+const GitHubProvider = require('./oauth/GitHubProvider');
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+class OAuthService {
+  constructor(env = process.env) {
+    this.env = env;
+    const endpoints = (prefix, defaults) => ({
+      clientId: env[`${prefix}_CLIENT_ID`],
+      clientSecret: env[`${prefix}_CLIENT_SECRET`],
+      authorizeUrl: env[`${prefix}_OAUTH_AUTHORIZE_URL`] || defaults.authorizeUrl,
+      tokenUrl: env[`${prefix}_OAUTH_TOKEN_URL`] || defaults.tokenUrl,
+      userInfoUrl: env[`${prefix}_OAUTH_USERINFO_URL`] || defaults.userInfoUrl
+    });
+
+    this.providers = {
+      google: new OIDCProvider('google', {
+        ...endpoints('GOOGLE', {
+          authorizeUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+          tokenUrl: 'https://oauth2.googleapis.com/token',
+          userInfoUrl: 'https://openidconnect.googleapis.com/v1/userinfo'
+        }),
+        scope: 'openid email profile'
+      }),
+      github: new GitHubProvider({
+        ...endpoints('GITHUB', {
+          authorizeUrl: 'https://github.com/login/oauth/authorize',
+          tokenUrl: 'https://github.com/login/oauth/access_token'
+        }),
+        apiUrl: env.GITHUB_API_URL || 'https://api.github.com',
+        scope: 'read:user user:email'
+      }),
+      linkedin: new OIDCProvider('linkedin', {
+        ...endpoints('LINKEDIN', {
+          authorizeUrl: 'https://www.linkedin.com/oauth/v2/authorization',
+          tokenUrl: 'https://www.linkedin.com/oauth/v2/accessToken',
+          userInfoUrl: 'https://api.linkedin.com/v2/userinfo'
+        }),
+        scope: 'openid profile email',
+        // LinkedIn only accepts PKCE from native apps
+        pkce: false
+      })
+    };
+  }
+
+  get names() {
+    return Object.keys(this.providers);
+  }
+
+  // Providers with credentials set
+  configured() {
+    return this.names.filter(name => this.providers[name].isConfigured());
+  }
+
+  provider(name) {
+    const provider = this.providers[name];
+    if (!provider || !provider.isConfigured()) {
+      throw httpError(404, `Sign-in with ${name} is not available`);
+    }
+    return provider;
+  }
+
+  redirectUri(name) {
+    const base = (this.env.OAUTH_REDIRECT_BASE_URL || `http://localhost:${this.env.PORT || 5000}`).replace(/\/+$/, '');
+    return `${base}/api/auth/oauth/${name}/callback`;
+  }
+
+  /**
+   * Begin a sign-in, or link the provider to `userId` when set
+   * @param {string} name - Provider name
+   * @param {Object} [options]
+   * @param {string} [options.userId] - Account to link to
+   * @param {string} [options.loginHint] - Email to preselect at the provider
+   * @param {string} options.browserNonce - Secret kept by the browser starting the flow; `complete` requires it
+   * @returns {Promise<string>} URL to send the browser to
+   */
+  async start(name, options = {}) {
+    const provider = this.provider(name);
+    if (!options.browserNonce) {
+      throw new Error('OAuth flows must be bound to a browser nonce');
+    }
+    const state = crypto.randomBytes(24).toString('base64url');
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+
+    await OAuthState.create({
+      stateHash: hash(state),
+      browserHash: hash(options.browserNonce),
+      provider: name,
+      codeVerifier,
+      user: options.userId || null,
+      expiresAt: new Date(Date.now() + STATE_TTL_MS)
+    });
+
+    return provider.authorizationUrl({
+      state,
+      codeChallenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+      redirectUri: this.redirectUri(name),
+      loginHint: options.loginHint
+    });
+  }
+
+  /**
+   * Finish a sign-in when the provider redirects back. Only the browser that
+   * started the flow can finish it, so a callback URL sent to someone else
+   * cannot sign them in to, or link their identity to, another account.
+   * @param {string} name - Provider name
+   * @param {Object} params
+   * @param {string} params.code
+   * @param {string} params.state
+   * @param {string} params.browserNonce - The nonce given to `start`
+   * @returns {Promise<{ user: Object, linked: boolean }>}
+   */
+  async complete(name, { code, state, browserNonce }) {
+    const provider = this.provider(name);
+    const pending = await OAuthState.findOneAndDelete({
+      stateHash: hash(String(state || '')),
+      browserHash: hash(String(browserNonce || '')),
+      provider: name,
+      expiresAt: { $gt: new Date() }
+    });
+    if (!pending) {
+      throw httpError(400, 'Sign-in request is invalid or has expired');
+    }
+
+    let profile;
+    try {
+      const accessToken = await provider.exchangeCode({
+        code,
+        codeVerifier: pending.codeVerifier,
+        redirectUri: this.redirectUri(name)
+      });
+      profile = await provider.fetchProfile(accessToken);
+    } catch (error) {
+      console.error(`OAuth ${name} error:`, error.message);
+      throw httpError(502, `Could not sign in with ${name}`);
+    }
+
+    const user = pending.user
+      ? await this.link(pending.user, name, profile)
+      : await this.signIn(name, profile);
+    return { user, linked: Boolean(pending.user) };
+  }
+
+  account(name, profile) {
+    return {
+      provider: name,
+      providerId: profile.id,
+      email: profile.email || '',
+      profileUrl: profile.profileUrl || ''
+    };
+  }
+
+  findByAccount(name, providerId) {
+    return User.findOne({ oauthAccounts: { $elemMatch: { provider: name, providerId } } });
+  }
+
+  // Existing account for this identity, else the account with the same verified email
+  // (verified by both the provider and us), else a new one
+  async signIn(name, profile) {
+    const existing = await this.findByAccount(name, profile.id);
+    if (existing) return existing;
+
+    if (!profile.email) {
+      throw httpError(400, `Your ${name} account has no email address we can use`);
+    }
+
+    const user = await User.findOne({ email: profile.email });
+    if (user) {
+      // Only an address the provider has verified proves it is the same person
+      if (!profile.emailVerified) {
+        throw httpError(409, `An account already uses ${profile.email}. Log in with your password and link ${name} from your account settings.`);
+      }
+      // Whoever registered an unconfirmed address may not own it, and would keep
+      // their password and sessions on the account we link into
+      if (!user.emailVerified) {
+        throw httpError(409, `An account already uses ${profile.email} but the address has not been confirmed. Confirm it, or reset the password, before signing in with ${name}.`);
+      }
+      user.oauthAccounts.push(this.account(name, profile));
+      if (!user.avatar && profile.avatar) user.avatar = profile.avatar;
+      await user.save();
+      return user;
+    }
+
+    const created = new User({
+      name: profile.name || profile.email.split('@')[0],
+      email: profile.email,
+      avatar: profile.avatar,
+      emailVerified: profile.emailVerified,
+      emailVerifiedAt: profile.emailVerified ? new Date() : undefined,
+      oauthAccounts: [this.account(name, profile)]
+    });
+    await created.save();
+    return created;
+  }
+
+  async link(userId, name, profile) {
+    const owner = await this.findByAccount(name, profile.id);
+    if (owner && String(owner._id) !== String(userId)) {
+      throw httpError(409, `This ${name} account is already linked to another user`);
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw httpError(404, 'User not found');
+    }
+    if (owner) return user;
+
+    if (user.oauthAccounts.some(account => account.provider === name)) {
+      throw httpError(409, `A different ${name} account is already linked; unlink it first`);
+    }
+    user.oauthAccounts.push(this.account(name, profile));
+    await user.save();
+    return user;
+  }
+
+  /**
+   * Remove a linked provider, keeping at least one way to sign in
+   */
+  async unlink(userId, name) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw httpError(404, 'User not found');
+    }
+
+    const remaining = user.oauthAccounts.filter(account => account.provider !== name);
+    if (remaining.length === user.oauthAccounts.length) {
+      throw httpError(404, `${name} is not linked to this account`);
+    }
+    if (remaining.length === 0 && !user.password) {
+      throw httpError(400, 'Set a password with "forgot password" before unlinking your only sign-in method');
+    }
+
+    user.oauthAccounts = remaining;
+    await user.save();
+    return user;
+  }
+}
+
+module.exports = new OAuthService();
@@ -0,0 +1,768 @@
+const PDFDocument = require('pdfkit');
+const {
+  fullName,
+  formatDateRange,
+  contactItems,
+  skillGroups,
+  bulletLines,
+  letterParagraphs,
+  letterDate
+} = require('./ResumeFormatter');
+
+const PAGE_WIDTH = 612;  // US Letter, in points
+const PAGE_HEIGHT = 792;
+
+const FONTS = {
+  sans: { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique' },
+  serif: { regular: 'Times-Roman', bold: 'Times-Bold', italic: 'Times-Italic' }
+};
+
+// One entry per value of the Resume `template` enum. `layout` decides where the
+// header and sections are placed; the rest tunes typography and decoration.
+// `theme` holds the colors used when the resume has no theme of its own.
+const TEMPLATES = {
+  plain: {
+    layout: 'single', font: 'sans', size: 10, margin: 42, headerAlign: 'left', sectionStyle: 'underline',
+    theme: { primary: '#111827', accent: '#374151', sidebarBg: '#f3f4f6' }
+  },
+  sidebar: {
+    layout: 'sidebar', sidebarSide: 'left', font: 'sans', size: 10, margin: 36, headerAlign: 'left', sectionStyle: 'underline',
+    theme: { primary: '#1e3a8a', accent: '#2563eb', sidebarBg: '#eff6ff' }
+  },
+  topbar: {
+    layout: 'topbar', font: 'sans', size: 10, margin: 40, headerAlign: 'left', sectionStyle: 'underline',
+    theme: { primary: '#0f766e', accent: '#14b8a6', sidebarBg: '#f0fdfa' }
+  },
+  modernpro: {
+    layout: 'topbar', font: 'sans', size: 10, margin: 40, headerAlign: 'left', sectionStyle: 'bar',
+    theme: { primary: '#1f2937', accent: '#f59e0b', sidebarBg: '#f9fafb' }
+  },
+  executive: {
+    layout: 'single', font: 'serif', size: 11, margin: 48, headerAlign: 'center', sectionStyle: 'band',
+    theme: { primary: '#1c1917', accent: '#78350f', sidebarBg: '#fafaf9' }
+  },
+  compact: {
+    layout: 'single', font: 'sans', size: 9, margin: 30, headerAlign: 'left', sectionStyle: 'plain',
+    theme: { primary: '#111827', accent: '#4b5563', sidebarBg: '#f3f4f6' }
+  },
+  minimal: {
+    layout: 'single', font: 'sans', size: 10, margin: 54, headerAlign: 'left', sectionStyle: 'plain',
+    theme: { primary: '#374151', accent: '#9ca3af', sidebarBg: '#f9fafb' }
+  },
+  professional: {
+    layout: 'single', font: 'serif', size: 11, margin: 44, headerAlign: 'center', sectionStyle: 'underline',
+    theme: { primary: '#1e3a8a', accent: '#1e40af', sidebarBg: '#eff6ff' }
+  },
+  modern: {
+    layout: 'single', font: 'sans', size: 10, margin: 40, headerAlign: 'left', sectionStyle: 'bar',
+    theme: { primary: '#4f46e5', accent: '#6366f1', sidebarBg: '#eef2ff' }
+  },
+  creative: {
+    layout: 'sidebar', sidebarSide: 'right', font: 'sans', size: 10, margin: 36, headerAlign: 'left', sectionStyle: 'bar',
+    theme: { primary: '#9d174d', accent: '#db2777', sidebarBg: '#fdf2f8' }
+  },
+  elegant: {
+    layout: 'single', font: 'serif', size: 10.5, margin: 50, headerAlign: 'center', sectionStyle: 'double',
+    theme: { primary: '#3f3f46', accent: '#a16207', sidebarBg: '#fefce8' }
+  }
+};
+
+// Scales tried, largest first, when a resume asks to fit on one page
+const ONE_PAGE_SCALES = [1, 0.94, 0.88, 0.82, 0.76, 0.7];
+
+const TEXT_COLOR = '#1f2937';
+const MUTED_COLOR = '#4b5563';
+
+function normalizeColor(value, fallback) {
+  if (typeof value !== 'string') return fallback;
+  const color = value.trim();
+  return /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color) ? color : fallback;
+}
+
+// Pick white or dark text depending on how light the background is
+function readableTextColor(hex) {
+  let value = hex.replace('#', '');
+  if (value.length === 3) value = value.split('').map(c => c + c).join('');
+  const [r, g, b] = [0, 2, 4].map(i => parseInt(value.slice(i, i + 2), 16));
+  const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+  return luminance > 0.6 ? TEXT_COLOR : '#ffffff';
+}
+
+function decodeImage(avatar) {
+  if (typeof avatar !== 'string') return null;
+  const match = avatar.match(/^data:image\/(png|jpe?g);base64,(.+)$/i);
+  return match ? Buffer.from(match[2], 'base64') : null;
+}
+
+// Finish a PDFKit document and collect its output
+function toBuffer(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+  });
+}
+
+/**
+ * Draws a single resume into a PDFKit document. Text is placed explicitly
+ * and measured before drawing so that page breaks (or, for one-page resumes,
+ * clipping) are decided here rather than by PDFKit's automatic flow.
+ */
+class ResumePDFRenderer {
+  constructor(resume, config, theme, { scale = 1, clip = false } = {}) {
+    this.resume = resume;
+    this.config = config;
+    this.theme = theme;
+    this.scale = scale;
+    this.clip = clip;
+    this.fonts = FONTS[config.font];
+    this.margin = Math.round(config.margin * Math.max(scale, 0.8));
+    this.truncated = false;
+
+    const timestamp = new Date(resume.lastModified || resume.updatedAt || 0);
+    this.doc = new PDFDocument({
+      size: 'LETTER',
+      // Bottom margin is enforced by ensureSpace, keep PDFKit from paging on its own
+      margins: { top: this.margin, left: this.margin, right: this.margin, bottom: 0 },
+      bufferPages: true,
+      info: {
+        Title: resume.title || 'Resume',
+        Author: fullName(resume.personalInfo),
+        Creator: 'AI Resume Builder',
+        CreationDate: timestamp,
+        ModDate: timestamp
+      }
+    });
+  }
+
+  size(delta = 0) {
+    return (this.config.size + delta) * this.scale;
+  }
+
+  gap(points) {
+    return points * this.scale;
+  }
+
+  render() {
+    this.decoratePage();
+
+    if (this.config.layout === 'sidebar') {
+      this.renderSidebarLayout();
+    } else {
+      this.renderSingleColumnLayout();
+    }
+
+    return this;
+  }
+
+  get pageCount() {
+    return this.doc.bufferedPageRange().count;
+  }
+
+  finish() {
+    return toBuffer(this.doc);
+  }
+
+  // --- Page and column management ---
+
+  sidebarWidth() {
+    return Math.round(PAGE_WIDTH * 0.32);
+  }
+
+  // Sidebar layouts paint the sidebar background on every page
+  decoratePage() {
+    if (this.config.layout !== 'sidebar') return;
+
+    const x = this.config.sidebarSide === 'right' ? PAGE_WIDTH - this.sidebarWidth() : 0;
+    this.doc.save()
+      .rect(x, 0, this.sidebarWidth(), PAGE_HEIGHT)
+      .fill(this.theme.sidebarBg)
+      .restore();
+  }
+
+  createColumn(x, width, top) {
+    return { x, width, y: top, top, pageIndex: 0 };
+  }
+
+  pageBottom() {
+    return PAGE_HEIGHT - this.margin;
+  }
+
+  ensureSpace(height) {
+    const column = this.column;
+    if (column.stopped) return false;
+    if (column.y + height <= this.pageBottom()) return true;
+
+    if (this.clip) {
+      column.stopped = true;
+      this.truncated = true;
+      return false;
+    }
+
+    column.pageIndex += 1;
+    if (column.pageIndex >= this.pageCount) {
+      this.doc.addPage();
+      this.decoratePage();
+    } else {
+      this.doc.switchToPage(column.pageIndex);
+    }
+    column.y = this.margin;
+    column.top = this.margin;
+    return true;
+  }
+
+  useColumn(column) {
+    this.column = column;
+    this.doc.switchToPage(column.pageIndex);
+  }
+
+  // --- Text primitives ---
+
+  measure(text, { font, size, width }) {
+    this.doc.font(font).fontSize(size);
+    return this.doc.heightOfString(text, { width, lineGap: this.gap(1.5) });
+  }
+
+  writeText(text, options = {}) {
+    if (!text) return false;
+    const {
+      font = this.fonts.regular,
+      size = this.size(),
+      color = TEXT_COLOR,
+      align = 'left',
+      after = this.gap(2)
+    } = options;
+    const { x, width } = this.column;
+
+    const height = this.measure(text, { font, size, width });
+    if (!this.ensureSpace(height)) return false;
+
+    this.doc.font(font).fontSize(size).fillColor(color)
+      .text(text, x, this.column.y, { width, align, lineGap: this.gap(1.5) });
+    this.column.y += height + after;
+    return true;
+  }
+
+  // Title on the left, a short detail such as a date range flush right
+  writeRow(left, right, options = {}) {
+    const {
+      font = this.fonts.bold,
+      size = this.size(0.5),
+      color = TEXT_COLOR
+    } = options;
+    const { x, width } = this.column;
+
+    this.doc.font(this.fonts.regular).fontSize(this.size(-0.5));
+    const rightWidth = right ? Math.min(this.doc.widthOfString(right) + 2, width / 2) : 0;
+    const leftWidth = width - rightWidth - (right ? this.gap(8) : 0);
+
+    const height = Math.max(
+      this.measure(left || '', { font, size, width: leftWidth }),
+      right ? this.measure(right, { font: this.fonts.regular, size: this.size(-0.5), width: rightWidth }) : 0
+    );
+    if (!this.ensureSpace(height)) return false;
+
+    const y = this.column.y;
+    if (left) {
+      this.doc.font(font).fontSize(size).fillColor(color)
+        .text(left, x, y, { width: leftWidth, lineGap: this.gap(1.5) });
+    }
+    if (right) {
+      this.doc.font(this.fonts.regular).fontSize(this.size(-0.5)).fillColor(MUTED_COLOR)
+        .text(right, x + width - rightWidth, y + this.gap(1), { width: rightWidth, align: 'right' });
+    }
+    this.column.y = y + height + this.gap(1);
+    return true;
+  }
+
+  writeBullet(text) {
+    const { x, width } = this.column;
+    const indent = this.gap(11);
+    const size = this.size();
+
+    const height = this.measure(text, { font: this.fonts.regular, size, width: width - indent });
+    if (!this.ensureSpace(height)) return false;
+
+    const y = this.column.y;
+    this.doc.font(this.fonts.regular).fontSize(size).fillColor(this.theme.accent)
+      .text('•', x + this.gap(2), y, { lineBreak: false });
+    this.doc.fillColor(TEXT_COLOR)
+      .text(text, x + indent, y, { width: width - indent, lineGap: this.gap(1.5) });
+    this.column.y = y + height + this.gap(1.5);
+    return true;
+  }
+
+  writeSectionTitle(title) {
+    const { x, width } = this.column;
+    const label = title.toUpperCase();
+    const size = this.size(1.5);
+    const style = this.config.sectionStyle;
+    const spacingBefore = this.column.y > this.column.top ? this.gap(9) : 0;
+    const titleHeight = this.measure(label, { font: this.fonts.bold, size, width });
+    const decoration = style === 'plain' ? this.gap(3) : this.gap(6);
+
+    // Keep the heading on the same page as the first line of its content
+    if (!this.ensureSpace(spacingBefore + titleHeight + decoration + this.size() * 2)) return false;
+    if (this.column.y > this.column.top) this.column.y += spacingBefore;
+
+    const y = this.column.y;
+    const doc = this.doc;
+    let textX = x;
+    let align = 'left';
+
+    if (style === 'bar') {
+      doc.save().rect(x, y, this.gap(3), titleHeight - this.gap(2)).fill(this.theme.accent).restore();
+      textX = x + this.gap(8);
+    } else if (style === 'band') {
+      doc.save().fillOpacity(0.12)
+        .rect(x, y - this.gap(2), width, titleHeight + this.gap(3))
+        .fill(this.theme.accent).restore();
+      textX = x + this.gap(4);
+    } else if (style === 'double') {
+      align = 'center';
+      doc.save().lineWidth(0.5).strokeColor(this.theme.accent)
+        .moveTo(x, y - this.gap(2)).lineTo(x + width, y - this.gap(2)).stroke().restore();
+    }
+
+    doc.font(this.fonts.bold).fontSize(size).fillColor(this.theme.primary)
+      .text(label, textX, y, { width: width - (textX - x), align, characterSpacing: this.gap(0.6) });
+
+    const ruleY = y + titleHeight + this.gap(1);
+    if (style === 'underline' || style === 'double') {
+      doc.save().lineWidth(style === 'double' ? 0.5 : 1).strokeColor(this.theme.accent)
+        .moveTo(x, ruleY).lineTo(x + width, ruleY).stroke().restore();
+    }
+
+    this.column.y = y + titleHeight + decoration;
+    return true;
+  }
+
+  // --- Layouts ---
+
+  renderSingleColumnLayout() {
+    const column = this.createColumn(this.margin, PAGE_WIDTH - this.margin * 2, this.margin);
+    this.useColumn(column);
+
+    if (this.config.layout === 'topbar') {
+      this.renderTopbarHeader();
+    } else {
+      this.renderHeader({ withContact: true });
+    }
+
+    this.renderSummary();
+    this.renderExperience();
+    this.renderProjects();
+    this.renderEducation();
+    this.renderSkills();
+    this.renderAchievements();
+    this.renderCertifications();
+  }
+
+  renderSidebarLayout() {
+    const sidebarWidth = this.sidebarWidth();
+    const gutter = this.gap(18);
+    const onRight = this.config.sidebarSide === 'right';
+    const sidebarX = onRight ? PAGE_WIDTH - sidebarWidth : 0;
+    const innerPadding = Math.max(this.gap(16), 12);
+
+    const main = this.createColumn(
+      onRight ? this.margin : sidebarWidth + gutter,
+      PAGE_WIDTH - sidebarWidth - gutter - this.margin,
+      this.margin
+    );
+    const sidebar = this.createColumn(
+      sidebarX + innerPadding,
+      sidebarWidth - innerPadding * 2,
+      this.margin
+    );
+
+    this.useColumn(main);
+    this.renderHeader({ withContact: false, withPhoto: false });
+    this.renderSummary();
+    this.renderExperience();
+    this.renderProjects();
+    this.renderEducation();
+    this.renderAchievements();
+
+    this.useColumn(sidebar);
+    this.renderPhoto({ centered: true });
+    if (this.writeSectionTitle('Contact')) {
+      contactItems(this.resume.personalInfo).forEach(item =>
+        this.writeText(item, { size: this.size(-1), after: this.gap(3) })
+      );
+    }
+    this.renderSkills({ stacked: true });
+    this.renderCertifications();
+  }
+
+  // --- Header ---
+
+  renderPhoto({ centered = false, x, y, size } = {}) {
+    if (!this.resume.showPhoto) return false;
+    const image = decodeImage(this.resume.personalInfo?.avatar);
+    if (!image) return false;
+
+    const diameter = size || this.gap(72);
+    const column = this.column;
+    const left = x !== undefined ? x : (centered ? column.x + (column.width - diameter) / 2 : column.x);
+    const top = y !== undefined ? y : column.y;
+
+    try {
+      this.doc.save()
+        .circle(left + diameter / 2, top + diameter / 2, diameter / 2)
+        .clip()
+        .image(image, left, top, { cover: [diameter, diameter], align: 'center', valign: 'center' })
+        .restore();
+    } catch (error) {
+      // An unreadable avatar should never fail the whole export
+      console.warn('Skipping unreadable resume photo:', error.message);
+      this.doc.restore();
+      return false;
+    }
+
+    if (x === undefined && y === undefined) {
+      column.y = top + diameter + this.gap(10);
+    }
+    return diameter;
+  }
+
+  renderHeader({ withContact = true, withPhoto = true } = {}) {
+    const info = this.resume.personalInfo || {};
+    const align = this.config.headerAlign;
+    const column = this.column;
+    const originalWidth = column.width;
+    const originalX = column.x;
+    const headerTop = column.y;
+    let photoSize = 0;
+
+    if (withPhoto && this.resume.showPhoto && decodeImage(info.avatar)) {
+      photoSize = this.gap(64);
+      if (align === 'center') {
+        this.renderPhoto({ centered: true, size: photoSize });
+        photoSize = 0;
+      } else {
+        this.renderPhoto({ x: column.x + column.width - photoSize, y: headerTop, size: photoSize });
+        column.width -= photoSize + this.gap(12);
+      }
+    }
+
+    this.writeText(fullName(info) || this.resume.title || 'Resume', {
+      font: this.fonts.bold,
+      size: this.size(12),
+      color: this.theme.primary,
+      align,
+      after: this.gap(2)
+    });
+
+    if (this.resume.roleApplyingFor) {
+      this.writeText(this.resume.roleApplyingFor, {
+        size: this.size(2),
+        color: this.theme.accent,
+        align,
+        after: this.gap(3)
+      });
+    }
+
+    if (withContact) {
+      this.writeText(contactItems(info).join('  |  '), {
+        size: this.size(-1),
+        color: MUTED_COLOR,
+        align,
+        after: this.gap(4)
+      });
+    }
+
+    column.width = originalWidth;
+    column.x = originalX;
+    if (photoSize) {
+      column.y = Math.max(column.y, headerTop + photoSize + this.gap(6));
+    }
+  }
+
+  renderTopbarHeader() {
+    const info = this.resume.personalInfo || {};
+    const doc = this.doc;
+    const column = this.column;
+    const onBand = readableTextColor(this.theme.primary);
+    const name = fullName(info) || this.resume.title || 'Resume';
+    const contact = contactItems(info).join('  |  ');
+    const hasPhoto = this.resume.showPhoto && decodeImage(info.avatar);
+    const photoSize = hasPhoto ? this.gap(64) : 0;
+    const textWidth = column.width - (photoSize ? photoSize + this.gap(12) : 0);
+
+    const nameHeight = this.measure(name, { font: this.fonts.bold, size: this.size(12), width: textWidth });
+    const roleHeight = this.resume.roleApplyingFor
+      ? this.measure(this.resume.roleApplyingFor, { font: this.fonts.regular, size: this.size(2), width: textWidth })
+      : 0;
+    const contactHeight = contact
+      ? this.measure(contact, { font: this.fonts.regular, size: this.size(-1), width: textWidth })
+      : 0;
+    const padding = this.gap(18);
+    const bandHeight = Math.max(nameHeight + roleHeight + contactHeight + this.gap(6), photoSize) + padding * 2;
+
+    doc.save().rect(0, 0, PAGE_WIDTH, bandHeight).fill(this.theme.primary).restore();
+
+    let y = padding;
+    doc.font(this.fonts.bold).fontSize(this.size(12)).fillColor(onBand)
+      .text(name, column.x, y, { width: textWidth });
+    y += nameHeight + this.gap(2);
+
+    if (roleHeight) {
+      doc.font(this.fonts.regular).fontSize(this.size(2)).fillColor(onBand)
+        .text(this.resume.roleApplyingFor, column.x, y, { width: textWidth });
+      y += roleHeight + this.gap(4);
+    }
+
+    if (contactHeight) {
+      doc.save().fillOpacity(0.85);
+      doc.font(this.fonts.regular).fontSize(this.size(-1)).fillColor(onBand)
+        .text(contact, column.x, y, { width: textWidth });
+      doc.restore();
+    }
+
+    if (photoSize) {
+      this.renderPhoto({ x: column.x + column.width - photoSize, y: padding, size: photoSize });
+    }
+
+    doc.save().rect(0, bandHeight, PAGE_WIDTH, this.gap(3)).fill(this.theme.accent).restore();
+    column.y = bandHeight + this.gap(3) + this.gap(14);
+    column.top = column.y;
+  }
+
+  // --- Sections ---
+
+  renderSummary() {
+    const summary = this.resume.personalInfo?.summary;
+    if (!summary || !summary.trim()) return;
+    if (!this.writeSectionTitle(this.resume.isFresher ? 'Objective' : 'Summary')) return;
+    this.writeText(summary.trim(), { after: this.gap(2) });
+  }
+
+  renderExperience() {
+    const experience = (this.resume.experience || []).filter(exp => exp.position || exp.company);
+    if (experience.length === 0) return;
+    if (!this.writeSectionTitle('Experience')) return;
+
+    experience.forEach((exp, index) => {
+      if (index > 0) this.column.y += this.gap(5);
+      this.writeRow(exp.position || exp.company, formatDateRange(exp.startDate, exp.endDate, exp.current));
+
+      const subtitle = [exp.position ? exp.company : null, exp.location].filter(Boolean).join(' · ');
+      if (subtitle) {
+        this.writeText(subtitle, { font: this.fonts.italic, size: this.size(-0.5), color: this.theme.accent });
+      }
+
+      bulletLines(exp.description).forEach(line => this.writeBullet(line));
+    });
+  }
+
+  renderProjects() {
+    const projects = (this.resume.projects || []).filter(proj => proj.name);
+    if (projects.length === 0) return;
+    if (!this.writeSectionTitle('Projects')) return;
+
+    projects.forEach((proj, index) => {
+      if (index > 0) this.column.y += this.gap(5);
+      this.writeRow(proj.name, proj.link || proj.github || '');
+
+      if (proj.technologies?.length) {
+        this.writeText(proj.technologies.join(', '), {
+          font: this.fonts.italic,
+          size: this.size(-0.5),
+          color: this.theme.accent
+        });
+      }
+
+      const lines = bulletLines(proj.description);
+      if (lines.length > 1) {
+        lines.forEach(line => this.writeBullet(line));
+      } else if (lines.length === 1) {
+        this.writeText(lines[0]);
+      }
+    });
+  }
+
+  renderEducation() {
+    const education = (this.resume.education || []).filter(edu => edu.institution || edu.degree);
+    if (education.length === 0) return;
+    if (!this.writeSectionTitle('Education')) return;
+
+    education.forEach((edu, index) => {
+      if (index > 0) this.column.y += this.gap(5);
+      const degree = [edu.degree, edu.field].filter(Boolean).join(' in ');
+      this.writeRow(degree || edu.institution, formatDateRange(edu.startDate, edu.endDate, edu.isCurrent));
+
+      const subtitle = [degree ? edu.institution : null, edu.gpa ? `GPA: ${edu.gpa}` : null]
+        .filter(Boolean)
+        .join(' · ');
+      if (subtitle) {
+        this.writeText(subtitle, { font: this.fonts.italic, size: this.size(-0.5), color: this.theme.accent });
+      }
+
+      if (edu.description) this.writeText(edu.description);
+    });
+  }
+
+  renderSkills({ stacked = false } = {}) {
+    const groups = skillGroups(this.resume.skills);
+    if (groups.length === 0) return;
+    if (!this.writeSectionTitle('Skills')) return;
+
+    groups.forEach(group => {
+      if (stacked) {
+        this.writeText(group.label, { font: this.fonts.bold, size: this.size(-0.5), after: this.gap(1) });
+        this.writeText(group.items.join(', '), { size: this.size(-0.5), after: this.gap(5) });
+      } else {
+        this.writeText(`${group.label}: ${group.items.join(', ')}`, { after: this.gap(3) });
+      }
+    });
+  }
+
+  renderAchievements() {
+    const achievements = (this.resume.achievements || []).filter(ach => ach.title);
+    if (achievements.length === 0) return;
+    if (!this.writeSectionTitle('Achievements')) return;
+
+    achievements.forEach((ach, index) => {
+      if (index > 0) this.column.y += this.gap(4);
+      this.writeRow(ach.title, ach.date || '');
+      if (ach.description) this.writeText(ach.description);
+    });
+  }
+
+  renderCertifications() {
+    const certifications = (this.resume.certifications || []).filter(cert => cert.name);
+    if (certifications.length === 0) return;
+    if (!this.writeSectionTitle('Certifications')) return;
+
+    certifications.forEach((cert, index) => {
+      if (index > 0) this.column.y += this.gap(4);
+      this.writeRow(cert.name, cert.date || '');
+      if (cert.issuer) {
+        this.writeText(cert.issuer, { font: this.fonts.italic, size: this.size(-0.5), color: this.theme.accent });
+      }
+    });
+  }
+}
+
+class PDFService {
+  getTemplateConfig(template) {
+    return TEMPLATES[template] || TEMPLATES.plain;
+  }
+
+  resolveTheme(resume, config) {
+    const theme = resume.theme || {};
+    return {
+      primary: normalizeColor(theme.primary, config.theme.primary),
+      accent: normalizeColor(theme.accent, config.theme.accent),
+      sidebarBg: normalizeColor(theme.sidebarBg, config.theme.sidebarBg)
+    };
+  }
+
+  /**
+   * Render a resume document to a PDF buffer. Output only depends on the
+   * stored resume, so the same document always produces the same bytes.
+   * @param {Object} resume - Resume mongoose document or plain object
+   * @returns {Promise<Buffer>}
+   */
+  async renderResume(resume) {
+    const data = typeof resume.toObject === 'function' ? resume.toObject() : resume;
+    const config = this.getTemplateConfig(data.template);
+    const theme = this.resolveTheme(data, config);
+
+    if (!data.onePage) {
+      return new ResumePDFRenderer(data, config, theme).render().finish();
+    }
+
+    // Shrink the layout step by step until everything fits on one page
+    for (const scale of ONE_PAGE_SCALES) {
+      const attempt = new ResumePDFRenderer(data, config, theme, { scale }).render();
+      if (attempt.pageCount === 1) {
+        return attempt.finish();
+      }
+    }
+
+    // Still too long at the smallest scale: keep page one and drop the overflow
+    const clipped = new ResumePDFRenderer(data, config, theme, {
+      scale: ONE_PAGE_SCALES[ONE_PAGE_SCALES.length - 1],
+      clip: true
+    }).render();
+    if (clipped.truncated) {
+      console.warn(`One-page export of resume "${data.title || 'Untitled'}" was truncated to fit`);
+    }
+    return clipped.finish();
+  }
+
+  /**
+   * Render a cover letter as a PDF using the fonts and colors of the resume
+   * it was written from, so the two read as a matching set.
+   * @param {Object} letter - CoverLetter mongoose document or plain object
+   * @param {Object} resume - Resume the letter belongs to
+   * @returns {Promise<Buffer>}
+   */
+  async renderCoverLetter(letter, resume) {
+    const data = typeof resume.toObject === 'function' ? resume.toObject() : resume;
+    const content = typeof letter.toObject === 'function' ? letter.toObject() : letter;
+    const config = this.getTemplateConfig(data.template);
+    const theme = this.resolveTheme(data, config);
+    const fonts = FONTS[config.font];
+    const margin = 72;
+    const width = PAGE_WIDTH - margin * 2;
+    const timestamp = new Date(content.updatedAt || 0);
+
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      margins: { top: margin - 18, left: margin, right: margin, bottom: margin },
+      info: {
+        Title: content.title || 'Cover Letter',
+        Author: fullName(data.personalInfo),
+        Creator: 'AI Resume Builder',
+        CreationDate: timestamp,
+        ModDate: timestamp
+      }
+    });
+
+    const name = fullName(data.personalInfo);
+    if (name) {
+      doc.font(fonts.bold).fontSize(20).fillColor(theme.primary).text(name, { width });
+    }
+    const contact = contactItems(data.personalInfo);
+    if (contact.length > 0) {
+      doc.font(fonts.regular).fontSize(9.5).fillColor(MUTED_COLOR).text(contact.join('  |  '), { width });
+    }
+    doc.moveDown(0.4);
+    doc.moveTo(margin, doc.y).lineTo(PAGE_WIDTH - margin, doc.y).lineWidth(1).strokeColor(theme.accent).stroke();
+    doc.moveDown(1.5);
+
+    doc.font(fonts.regular).fontSize(11).fillColor(TEXT_COLOR);
+    doc.text(letterDate(content.updatedAt), { width });
+    doc.moveDown();
+
+    const recipient = [content.hiringManager, content.company].filter(Boolean);
+    if (recipient.length > 0) {
+      doc.text(recipient.join('\n'), { width });
+      doc.moveDown();
+    }
+
+    if (content.greeting) {
+      doc.text(content.greeting, { width });
+      doc.moveDown();
+    }
+    letterParagraphs(content).forEach(paragraph => {
+      doc.text(paragraph, { width, align: 'justify', lineGap: 2 });
+      doc.moveDown();
+    });
+
+    doc.text(content.signOff || 'Sincerely,', { width });
+    if (content.signature) {
+      doc.moveDown(0.5);
+      doc.font(fonts.bold).text(content.signature, { width });
+    }
+
+    return toBuffer(doc);
+  }
+}
+
+module.exports = new PDFService();
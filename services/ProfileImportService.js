@@ -0,0 +1,260 @@
+/**
+ * Fills resume sections from external profiles in two steps. `preview`
+ * matches the imported entries against the resume and stores the proposed
+ * merge; nothing is written until `apply` saves the entries the user keeps
+ * as a new resume version. Imports never overwrite what the user wrote: a
+ * matching entry only has its empty fields filled in.
+ *
+ *   GITHUB_API_URL=https://api.github.com   GitHub API base, e.g. a local stub
+ *   GITHUB_TOKEN=                           optional, raises the API rate limit
+ */
+
+const path = require('path');
+const ProfileImport = require('../models/ProfileImport');
+const ResumeVersionService = require('./ResumeVersionService');
+const GitHubClient = require('./profile/GitHubClient');
+const { readZip } = require('./profile/zip');
+const { EXPORT_FILES, fromLinkedInExport } = require('./profile/linkedin');
+
+const MAX_TECHNOLOGIES = 8;
+// Decompressed size allowed across all archives of one LinkedIn upload
+const MAX_EXPORT_BYTES = 20 * 1024 * 1024;
+
+// Fields that identify the same entry on the resume
+const MATCH_FIELDS = {
+  experience: ['company', 'position'],
+  education: ['institution'],
+  certifications: ['name'],
+  projects: ['name']
+};
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function normalize(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function union(existing = [], added = []) {
+  const seen = new Set(existing.map(normalize));
+  return [...existing, ...added.filter(item => !seen.has(normalize(item)))];
+}
+
+class ProfileImportService {
+  constructor(env = process.env) {
+    this.github = new GitHubClient({ apiUrl: env.GITHUB_API_URL, token: env.GITHUB_TOKEN });
+  }
+
+  /**
+   * Sections from an uploaded LinkedIn export: the ZIP archive, or any of
+   * its Positions.csv, Education.csv and Certifications.csv files
+   * @param {Object[]} uploads - Multer files
+   */
+  linkedInSections(uploads) {
+    const wanted = Object.values(EXPORT_FILES);
+    const files = new Map();
+    // Only the first copy of each export file counts
+    const taken = new Set();
+    const take = base => {
+      if (!wanted.includes(base) || taken.has(base)) return false;
+      taken.add(base);
+      return true;
+    };
+    // Shared by every archive in the upload
+    let budget = MAX_EXPORT_BYTES;
+
+    uploads.forEach(upload => {
+      const name = path.basename(upload.originalname).toLowerCase();
+      if (taken.size === wanted.length) return;
+
+      if (name.endsWith('.zip')) {
+        let entries;
+        try {
+          entries = readZip(upload.buffer, {
+            accept: entry => take(path.basename(entry).toLowerCase()),
+            maxTotalBytes: budget,
+            maxFiles: wanted.length - taken.size
+          });
+        } catch (error) {
+          throw httpError(422, `Could not read ${upload.originalname}: ${error.message}`);
+        }
+        entries.forEach((buffer, entry) => {
+          budget -= buffer.length;
+          files.set(path.basename(entry).toLowerCase(), buffer.toString('utf8'));
+        });
+      } else if (take(name)) {
+        files.set(name, upload.buffer.toString('utf8'));
+      }
+    });
+
+    if (files.size === 0) {
+      throw httpError(422, 'No Positions.csv, Education.csv or Certifications.csv found in the upload');
+    }
+    return fromLinkedInExport(files);
+  }
+
+  /**
+   * A GitHub user's public repositories as projects, with their languages as technologies
+   * @param {string} username
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Most recently pushed repositories to read, default 30
+   * @param {boolean} [options.includeForks]
+   */
+  async gitHubSections(username, options = {}) {
+    const repos = (await this.github.listRepos(username, options.limit || 30))
+      .filter(repo => options.includeForks || !repo.fork);
+
+    const projects = await Promise.all(repos.map(async repo => {
+      const languages = await this.github.languages(repo.owner?.login || username, repo.name);
+      const technologies = Object.entries(languages || {})
+        .sort(([, a], [, b]) => b - a)
+        .map(([language]) => language)
+        .slice(0, MAX_TECHNOLOGIES);
+
+      return {
+        name: repo.name,
+        description: repo.description || '',
+        technologies: technologies.length > 0 ? technologies : [repo.language].filter(Boolean),
+        link: repo.homepage || '',
+        github: repo.html_url || ''
+      };
+    }));
+
+    return { projects };
+  }
+
+  // Index of the resume entry an imported one describes, or -1
+  findMatch(section, entries, item) {
+    const key = MATCH_FIELDS[section].map(field => normalize(item[field])).join('|');
+    return entries.findIndex(entry =>
+      MATCH_FIELDS[section].map(field => normalize(entry[field])).join('|') === key ||
+      (section === 'projects' && item.github && entry.github === item.github)
+    );
+  }
+
+  // Fields of a matching entry the import would fill in
+  fillableFields(section, existing, item) {
+    return Object.keys(item).filter(field => {
+      if (typeof item[field] === 'boolean' || isEmpty(item[field])) return false;
+      if (section === 'projects' && field === 'technologies') {
+        return union(existing.technologies, item.technologies).length > (existing.technologies || []).length;
+      }
+      return isEmpty(existing[field]);
+    });
+  }
+
+  /**
+   * Match imported sections against the resume and store the merge preview
+   * @param {string} userId
+   * @param {Object} resume
+   * @param {string} source - 'linkedin' or 'github'
+   * @param {Object} sections - Imported entries by section
+   */
+  async preview(userId, resume, source, sections) {
+    const data = resume.toObject();
+    const items = [];
+
+    Object.entries(sections).forEach(([section, entries]) => {
+      const existing = data[section] || [];
+      entries.forEach(item => {
+        const index = this.findMatch(section, existing, item);
+        if (index === -1) {
+          items.push({ section, action: 'add', data: item, existingIndex: null, fields: [] });
+          return;
+        }
+        const fields = this.fillableFields(section, existing[index], item);
+        items.push({ section, action: fields.length > 0 ? 'update' : 'skip', data: item, existingIndex: index, fields });
+      });
+    });
+
+    return ProfileImport.create({
+      user: userId,
+      resume: resume._id,
+      source,
+      baseVersion: resume.version || 1,
+      items
+    });
+  }
+
+  /**
+   * Write previewed entries to the resume as a new version
+   * @param {Object} resume
+   * @param {Object} profileImport - A pending preview of this resume
+   * @param {string[]} [itemIds] - Items to apply; all additions and updates by default
+   * @returns {Promise<Object>} The saved resume
+   */
+  async apply(resume, profileImport, itemIds) {
+    if (profileImport.status !== 'pending') {
+      throw httpError(409, 'This import was already applied');
+    }
+    // Matches point at entries by index, so they only hold for the version they were made against
+    if ((resume.version || 1) !== profileImport.baseVersion) {
+      throw httpError(409, 'The resume has changed since this preview was made; import again to get a fresh preview');
+    }
+
+    let chosen = profileImport.items.filter(item => item.action !== 'skip');
+    if (itemIds) {
+      const unknown = itemIds.find(id => !profileImport.items.id(id));
+      if (unknown) {
+        throw httpError(400, `${unknown} is not an item of this import`);
+      }
+      chosen = chosen.filter(item => itemIds.includes(String(item._id)));
+    }
+
+    // Claim the import so a concurrent apply cannot add the same entries again
+    const claimed = await ProfileImport.findOneAndUpdate(
+      { _id: profileImport._id, status: 'pending' },
+      { $set: { status: 'applying' } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw httpError(409, 'This import was already applied');
+    }
+
+    let updated;
+    try {
+      updated = await this.write(resume, chosen);
+    } catch (error) {
+      await ProfileImport.updateOne({ _id: claimed._id, status: 'applying' }, { $set: { status: 'pending' } });
+      throw error;
+    }
+
+    claimed.status = 'applied';
+    claimed.appliedVersion = updated.version || 1;
+    await claimed.save();
+    return updated;
+  }
+
+  // Merge the chosen items into the resume, as a new version if anything changes
+  async write(resume, chosen) {
+    const data = resume.toObject();
+    const sections = {};
+    chosen.forEach(item => {
+      if (!sections[item.section]) sections[item.section] = (data[item.section] || []).map(entry => ({ ...entry }));
+      const entries = sections[item.section];
+
+      if (item.action === 'add') {
+        entries.push(item.data);
+        return;
+      }
+      const entry = entries[item.existingIndex];
+      item.fields.forEach(field => {
+        entry[field] = field === 'technologies' ? union(entry.technologies, item.data.technologies) : item.data[field];
+      });
+    });
+
+    // Refused with a 409 if the resume has moved past the preview's base version
+    return Object.keys(sections).length > 0
+      ? ResumeVersionService.applyFields(resume, sections, { source: 'import' })
+      : resume;
+  }
+}
+
+module.exports = new ProfileImportService();
@@ -0,0 +1,97 @@
+/**
+ * Display helpers shared by the export services so that every output format
+ * words names, dates, contact details and bullet lists the same way.
+ */
+
+function fullName(personalInfo = {}) {
+  return [personalInfo.firstName, personalInfo.lastName]
+    .filter(Boolean)
+    .join(' ')
+    .trim();
+}
+
+function formatDateRange(startDate, endDate, isCurrent) {
+  const end = isCurrent ? 'Present' : (endDate || '');
+  if (startDate && end) return `${startDate} – ${end}`;
+  return startDate || end || '';
+}
+
+function contactItems(personalInfo = {}) {
+  return ['email', 'phone', 'location', 'linkedin', 'github', 'website']
+    .map(key => personalInfo[key])
+    .filter(value => typeof value === 'string' && value.trim())
+    .map(value => value.trim());
+}
+
+function skillGroups(skills = {}) {
+  const groups = [
+    { label: 'Technical', items: skills?.technical },
+    { label: 'Soft Skills', items: skills?.soft },
+    { label: 'Languages', items: skills?.languages }
+  ];
+
+  return groups
+    .map(group => ({
+      label: group.label,
+      items: (group.items || []).filter(item => typeof item === 'string' && item.trim())
+    }))
+    .filter(group => group.items.length > 0);
+}
+
+// Experience descriptions are stored as an array, but AI output and older
+// documents sometimes hold a single newline- or bullet-separated string.
+function bulletLines(description) {
+  const lines = Array.isArray(description) ? description : String(description || '').split('\n');
+
+  return lines
+    .map(line => String(line || '').replace(/^\s*[•\-*]\s*/, '').trim())
+    .filter(Boolean);
+}
+
+// Cover letter body paragraphs in reading order; greeting and sign-off are laid out separately
+function letterParagraphs(letter = {}) {
+  return [letter.hook, ...(letter.evidence || []), letter.closing]
+    .filter(text => typeof text === 'string' && text.trim())
+    .map(text => text.trim());
+}
+
+// Dates are printed in UTC so a letter renders the same on every server
+function letterDate(value) {
+  return new Date(value || 0).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+}
+
+function letterText(letter = {}) {
+  return [
+    letterDate(letter.updatedAt),
+    [letter.hiringManager, letter.company].filter(Boolean).join('\n'),
+    letter.greeting,
+    ...letterParagraphs(letter),
+    [letter.signOff, letter.signature].filter(Boolean).join('\n')
+  ].filter(Boolean).join('\n\n');
+}
+
+function exportFileName(resume, extension) {
+  const base = (resume.title || fullName(resume.personalInfo) || 'resume')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  return `${base || 'resume'}.${extension}`;
+}
+
+module.exports = {
+  fullName,
+  formatDateRange,
+  contactItems,
+  skillGroups,
+  bulletLines,
+  letterParagraphs,
+  letterDate,
+  letterText,
+  exportFileName
+};
@@ -0,0 +1,565 @@
+const path = require('path');
+const mammoth = require('mammoth');
+
+const MAX_TEXT_LENGTH = 20000;
+
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DATE = `(?:${MONTH}\\s+\\d{4}|\\d{1,2}\\/\\d{4}|\\d{4})`;
+const DATE_RANGE = new RegExp(
+  `(${DATE})\\s*(?:-|–|—|to)\\s*(${DATE}|present|current|now)`,
+  'i'
+);
+const SINGLE_DATE = new RegExp(`(${DATE})`, 'i');
+
+const EMAIL = /[\w.+-]+@[\w-]+\.[\w.-]+/;
+const PHONE = /((?:\+|\()?\d[\d\s().-]{7,}\d)/;
+const URL = /((?:https?:\/\/)?(?:www\.)?[\w-]+(?:\.[\w-]+)+(?:\/[^\s|,]*)?)/i;
+const BULLET = /^\s*[•●▪◦‣∙·*\-–]\s+/;
+
+// Heading aliases, matched against short lines that are on their own
+const SECTION_HEADINGS = {
+  summary: ['summary', 'professional summary', 'profile', 'about me', 'objective', 'career objective'],
+  experience: ['experience', 'work experience', 'professional experience', 'employment', 'employment history', 'work history'],
+  education: ['education', 'academic background', 'education and training'],
+  skills: ['skills', 'technical skills', 'core competencies', 'key skills', 'skills and tools'],
+  projects: ['projects', 'personal projects', 'academic projects', 'key projects'],
+  achievements: ['achievements', 'awards', 'honors', 'honors and awards', 'accomplishments'],
+  certifications: ['certifications', 'certificates', 'licenses and certifications', 'licenses & certifications']
+};
+
+const DEGREE_PATTERN = /\b(bachelor|master|ph\.?d|doctor|associate|diploma|b\.?\s?s\.?c?|m\.?\s?s\.?c?|b\.?\s?a\.?|m\.?\s?a\.?|b\.?\s?tech|m\.?\s?tech|b\.?\s?e\.?|mba|high school)\b/i;
+const INSTITUTION_PATTERN = /\b(university|college|institute|school|academy|polytechnic)\b/i;
+
+// Spoken languages, to tell "Languages: English, French" from programming languages
+const SPOKEN_LANGUAGES = [
+  'english', 'spanish', 'french', 'german', 'italian', 'portuguese', 'dutch', 'russian', 'polish',
+  'turkish', 'arabic', 'hebrew', 'hindi', 'bengali', 'urdu', 'punjabi', 'tamil', 'telugu', 'marathi',
+  'gujarati', 'kannada', 'malayalam', 'mandarin', 'cantonese', 'chinese', 'japanese', 'korean',
+  'vietnamese', 'thai', 'indonesian', 'malay', 'swahili', 'greek', 'swedish', 'norwegian', 'danish',
+  'finnish', 'ukrainian', 'czech', 'romanian', 'hungarian', 'persian', 'farsi', 'tagalog'
+];
+
+function isSpokenLanguage(item) {
+  return SPOKEN_LANGUAGES.includes(item.replace(/\s*\(.*\)\s*$/, '').trim().toLowerCase());
+}
+
+// pdf.js warns about optional canvas support when loaded, so load it on first use
+let pdfjs = null;
+function loadPdfjs() {
+  if (!pdfjs) pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+  return pdfjs;
+}
+
+function cleanLine(line) {
+  return line.replace(/\s+/g, ' ').trim();
+}
+
+function headingFor(line) {
+  const normalized = line.toLowerCase().replace(/[:.]$/, '').replace(/&/g, 'and').trim();
+  if (normalized.length > 40) return null;
+  return Object.keys(SECTION_HEADINGS).find(section =>
+    SECTION_HEADINGS[section].some(alias => normalized === alias.replace(/&/g, 'and'))
+  ) || null;
+}
+
+function isBullet(line) {
+  return BULLET.test(line);
+}
+
+function stripBullet(line) {
+  return line.replace(BULLET, '').trim();
+}
+
+function normalizeDate(value) {
+  if (!value) return '';
+  if (/^(present|current|now)$/i.test(value)) return 'Present';
+  return value.replace(/\s+/g, ' ').trim();
+}
+
+// Split "Engineer | Acme Corp | Remote" style header lines into their parts
+function splitHeader(text) {
+  return text
+    .split(/\s+\|\s+|\s+[—–-]\s+|\s+at\s+|\s*,\s+|\t/i)
+    .map(part => part.trim())
+    .filter(Boolean);
+}
+
+// Remove a matched date and the brackets or separators it leaves behind
+function removeMatch(text, match) {
+  return cleanLine(
+    text.replace(match, '').replace(/\(\s*\)|\[\s*\]/g, '').replace(/[\s,|–—-]+$/, '')
+  );
+}
+
+function splitList(text) {
+  return text
+    .split(/[,;|•·]/)
+    .map(item => item.trim())
+    .filter(item => item && item.length <= 60);
+}
+
+// "Tech:", "Built with:" and similar, at the start of a line or after a sentence or separator
+const TECH_LABEL = /(?<=^|[.;|]\s*|\s[–—-]\s*)(?:tech(?:nologies|nology| stack)?|stack|tools|built with)\s*:\s*/i;
+
+// "A tool for resumes. Tech: React, Node.js" -> the text before the label and the technologies after it
+function splitTechLabel(line) {
+  const label = line.match(TECH_LABEL);
+  if (!label) return { text: line, technologies: [] };
+  return {
+    text: line.slice(0, label.index).replace(/[\s|;–—-]+$/, ''),
+    technologies: splitList(line.slice(label.index + label[0].length))
+  };
+}
+
+class ResumeImportService {
+  /**
+   * Pull plain text out of an uploaded resume file.
+   * @param {{ buffer: Buffer, mimetype: string, originalname: string }} file - multer file
+   * @returns {Promise<string>}
+   */
+  async extractText(file) {
+    const type = this.detectType(file);
+    let text;
+
+    if (type === 'pdf') {
+      text = await this.extractPdfText(file.buffer);
+    } else if (type === 'docx') {
+      // Go through HTML so Word list items keep a bullet marker for the parser
+      const result = await mammoth.convertToHtml({ buffer: file.buffer });
+      text = result.value
+        .replace(/<li[^>]*>/gi, '\n• ')
+        .replace(/<\/(p|h\d|li|tr)>/gi, '\n')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/td>/gi, '\t')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'");
+    } else if (type === 'txt') {
+      text = file.buffer.toString('utf8');
+    } else {
+      throw new Error('Unsupported file type');
+    }
+
+    return (text || '').replace(/\r\n?/g, '\n').slice(0, MAX_TEXT_LENGTH);
+  }
+
+  // Rebuild reading-order lines from positioned pdf.js text items
+  async extractPdfText(buffer) {
+    const { getDocument } = loadPdfjs();
+    const document = await getDocument({
+      data: new Uint8Array(buffer),
+      isEvalSupported: false,
+      standardFontDataUrl: path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts/')
+    }).promise;
+
+    const pages = [];
+    try {
+      for (let pageNumber = 1; pageNumber <= document.numPages; pageNumber++) {
+        const page = await document.getPage(pageNumber);
+        const { items } = await page.getTextContent();
+        const lines = [];
+
+        items
+          .filter(item => item.str && item.str.trim())
+          .map(item => ({ text: item.str, x: item.transform[4], y: item.transform[5], width: item.width }))
+          .sort((a, b) => (Math.abs(b.y - a.y) > 2 ? b.y - a.y : a.x - b.x))
+          .forEach(item => {
+            const line = lines[lines.length - 1];
+            if (line && Math.abs(line.y - item.y) <= 2) {
+              const gap = item.x - line.end;
+              line.text += gap > 20 ? `\t${item.text}` : gap > 1 ? ` ${item.text}` : item.text;
+              line.end = item.x + item.width;
+            } else {
+              lines.push({ y: item.y, text: item.text, end: item.x + item.width });
+            }
+          });
+
+        pages.push(lines.map(line => line.text).join('\n'));
+      }
+    } finally {
+      await document.destroy();
+    }
+
+    return pages.join('\n');
+  }
+
+  detectType(file) {
+    const name = (file.originalname || '').toLowerCase();
+    if (file.mimetype === 'application/pdf' || name.endsWith('.pdf')) return 'pdf';
+    if (file.mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' || name.endsWith('.docx')) {
+      return 'docx';
+    }
+    if (file.mimetype === 'text/plain' || name.endsWith('.txt')) return 'txt';
+    return null;
+  }
+
+  /**
+   * Deterministic parser used when Gemini is unavailable. It relies on
+   * section headings, date ranges and bullet markers, which covers the
+   * layout of most single-column resumes.
+   * @param {string} text - Plain resume text
+   * @returns {Object} Resume fields (personalInfo, experience, education, ...)
+   */
+  parseTextLocally(text) {
+    const lines = text.split('\n').map(cleanLine).filter(Boolean);
+    const sections = { header: [] };
+    let current = 'header';
+
+    lines.forEach(line => {
+      const heading = headingFor(line);
+      if (heading) {
+        current = heading;
+        sections[current] = sections[current] || [];
+        return;
+      }
+      sections[current] = sections[current] || [];
+      sections[current].push(line);
+    });
+
+    const personalInfo = this.parseContact(sections.header);
+    if (sections.summary?.length) {
+      personalInfo.summary = sections.summary.map(stripBullet).join(' ');
+    }
+
+    return this.normalizeParsedResume({
+      personalInfo,
+      experience: this.parseExperience(sections.experience || []),
+      education: this.parseEducation(sections.education || []),
+      skills: this.parseSkills(sections.skills || []),
+      projects: this.parseProjects(sections.projects || []),
+      achievements: this.parseAchievements(sections.achievements || []),
+      certifications: this.parseCertifications(sections.certifications || [])
+    });
+  }
+
+  parseContact(headerLines) {
+    const info = {};
+    const segments = headerLines.flatMap(line => line.split(/\s*[|•·]\s*/)).map(cleanLine).filter(Boolean);
+
+    segments.forEach(segment => {
+      const email = segment.match(EMAIL);
+      if (email && !info.email) {
+        info.email = email[0];
+        return;
+      }
+
+      const url = segment.match(URL);
+      if (url && /linkedin\.com/i.test(url[1])) {
+        info.linkedin = info.linkedin || url[1];
+        return;
+      }
+      if (url && /github\.com/i.test(url[1])) {
+        info.github = info.github || url[1];
+        return;
+      }
+
+      const phone = segment.match(PHONE);
+      if (phone && !info.phone && phone[1].replace(/\D/g, '').length >= 8) {
+        info.phone = phone[1].trim();
+        return;
+      }
+
+      if (url && !info.website && /\.[a-z]{2,}/i.test(url[1]) && !/\s/.test(segment)) {
+        info.website = url[1];
+        return;
+      }
+
+      if (!info.location && /^[A-Za-z .'-]+,\s*[A-Za-z .'-]+$/.test(segment) && segment.length <= 40) {
+        info.location = segment;
+      }
+    });
+
+    // The name is normally the first short line of words at the top
+    const nameLine = headerLines.find(line =>
+      /^[A-Za-z][A-Za-z .'-]+$/.test(line) && line.split(' ').length <= 4 && line !== info.location
+    );
+    if (nameLine) {
+      const parts = nameLine.split(' ');
+      info.firstName = parts.length > 1 ? parts.slice(0, -1).join(' ') : parts[0];
+      if (parts.length > 1) info.lastName = parts[parts.length - 1];
+    }
+
+    return info;
+  }
+
+  parseExperience(lines) {
+    const entries = [];
+    let entry = null;
+    let pendingTitle = null;
+
+    lines.forEach(line => {
+      const range = line.match(DATE_RANGE);
+
+      if (range && !isBullet(line)) {
+        const headerText = cleanLine(line.replace(range[0], '').replace(/[|,(–—-]\s*$/, '').replace(/^\s*[|,)–—-]/, ''));
+        const parts = splitHeader([pendingTitle, headerText].filter(Boolean).join(' | '));
+
+        entry = {
+          position: parts[0] || '',
+          company: parts[1] || '',
+          location: parts.slice(2).join(', '),
+          startDate: normalizeDate(range[1]),
+          endDate: normalizeDate(range[2]),
+          current: /present|current|now/i.test(range[2]),
+          description: []
+        };
+        entries.push(entry);
+        pendingTitle = null;
+        return;
+      }
+
+      if (isBullet(line)) {
+        if (entry) entry.description.push(stripBullet(line));
+        return;
+      }
+
+      // Company or location line that sits between the title and the bullets
+      if (entry && entry.description.length === 0 && !entry.company) {
+        entry.company = line;
+        return;
+      }
+
+      // Wrapped bullet text continues the previous bullet
+      if (entry && entry.description.length > 0 && /^[a-z0-9(]/.test(line)) {
+        const last = entry.description.length - 1;
+        entry.description[last] = `${entry.description[last]} ${line}`;
+        return;
+      }
+
+      // Unmarked sentences under an entry are still bullets; titles are short
+      if (entry && (line.split(' ').length > 6 || /[.;]$/.test(line))) {
+        entry.description.push(line);
+        return;
+      }
+
+      pendingTitle = pendingTitle ? `${pendingTitle} | ${line}` : line;
+    });
+
+    return entries;
+  }
+
+  parseEducation(lines) {
+    const entries = [];
+    let entry = null;
+
+    const startEntry = () => {
+      entry = { institution: '', degree: '', field: '', startDate: '', endDate: '', gpa: '' };
+      entries.push(entry);
+    };
+
+    lines.forEach(line => {
+      const text = stripBullet(line);
+      const range = text.match(DATE_RANGE);
+      const date = range ? null : text.match(SINGLE_DATE);
+      const gpa = text.match(/\b(?:GPA|CGPA)[:\s]*([\d.]+(?:\s*\/\s*[\d.]+)?)/i);
+      const withoutDates = cleanLine(
+        text.replace(range ? range[0] : '', '').replace(date ? date[0] : '', '').replace(gpa ? gpa[0] : '', '')
+      ).replace(/[\s|,;–—-]+$/, '');
+
+      const isInstitution = INSTITUTION_PATTERN.test(withoutDates);
+      const isDegree = DEGREE_PATTERN.test(withoutDates);
+
+      if (!entry || (isInstitution && entry.institution) || (isDegree && !isInstitution && entry.degree)) {
+        startEntry();
+      }
+
+      // Commas are common inside institution names, so only split on strong separators
+      withoutDates.split(/\s+\|\s+|\s+[—–]\s+|\t/).map(part => part.replace(/[\s|,;–—-]+$/, '').trim()).filter(Boolean).forEach(part => {
+        if (INSTITUTION_PATTERN.test(part) && !entry.institution) {
+          entry.institution = part;
+        } else if (DEGREE_PATTERN.test(part) && !entry.degree) {
+          const [degree, field] = part.split(/\s+in\s+/i);
+          entry.degree = degree.trim();
+          entry.field = (field || '').trim();
+        } else if (!entry.institution && part.length <= 80) {
+          entry.institution = part;
+        } else if (!entry.field && entry.degree && part.length <= 60) {
+          entry.field = part;
+        }
+      });
+
+      if (range) {
+        entry.startDate = normalizeDate(range[1]);
+        entry.endDate = normalizeDate(range[2]);
+        entry.isCurrent = /present|current|now/i.test(range[2]);
+      } else if (date && !entry.endDate) {
+        entry.endDate = normalizeDate(date[1]);
+      }
+      if (gpa) entry.gpa = gpa[1].replace(/\s+/g, '');
+    });
+
+    return entries.filter(edu => edu.institution || edu.degree);
+  }
+
+  parseSkills(lines) {
+    const skills = { technical: [], soft: [], languages: [] };
+
+    lines.forEach(line => {
+      const text = stripBullet(line);
+      const labelled = text.match(/^([^:]{2,40}):\s*(.+)$/);
+      const label = labelled ? labelled[1].toLowerCase() : '';
+      const items = splitList(labelled ? labelled[2] : text);
+
+      if (/soft|interpersonal/.test(label)) {
+        skills.soft.push(...items);
+      } else if (/spoken/.test(label) || (/language/.test(label) && items.every(isSpokenLanguage))) {
+        skills.languages.push(...items);
+      } else {
+        skills.technical.push(...items);
+      }
+    });
+
+    return {
+      technical: [...new Set(skills.technical)],
+      soft: [...new Set(skills.soft)],
+      languages: [...new Set(skills.languages)]
+    };
+  }
+
+  parseProjects(lines) {
+    const projects = [];
+    let project = null;
+
+    lines.forEach(line => {
+      if (isBullet(line)) {
+        if (project) project.description.push(stripBullet(line));
+        return;
+      }
+
+      const { text, technologies } = splitTechLabel(line);
+      if (technologies.length > 0 && !text && project) {
+        project.technologies.push(...technologies);
+        return;
+      }
+
+      const url = line.match(URL);
+      if (project && url && url[1].length >= line.length - 10) {
+        if (/github\.com/i.test(url[1])) project.github = url[1];
+        else project.link = url[1];
+        return;
+      }
+
+      // Names are short and unpunctuated; anything else is description text.
+      // With a tech label, only the part before the first separator has to look like one.
+      const [name, ...rest] = text.split(/\s+\|\s+|\s+[—–-]\s+/);
+      const candidate = technologies.length > 0 ? name : line;
+      const looksLikeName = candidate.length <= 60 && candidate.split(' ').length <= 8 && !/[.!]$/.test(candidate);
+      if (project && (!looksLikeName || /^[a-z]/.test(line))) {
+        if (text) project.description.push(text);
+        project.technologies.push(...technologies);
+        return;
+      }
+
+      // "Name | React, Node", "Name (React, Node)" or "Name - What it does. Tech: React, Node"
+      const inline = name.match(/^(.*?)\s*\((.+)\)\s*$/);
+      project = {
+        name: (inline ? inline[1] : name).trim(),
+        technologies: technologies.length > 0
+          ? [...splitList(inline ? inline[2] : ''), ...technologies]
+          : splitList(inline ? inline[2] : rest.join(', ')),
+        description: technologies.length > 0 && rest.length > 0 ? [rest.join(' - ')] : [],
+        link: '',
+        github: ''
+      };
+      projects.push(project);
+    });
+
+    return projects.map(proj => ({ ...proj, description: proj.description.join('\n') }));
+  }
+
+  parseAchievements(lines) {
+    return lines.map(stripBullet).map(text => {
+      const date = text.match(SINGLE_DATE);
+      const withoutDate = date ? removeMatch(text, date[0]) : text;
+      const [title, ...description] = withoutDate.split(/\s*[:–—]\s+/);
+      return {
+        title: title.trim(),
+        description: description.join(' - ').trim(),
+        date: date ? normalizeDate(date[1]) : ''
+      };
+    }).filter(ach => ach.title);
+  }
+
+  parseCertifications(lines) {
+    return lines.map(stripBullet).map(text => {
+      const date = text.match(SINGLE_DATE);
+      const withoutDate = date ? removeMatch(text, date[0]) : text;
+      const [name, issuer] = withoutDate.split(/\s+[|–—-]\s+|,\s+/);
+      return {
+        name: (name || '').trim(),
+        issuer: (issuer || '').trim(),
+        date: date ? normalizeDate(date[1]) : ''
+      };
+    }).filter(cert => cert.name);
+  }
+
+  /**
+   * Coerce parser output (local or AI) into the shapes the Resume schema
+   * stores, dropping empty entries along the way.
+   */
+  normalizeParsedResume(parsed = {}) {
+    const text = value => (typeof value === 'string' ? value.trim() : '');
+    const list = value => (Array.isArray(value) ? value.map(text).filter(Boolean) : []);
+    const info = parsed.personalInfo || {};
+
+    return {
+      personalInfo: {
+        firstName: text(info.firstName),
+        lastName: text(info.lastName),
+        email: text(info.email),
+        phone: text(info.phone),
+        location: text(info.location),
+        linkedin: text(info.linkedin),
+        github: text(info.github),
+        website: text(info.website),
+        summary: text(info.summary)
+      },
+      experience: (parsed.experience || []).map(exp => ({
+        company: text(exp.company),
+        position: text(exp.position),
+        location: text(exp.location),
+        startDate: text(exp.startDate),
+        endDate: text(exp.endDate),
+        current: Boolean(exp.current) || /present/i.test(text(exp.endDate)),
+        description: Array.isArray(exp.description) ? list(exp.description) : list(text(exp.description).split('\n'))
+      })).filter(exp => exp.company || exp.position),
+      education: (parsed.education || []).map(edu => ({
+        institution: text(edu.institution),
+        degree: text(edu.degree),
+        field: text(edu.field),
+        startDate: text(edu.startDate),
+        endDate: text(edu.endDate),
+        isCurrent: Boolean(edu.isCurrent),
+        gpa: text(edu.gpa)
+      })).filter(edu => edu.institution || edu.degree),
+      skills: {
+        technical: list(parsed.skills?.technical),
+        soft: list(parsed.skills?.soft),
+        languages: list(parsed.skills?.languages)
+      },
+      projects: (parsed.projects || []).map(proj => ({
+        name: text(proj.name),
+        description: Array.isArray(proj.description) ? list(proj.description).join('\n') : text(proj.description),
+        technologies: list(proj.technologies),
+        link: text(proj.link),
+        github: text(proj.github)
+      })).filter(proj => proj.name),
+      achievements: (parsed.achievements || []).map(ach => ({
+        title: text(ach.title),
+        description: text(ach.description),
+        date: text(ach.date)
+      })).filter(ach => ach.title),
+      certifications: (parsed.certifications || []).map(cert => ({
+        name: text(cert.name),
+        issuer: text(cert.issuer),
+        date: text(cert.date),
+        link: text(cert.link)
+      })).filter(cert => cert.name)
+    };
+  }
+}
+
+module.exports = new ResumeImportService();
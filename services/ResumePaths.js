@@ -0,0 +1,85 @@
+/**
+ * Addresses individual resume fields with paths such as
+ * `experience[1].description[2]` or `personalInfo.summary`, the format used
+ * by review comments, lint findings and rewrite suggestions to point at the
+ * line they are about. Multi-line fields are addressed by path plus line number.
+ */
+
+const SEGMENT = /^([A-Za-z_$][\w$]*)((?:\[\d+\])*)$/;
+
+/**
+ * Split a path into its keys and indexes, or null if it is malformed
+ * @param {string} path - e.g. "experience[1].description[2]"
+ * @returns {Array<string|number>|null} e.g. ['experience', 1, 'description', 2]
+ */
+function parsePath(path) {
+  if (typeof path !== 'string' || !path) return null;
+
+  const keys = [];
+  for (const segment of path.split('.')) {
+    const match = segment.match(SEGMENT);
+    if (!match) return null;
+    keys.push(match[1]);
+    (match[2].match(/\d+/g) || []).forEach(index => keys.push(Number(index)));
+  }
+  return keys;
+}
+
+/**
+ * Value at a path, or undefined if the path is malformed or does not exist
+ */
+function getAtPath(resumeData, path) {
+  const keys = parsePath(path);
+  if (!keys) return undefined;
+  // Only objects and arrays are walked so an index never picks a character out of a string
+  return keys.reduce((value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined), resumeData);
+}
+
+/**
+ * Set the value at an existing path
+ * @returns {boolean} False if the path is malformed or its parent does not exist
+ */
+function setAtPath(resumeData, path, value) {
+  const keys = parsePath(path);
+  if (!keys) return false;
+  const parent = keys.slice(0, -1).reduce((item, key) => (item !== null && typeof item === 'object' ? item[key] : undefined), resumeData);
+  if (parent === null || typeof parent !== 'object') return false;
+  parent[keys[keys.length - 1]] = value;
+  return true;
+}
+
+// Leading "•", "-" or "*" list marker of a line
+const MARKER = /^\s*[•\-*]\s*/;
+
+/**
+ * Text of one line of a multi-line field, without its list marker; the
+ * whole value when `line` is null
+ */
+function lineOf(value, line) {
+  if (typeof value !== 'string') return undefined;
+  if (line === null || line === undefined) return value.replace(MARKER, '').trim();
+  const lines = value.split('\n');
+  return line < lines.length ? lines[line].replace(MARKER, '').trim() : undefined;
+}
+
+/**
+ * Replace one line of a multi-line field, keeping its list marker
+ */
+function replaceLine(value, line, text) {
+  if (line === null || line === undefined) {
+    const marker = String(value || '').match(MARKER);
+    return marker ? `${marker[0]}${text}` : text;
+  }
+  const lines = String(value || '').split('\n');
+  const marker = lines[line].match(MARKER);
+  lines[line] = `${marker ? marker[0] : ''}${text}`;
+  return lines.join('\n');
+}
+
+module.exports = {
+  parsePath,
+  getAtPath,
+  setAtPath,
+  lineOf,
+  replaceLine
+};
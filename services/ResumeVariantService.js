@@ -0,0 +1,126 @@
+const Resume = require('../models/Resume');
+const ResumeVersionService = require('./ResumeVersionService');
+
+// Contact details shared by a base resume and its job-tailored variants
+const SHARED_PERSONAL_FIELDS = ['firstName', 'lastName', 'email', 'phone', 'location', 'linkedin', 'github', 'website', 'avatar'];
+
+class ResumeVariantService {
+  /**
+   * Contact info and education, the parts of a resume variants inherit
+   */
+  sharedContent(resume) {
+    const data = typeof resume.toObject === 'function' ? resume.toObject() : resume;
+    const snapshot = ResumeVersionService.snapshotOf({
+      personalInfo: Object.fromEntries(SHARED_PERSONAL_FIELDS.map(field => [field, data.personalInfo?.[field]])),
+      education: data.education || []
+    });
+    return { personalInfo: snapshot.personalInfo, education: snapshot.education };
+  }
+
+  sharedContentChanged(before, after) {
+    return ResumeVersionService.diff(this.sharedContent(before), this.sharedContent(after)).length > 0;
+  }
+
+  /**
+   * Build an unsaved variant of a resume for a job. Variants of variants
+   * point at the original base so edits only ever flow one level down.
+   */
+  createVariant(base, job) {
+    const data = base.toObject();
+    const label = [job.jobTitle, job.company].filter(Boolean).join(' at ') || 'Tailored';
+
+    return new Resume({
+      ...data,
+      _id: undefined,
+      title: `${data.title} (${label})`,
+      baseResume: data.baseResume || data._id,
+      tailoredFor: {
+        jobTitle: job.jobTitle,
+        company: job.company,
+        jobDescription: job.jobDescription
+      },
+      roleApplyingFor: job.jobTitle || data.roleApplyingFor,
+      version: 1,
+      isPublic: false,
+      publicLink: null,
+      ats: undefined,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    });
+  }
+
+  /**
+   * Apply the output of AIService.tailorResumeForJob to a variant
+   */
+  applyTailoring(variant, tailoring) {
+    if (tailoring.summary) {
+      variant.set('personalInfo.summary', tailoring.summary);
+    }
+    tailoring.experience.forEach(({ index, description }) => {
+      if (variant.experience[index] && description.length > 0) {
+        variant.experience[index].description = description;
+      }
+    });
+    tailoring.projects.forEach(({ index, description }) => {
+      if (variant.projects[index] && description) {
+        variant.projects[index].description = description;
+      }
+    });
+
+    // Only accept a reordering of the same skills
+    const current = variant.skills?.technical || [];
+    const reordered = tailoring.technicalSkills;
+    if (reordered.length > 0) {
+      const rest = current.filter(skill => !reordered.some(item => item.toLowerCase() === skill.toLowerCase()));
+      variant.set('skills.technical', [...reordered, ...rest]);
+    }
+
+    variant.set('tailoredFor.tailoringMethod', tailoring.tailoringMethod);
+    variant.set('tailoredFor.tailoredAt', new Date());
+    variant.aiGenerated = variant.aiGenerated || tailoring.tailoringMethod === 'ai';
+    return variant;
+  }
+
+  variantsOf(base) {
+    return Resume.find({ baseResume: base._id, user: base.user });
+  }
+
+  /**
+   * Copy the base resume's contact info and education onto every variant,
+   * writing each one that changes as its next version
+   * @returns {Promise<number>} Number of variants updated
+   */
+  async propagateFromBase(base) {
+    const shared = this.sharedContent(base);
+    const variants = await this.variantsOf(base);
+    let updated = 0;
+
+    for (const variant of variants) {
+      if (await this.copySharedContent(variant, shared)) updated++;
+    }
+
+    return updated;
+  }
+
+  // Version-guarded like every other resume write; a variant edited in the
+  // meantime is read again and the copy retried
+  async copySharedContent(variant, shared, attempts = 3) {
+    let current = variant;
+    for (let attempt = 1; current; attempt++) {
+      if (!this.sharedContentChanged(current, shared)) return false;
+      try {
+        await ResumeVersionService.applyFields(current, {
+          personalInfo: { ...current.toObject().personalInfo, ...shared.personalInfo },
+          education: shared.education
+        });
+        return true;
+      } catch (error) {
+        if (error.status !== 409 || attempt >= attempts) throw error;
+        current = await Resume.findById(current._id);
+      }
+    }
+    return false;
+  }
+}
+
+module.exports = new ResumeVariantService();
@@ -0,0 +1,284 @@
+const Resume = require('../models/Resume');
+const ResumeVersion = require('../models/ResumeVersion');
+const Application = require('../models/Application');
+const { parsePath, setAtPath } = require('./ResumePaths');
+
+// Content captured in a snapshot. Sharing state, ATS results and bookkeeping
+// fields are left out so restoring an old version never unpublishes a resume.
+const VERSIONED_FIELDS = [
+  'title',
+  'template',
+  'theme',
+  'showPhoto',
+  'onePage',
+  'isFresher',
+  'roleApplyingFor',
+  'personalInfo',
+  'education',
+  'experience',
+  'skills',
+  'projects',
+  'achievements',
+  'certifications',
+  'aiGenerated',
+  'aiPrompt'
+];
+
+const MAX_VERSIONS = parseInt(process.env.RESUME_MAX_VERSIONS, 10) || 50;
+
+// Plain JSON copy without subdocument ids, which change on every save
+function clean(value) {
+  if (Array.isArray(value)) return value.map(clean);
+  if (value instanceof Date) return value.toISOString();
+  if (value && typeof value === 'object') {
+    if (typeof value.toHexString === 'function') return value.toString();
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([key, item]) => key !== '_id' && item !== undefined)
+        .map(([key, item]) => [key, clean(item)])
+    );
+  }
+  return value;
+}
+
+function isContainer(value) {
+  return value !== null && typeof value === 'object';
+}
+
+function diffValues(before, after, path, changes) {
+  const from = before === null ? undefined : before;
+  const to = after === null ? undefined : after;
+
+  if (Array.isArray(from) && Array.isArray(to)) {
+    for (let i = 0; i < Math.max(from.length, to.length); i++) {
+      diffValues(from[i], to[i], `${path}[${i}]`, changes);
+    }
+    return;
+  }
+
+  if (isContainer(from) && isContainer(to) && !Array.isArray(from) && !Array.isArray(to)) {
+    [...new Set([...Object.keys(from), ...Object.keys(to)])].sort().forEach(key => {
+      diffValues(from[key], to[key], path ? `${path}.${key}` : key, changes);
+    });
+    return;
+  }
+
+  if (from === to) return;
+  if (from === undefined) {
+    changes.push({ path, type: 'added', to });
+  } else if (to === undefined) {
+    changes.push({ path, type: 'removed', from });
+  } else {
+    changes.push({ path, type: 'changed', from, to });
+  }
+}
+
+class ResumeVersionService {
+  /**
+   * Versioned content of a resume as plain JSON
+   */
+  snapshotOf(resume) {
+    const data = typeof resume.toObject === 'function' ? resume.toObject() : resume;
+    return clean(Object.fromEntries(VERSIONED_FIELDS.map(field => [field, data[field]])));
+  }
+
+  /**
+   * Field-level differences between two snapshots, with paths such as
+   * `experience[1].description[2]` or `personalInfo.email`
+   * @returns {Array<{ path: string, type: 'added'|'removed'|'changed', from?: *, to?: * }>}
+   */
+  diff(before, after) {
+    const changes = [];
+    diffValues(before || {}, after || {}, '', changes);
+    return changes;
+  }
+
+  changedFields(changes) {
+    return [...new Set(changes.map(change => change.path.split(/[.[]/)[0]))];
+  }
+
+  /**
+   * Make sure the resume's current version has a snapshot. Resumes created
+   * before history existed get one the first time they change.
+   */
+  async ensureBaseline(resume) {
+    const exists = await ResumeVersion.exists({ resume: resume._id, version: resume.version || 1 });
+    if (exists) return;
+
+    await ResumeVersion.create({
+      resume: resume._id,
+      user: resume.user,
+      version: resume.version || 1,
+      snapshot: this.snapshotOf(resume),
+      source: 'create'
+    });
+  }
+
+  /**
+   * Store a snapshot of the resume at its current version
+   * @param {Object} resume - Resume after the change
+   * @param {Object} previous - Snapshot from before the change
+   * @param {Object} [options]
+   * @param {string} [options.source] - 'update', 'restore', 'suggestion' or 'import'
+   * @param {number} [options.restoredFrom] - Version a restore copied from
+   * @param {string} [options.suggestion] - Rewrite suggestion an accepted rewrite came from
+   */
+  async record(resume, previous, options = {}) {
+    const snapshot = this.snapshotOf(resume);
+    const version = await ResumeVersion.create({
+      resume: resume._id,
+      user: resume.user,
+      version: resume.version,
+      snapshot,
+      changedFields: this.changedFields(this.diff(previous, snapshot)),
+      source: options.source || 'update',
+      restoredFrom: options.restoredFrom ?? null,
+      suggestion: options.suggestion ?? null
+    });
+
+    await this.prune(resume._id);
+    return version;
+  }
+
+  // Versions sent with a job application are kept for as long as the application exists
+  sentVersions(resumeId) {
+    return Application.distinct('resumeVersion', { resume: resumeId });
+  }
+
+  // Keep only the newest MAX_VERSIONS snapshots per resume
+  async prune(resumeId) {
+    const sent = await this.sentVersions(resumeId);
+    const stale = await ResumeVersion.find({ resume: resumeId, version: { $nin: sent } })
+      .sort({ version: -1 })
+      .skip(MAX_VERSIONS)
+      .select('_id');
+    if (stale.length > 0) {
+      await ResumeVersion.deleteMany({ _id: { $in: stale.map(doc => doc._id) } });
+    }
+  }
+
+  list(resumeId) {
+    return ResumeVersion.find({ resume: resumeId })
+      .sort({ version: -1 })
+      .select('-snapshot');
+  }
+
+  async find(resumeId, version) {
+    if (!Number.isInteger(version)) return null;
+    return ResumeVersion.findOne({ resume: resumeId, version });
+  }
+
+  async removeAll(resumeId) {
+    const sent = await this.sentVersions(resumeId);
+    return ResumeVersion.deleteMany({ resume: resumeId, version: { $nin: sent } });
+  }
+
+  /**
+   * Job-tailored variants follow their base resume's contact info and
+   * education; call after every write to a resume
+   * @param {Object} resume - Resume after the change
+   * @param {Object} previous - Snapshot from before the change
+   */
+  async propagateToVariants(resume, previous) {
+    if (resume.baseResume) return;
+
+    // Required here because ResumeVariantService depends on this service
+    const ResumeVariantService = require('./ResumeVariantService');
+    if (ResumeVariantService.sharedContentChanged(previous, resume)) {
+      await ResumeVariantService.propagateFromBase(resume);
+    }
+  }
+
+  /**
+   * Write new content as the next version. Like PUT /api/resume/:id, the
+   * write only matches the version the resume was read at, so a concurrent
+   * save makes it fail with a 409 instead of being overwritten.
+   * @param {Object} resume - As read before the change
+   * @param {Object} fields - Top-level fields to set; undefined ones are cleared
+   * @returns {Promise<Object>} The saved resume
+   */
+  async saveNextVersion(resume, fields) {
+    const $set = { lastModified: new Date() };
+    const $unset = {};
+    Object.entries(fields).forEach(([field, value]) => {
+      if (value === undefined) $unset[field] = 1;
+      else $set[field] = value;
+    });
+
+    const updated = await Resume.findOneAndUpdate(
+      { _id: resume._id, version: resume.version },
+      { $set, $unset, $inc: { version: 1 } },
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      const error = new Error('Resume was changed in another session. Review the current copy before saving again.');
+      error.status = 409;
+      throw error;
+    }
+    return updated;
+  }
+
+  /**
+   * Copy a snapshot's content back onto the resume as a new version
+   * @returns {Promise<Object|null>} The saved resume, or null if the version does not exist
+   * @throws {Error} With status 409 if the resume changed since it was read
+   */
+  async restore(resume, versionNumber) {
+    const target = await this.find(resume._id, versionNumber);
+    if (!target) return null;
+
+    await this.ensureBaseline(resume);
+    const previous = this.snapshotOf(resume);
+
+    const restored = await this.saveNextVersion(
+      resume,
+      Object.fromEntries(VERSIONED_FIELDS.map(field => [field, target.snapshot[field]]))
+    );
+
+    await this.record(restored, previous, { source: 'restore', restoredFrom: target.version });
+    await this.propagateToVariants(restored, previous);
+    return restored;
+  }
+
+  /**
+   * Replace whole top-level fields and save the result as a new version
+   * @param {Object} fields - e.g. { experience: [...], projects: [...] }
+   * @param {Object} options - Passed to record(), e.g. { source: 'import' }
+   * @returns {Promise<Object>} The saved resume
+   * @throws {Error} With status 409 if the resume changed since it was read
+   */
+  async applyFields(resume, fields, options = {}) {
+    const unknown = Object.keys(fields).find(field => !VERSIONED_FIELDS.includes(field));
+    if (unknown) {
+      throw new Error(`${unknown} is not a versioned resume field`);
+    }
+
+    await this.ensureBaseline(resume);
+    const previous = this.snapshotOf(resume);
+
+    const updated = await this.saveNextVersion(resume, fields);
+
+    await this.record(updated, previous, options);
+    await this.propagateToVariants(updated, previous);
+    return updated;
+  }
+
+  /**
+   * Set one field, addressed by a path such as `experience[1].description[2]`,
+   * and save the result as a new version
+   * @param {Object} options - Passed to record(), e.g. { source: 'suggestion', suggestion }
+   * @returns {Promise<Object|null>} The saved resume, or null if the path does not exist
+   */
+  async applyEdit(resume, path, value, options = {}) {
+    const keys = parsePath(path);
+    if (!keys || !VERSIONED_FIELDS.includes(keys[0])) return null;
+
+    // Edit a plain copy of the top-level field and set it back whole
+    const field = { [keys[0]]: resume.toObject()[keys[0]] };
+    if (!setAtPath(field, path, value)) return null;
+
+    return this.applyFields(resume, field, options);
+  }
+}
+
+module.exports = new ResumeVersionService();
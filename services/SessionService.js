@@ -0,0 +1,179 @@
+/**
+ * Issues access and refresh tokens. Access tokens are short-lived JWTs that
+ * carry the user and session id. Each refresh token belongs to a Session, one
+ * per signed-in device, and is replaced on every use. A replaced token that
+ * shows up again has been copied, so the session it belongs to is revoked,
+ * unless it was replaced moments ago (two tabs refreshing at once).
+ *
+ *   ACCESS_TOKEN_TTL=15m           lifetime of access tokens (jsonwebtoken format)
+ *   REFRESH_TOKEN_TTL_DAYS=30      how long a device stays signed in without use
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Replaced tokens remembered per session, to tell a copied token from a made-up one
+const PREVIOUS_TOKENS_KEPT = 10;
+// The token replaced last is refused but not treated as reuse for this long
+const REUSE_GRACE_MS = 30 * 1000;
+
+function hashToken(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// Refresh tokens are "<session id>.<secret>"
+function parseRefreshToken(token) {
+  const [id, secret, extra] = String(token || '').split('.');
+  if (!/^[a-f\d]{24}$/i.test(id) || !secret || extra !== undefined) return null;
+  return { id, secret };
+}
+
+class SessionService {
+  accessToken(userId, sessionId) {
+    if (!process.env.JWT_SECRET) {
+      throw new Error('JWT_SECRET is not defined in environment variables');
+    }
+    return jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+  }
+
+  tokens(session, secret) {
+    const token = this.accessToken(session.user, session._id);
+    const { iat, exp } = jwt.decode(token);
+    return {
+      token,
+      refreshToken: `${session._id}.${secret}`,
+      expiresIn: exp - iat
+    };
+  }
+
+  device(req) {
+    return {
+      userAgent: String(req.get('user-agent') || '').slice(0, 300),
+      ip: req.ip || ''
+    };
+  }
+
+  /**
+   * Sign a user in on a new device
+   * @param {string} userId
+   * @param {Object} req - Request the sign-in came from, for the device details
+   * @returns {Promise<{ token: string, refreshToken: string, expiresIn: number }>}
+   */
+  async start(userId, req) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const session = await Session.create({
+      user: userId,
+      tokenHash: hashToken(secret),
+      deviceName: String(req.body?.deviceName || '').trim().slice(0, 100),
+      ...this.device(req),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * DAY_MS)
+    });
+    return this.tokens(session, secret);
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token
+   * @returns {Promise<Object|null>} New tokens, or null if the refresh token is not valid
+   */
+  async refresh(refreshToken, req) {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return null;
+
+    const now = new Date();
+    const presented = hashToken(parsed.secret);
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const session = await Session.findOneAndUpdate(
+      { _id: parsed.id, tokenHash: presented, revokedAt: null, expiresAt: { $gt: now } },
+      {
+        $set: {
+          tokenHash: hashToken(secret),
+          rotatedAt: now,
+          lastUsedAt: now,
+          expiresAt: new Date(now.getTime() + REFRESH_TOKEN_DAYS * DAY_MS),
+          ...this.device(req)
+        },
+        $push: { previousTokenHashes: { $each: [presented], $slice: -PREVIOUS_TOKENS_KEPT } }
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      await this.revokeIfReused(parsed.id, presented, now);
+      return null;
+    }
+
+    return this.tokens(session, secret);
+  }
+
+  // A token this session already replaced means someone else has a copy. Only
+  // a token the session really issued counts, so a guessed id revokes nothing.
+  async revokeIfReused(sessionId, tokenHash, now) {
+    const session = await Session.findOne({
+      _id: sessionId,
+      previousTokenHashes: tokenHash,
+      revokedAt: null,
+      expiresAt: { $gt: now }
+    });
+    if (!session) return;
+
+    const hashes = session.previousTokenHashes;
+    const justReplaced = hashes[hashes.length - 1] === tokenHash &&
+      session.rotatedAt && now - session.rotatedAt < REUSE_GRACE_MS;
+    if (justReplaced) return;
+
+    await Session.updateOne(
+      { _id: sessionId, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: 'reused' } }
+    );
+  }
+
+  /**
+   * End the session a refresh token belongs to
+   * @returns {Promise<boolean>} False if the token was not valid
+   */
+  async logout(refreshToken) {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return false;
+
+    const result = await Session.updateOne(
+      { _id: parsed.id, tokenHash: hashToken(parsed.secret), revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  list(userId) {
+    return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .sort({ lastUsedAt: -1 });
+  }
+
+  /**
+   * Revoke one of a user's sessions
+   * @returns {Promise<boolean>} False if there was no such active session
+   */
+  async revoke(userId, sessionId) {
+    const result = await Session.updateOne(
+      { _id: sessionId, user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'revoked' } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Revoke all of a user's sessions, optionally keeping one
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeAll(userId, exceptSessionId = null) {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+    const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: 'revoked' } });
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,172 @@
+/**
+ * Role and skill taxonomy loaded from JSON data files. Each role lives in its
+ * own file under `roles/` with its synonyms, skill clusters, ATS keywords and
+ * summary/bullet templates, so supporting a new role only means adding data.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'data', 'taxonomy');
+
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9+#/.\s-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function readJSON(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid taxonomy file ${path.basename(file)}: ${error.message}`);
+  }
+}
+
+// Fill "{placeholder}" slots; unknown placeholders are left as written
+function render(template, values = {}) {
+  return String(template || '').replace(/\{(\w+)\}/g, (match, key) =>
+    values[key] !== undefined && values[key] !== null ? String(values[key]) : match
+  );
+}
+
+class TaxonomyService {
+  constructor(dir = process.env.TAXONOMY_DIR || DEFAULT_DIR) {
+    this.dir = dir;
+    this.load();
+  }
+
+  load() {
+    const skillData = readJSON(path.join(this.dir, 'skills.json'));
+    this.defaults = readJSON(path.join(this.dir, 'defaults.json'));
+    this.skills = skillData.skills || [];
+    this.clusters = new Map((skillData.clusters || []).map(cluster => [cluster.id, cluster]));
+
+    const rolesDir = path.join(this.dir, 'roles');
+    this.roles = fs.readdirSync(rolesDir)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(file => {
+        const role = readJSON(path.join(rolesDir, file));
+        if (!role.id || !role.name) {
+          throw new Error(`Invalid taxonomy file ${file}: roles need an id and a name`);
+        }
+        (role.clusters || []).forEach(id => {
+          if (!this.clusters.has(id)) {
+            throw new Error(`Invalid taxonomy file ${file}: unknown skill cluster "${id}"`);
+          }
+        });
+        return { synonyms: [], clusters: [], keywords: [], bullets: [], courseSummaries: {}, summaries: {}, ...role };
+      });
+
+    // Every spelling of every role, longest first so specific titles win
+    this.aliases = this.roles
+      .flatMap(role => [role.name, role.id.replace(/-/g, ' '), ...role.synonyms].map(alias => ({ alias: normalize(alias), role })))
+      .sort((a, b) => b.alias.length - a.alias.length);
+  }
+
+  /**
+   * Roles with their synonyms and skill clusters expanded
+   * @param {Object} [filter]
+   * @param {string} [filter.q] - Match against role names and synonyms
+   * @param {string} [filter.cluster] - Only roles using this skill cluster
+   */
+  listRoles(filter = {}) {
+    let roles = this.roles;
+    if (filter.q) {
+      const query = normalize(filter.q);
+      roles = roles.filter(role =>
+        [role.name, ...role.synonyms].some(alias => normalize(alias).includes(query))
+      );
+    }
+    if (filter.cluster) {
+      roles = roles.filter(role => role.clusters.includes(filter.cluster));
+    }
+    return roles.map(role => this.describeRole(role));
+  }
+
+  describeRole(role) {
+    return {
+      id: role.id,
+      name: role.name,
+      synonyms: role.synonyms,
+      keywords: role.keywords,
+      clusters: role.clusters.map(id => this.clusters.get(id))
+    };
+  }
+
+  listClusters() {
+    return [...this.clusters.values()];
+  }
+
+  /**
+   * Resolve a role name or job title ("Sr. Front-End Engineer") to a role.
+   * Exact names and synonyms win; otherwise the longest alias found inside
+   * the title is used.
+   * @returns {Object|null}
+   */
+  findRole(title) {
+    const text = normalize(title);
+    if (!text) return null;
+
+    const exact = this.aliases.find(entry => entry.alias === text);
+    if (exact) return exact.role;
+
+    const padded = ` ${text.replace(/[-/.]/g, ' ')} `;
+    const contained = this.aliases.find(entry => padded.includes(` ${entry.alias.replace(/[-/.]/g, ' ')} `));
+    return contained ? contained.role : null;
+  }
+
+  getRole(id) {
+    return this.roles.find(role => role.id === id) || null;
+  }
+
+  defaultRole() {
+    return this.getRole(this.defaults.defaultRole) || this.roles[0];
+  }
+
+  skillsInCluster(id) {
+    return this.clusters.get(id)?.skills || [];
+  }
+
+  /**
+   * ATS keywords for a role, falling back to the default role
+   */
+  roleKeywords(title) {
+    const role = this.findRole(title) || this.defaultRole();
+    if (role.keywords.length) return role.keywords;
+    return [...new Set(role.clusters.flatMap(id => this.skillsInCluster(id)))];
+  }
+
+  summary(title, { isFresher, skills, years }) {
+    const role = this.findRole(title);
+    const template = role?.summaries[isFresher ? 'fresher' : 'experienced'] ||
+      this.defaults.summaries[isFresher ? 'fresher' : 'experienced'];
+    return render(template, { role: title, skills, years });
+  }
+
+  genericSummary() {
+    return this.defaults.summaries.generic;
+  }
+
+  bullets(position) {
+    const role = this.findRole(position);
+    const templates = role?.bullets.length ? role.bullets : this.defaults.bullets;
+    return templates.map(template => render(template, { position: position || 'team' }));
+  }
+
+  courseSummary(field, title, degree) {
+    const role = this.findRole(title);
+    const match = role && Object.keys(role.courseSummaries).find(key => normalize(key) === normalize(field));
+    if (match) return role.courseSummaries[match];
+    return render(this.defaults.courseSummary, {
+      degree,
+      field,
+      role: title || 'professional roles'
+    });
+  }
+}
+
+module.exports = new TaxonomyService();
@@ -0,0 +1,181 @@
+/**
+ * Time-based one-time passwords (RFC 6238) for two-factor sign-in, with
+ * single-use recovery codes. Secrets are stored encrypted with
+ * TWO_FACTOR_ENCRYPTION_KEY, or a key derived from JWT_SECRET when unset.
+ *
+ * After the password step, login hands out a short-lived challenge token;
+ * exchanging it together with a code completes the sign-in.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'AI Resume Builder';
+const PERIOD = 30;
+const DIGITS = 6;
+// Codes from one step either side are accepted to allow for clock drift
+const WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = '';
+  buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+  return (bits.match(/.{1,5}/g) || []).map(chunk => BASE32[parseInt(chunk.padEnd(5, '0'), 2)]).join('');
+}
+
+function base32Decode(text) {
+  const bits = String(text).toUpperCase().replace(/[\s=]/g, '').split('')
+    .map(char => BASE32.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+  return Buffer.from((bits.match(/.{8}/g) || []).map(byte => parseInt(byte, 2)));
+}
+
+function derivedKey(label) {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not defined in environment variables');
+  }
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update(label).digest();
+}
+
+function encryptionKey() {
+  const key = process.env.TWO_FACTOR_ENCRYPTION_KEY;
+  return key ? crypto.createHash('sha256').update(key).digest() : derivedKey('two-factor-secrets');
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(String(code).toLowerCase().replace(/[^a-z0-9]/g, '')).digest('hex');
+}
+
+class TwoFactorService {
+  generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * otpauth:// URI for authenticator apps; render it as a QR code to enroll
+   */
+  provisioningUri(email, secret) {
+    const label = encodeURIComponent(`${ISSUER}:${email}`);
+    // Encoded by hand: some authenticator apps show "+" from URLSearchParams literally
+    const params = Object.entries({ secret, issuer: ISSUER, algorithm: 'SHA1', digits: DIGITS, period: PERIOD })
+      .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+      .join('&');
+    return `otpauth://totp/${label}?${params}`;
+  }
+
+  // Code for a secret at a time step
+  codeAt(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const digest = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = digest[digest.length - 1] & 0x0f;
+    const value = (digest.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+    return String(value).padStart(DIGITS, '0');
+  }
+
+  /**
+   * Time step a code is valid for, or null. Steps at or before
+   * `lastUsedStep` are refused so a code cannot be replayed.
+   */
+  verifyCode(secret, code, lastUsedStep = -1) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+    const current = Math.floor(Date.now() / 1000 / PERIOD);
+    for (let step = current - WINDOW; step <= current + WINDOW; step++) {
+      if (step <= lastUsedStep) continue;
+      const expected = this.codeAt(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+    }
+    return null;
+  }
+
+  encrypt(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+  }
+
+  decrypt(stored) {
+    const [iv, tag, encrypted] = String(stored).split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Fresh recovery codes; only their hashes are stored
+   * @returns {{ codes: string[], hashes: string[] }}
+   */
+  generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+  }
+
+  /**
+   * Check a TOTP code or a recovery code against a user with 2FA enabled and
+   * spend it. The spend is a conditional update, so of two requests racing
+   * with the same code only one succeeds; `user` itself is left unchanged.
+   * @returns {Promise<'totp'|'recovery'|null>} How the user was verified
+   */
+  async verifyUser(user, { code, recoveryCode }) {
+    const twoFactor = user.twoFactor;
+    if (!twoFactor?.enabled) return null;
+
+    if (code) {
+      const step = this.verifyCode(this.decrypt(twoFactor.secret), code, twoFactor.lastUsedStep ?? -1);
+      if (step === null) return null;
+      const result = await User.updateOne(
+        { _id: user._id, 'twoFactor.enabled': true, 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+      return result.modifiedCount === 1 ? 'totp' : null;
+    }
+
+    if (recoveryCode) {
+      const hash = hashRecoveryCode(recoveryCode);
+      if (!twoFactor.recoveryCodes.includes(hash)) return null;
+      const result = await User.updateOne(
+        { _id: user._id, 'twoFactor.enabled': true, 'twoFactor.recoveryCodes': hash },
+        { $pull: { 'twoFactor.recoveryCodes': hash } }
+      );
+      return result.modifiedCount === 1 ? 'recovery' : null;
+    }
+    return null;
+  }
+
+  /**
+   * Token proving the password step passed, to exchange with a code for a sign-in
+   */
+  challengeToken(user) {
+    return jwt.sign(
+      { sub: String(user._id), purpose: 'two-factor' },
+      derivedKey('two-factor-challenge'),
+      { expiresIn: CHALLENGE_TTL_SECONDS }
+    );
+  }
+
+  get challengeTTL() {
+    return CHALLENGE_TTL_SECONDS;
+  }
+
+  // User id a challenge token was issued for, or null
+  verifyChallenge(token) {
+    try {
+      const payload = jwt.verify(token, derivedKey('two-factor-challenge'));
+      return payload.purpose === 'two-factor' ? payload.sub : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new TwoFactorService();
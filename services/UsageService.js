@@ -0,0 +1,120 @@
+/**
+ * Per-user AI usage metering. Every model call made for a user is recorded
+ * with its feature and token counts, and each user gets a daily allowance of
+ * calls and tokens that depends on their plan. Allowances reset at midnight UTC.
+ */
+
+const mongoose = require('mongoose');
+const AIUsage = require('../models/AIUsage');
+const User = require('../models/User');
+
+const PLAN_LIMITS = {
+  free: {
+    calls: parseInt(process.env.AI_DAILY_CALL_LIMIT, 10) || 15,
+    tokens: parseInt(process.env.AI_DAILY_TOKEN_LIMIT, 10) || 100000
+  },
+  premium: {
+    calls: parseInt(process.env.AI_PREMIUM_DAILY_CALL_LIMIT, 10) || 200,
+    tokens: parseInt(process.env.AI_PREMIUM_DAILY_TOKEN_LIMIT, 10) || 2000000
+  }
+};
+
+function periodStart(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+function periodEnd(now = new Date()) {
+  const start = periodStart(now);
+  return new Date(start.getTime() + 24 * 60 * 60 * 1000);
+}
+
+class UsageService {
+  async planFor(userId) {
+    const user = await User.findById(userId).select('isPremium').lean();
+    return user?.isPremium ? 'premium' : 'free';
+  }
+
+  /**
+   * Record a model call. Calls without a user (background work) are not metered.
+   * @param {string} userId
+   * @param {Object} call
+   * @param {string} call.feature - LLMService task name
+   * @param {string} [call.provider]
+   * @param {string} [call.model]
+   * @param {Object} [call.usage] - { inputTokens, outputTokens } as reported by the provider
+   */
+  async record(userId, call) {
+    if (!userId) return null;
+    return AIUsage.create({
+      user: userId,
+      feature: call.feature,
+      provider: call.provider,
+      model: call.model,
+      inputTokens: call.usage?.inputTokens || 0,
+      outputTokens: call.usage?.outputTokens || 0
+    });
+  }
+
+  /**
+   * A user's usage in the current period against their plan's limits
+   */
+  async quota(userId) {
+    const start = periodStart();
+    const [plan, features] = await Promise.all([
+      this.planFor(userId),
+      AIUsage.aggregate([
+        { $match: { user: new mongoose.Types.ObjectId(String(userId)), createdAt: { $gte: start } } },
+        {
+          $group: {
+            _id: '$feature',
+            calls: { $sum: 1 },
+            inputTokens: { $sum: '$inputTokens' },
+            outputTokens: { $sum: '$outputTokens' }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ])
+    ]);
+
+    const limits = PLAN_LIMITS[plan];
+    const calls = features.reduce((sum, feature) => sum + feature.calls, 0);
+    const inputTokens = features.reduce((sum, feature) => sum + feature.inputTokens, 0);
+    const outputTokens = features.reduce((sum, feature) => sum + feature.outputTokens, 0);
+    const tokens = inputTokens + outputTokens;
+
+    return {
+      plan,
+      periodStart: start,
+      resetAt: periodEnd(),
+      limits,
+      used: { calls, inputTokens, outputTokens, tokens },
+      remaining: {
+        calls: Math.max(0, limits.calls - calls),
+        tokens: Math.max(0, limits.tokens - tokens)
+      },
+      exceeded: calls >= limits.calls || tokens >= limits.tokens,
+      byFeature: features.map(feature => ({
+        feature: feature._id,
+        calls: feature.calls,
+        tokens: feature.inputTokens + feature.outputTokens
+      }))
+    };
+  }
+
+  /**
+   * Whether a user may make another model call. Usage lookups that fail
+   * deny the call so an outage never lifts the limits.
+   */
+  async hasQuota(userId) {
+    if (!userId) return true;
+    try {
+      const quota = await this.quota(userId);
+      return !quota.exceeded;
+    } catch (error) {
+      console.error('Usage lookup error:', error);
+      return false;
+    }
+  }
+}
+
+module.exports = new UsageService();
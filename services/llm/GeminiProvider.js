@@ -0,0 +1,65 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const LLMProvider = require('./LLMProvider');
+
+function usageOf(response) {
+  const metadata = response?.usageMetadata || {};
+  return {
+    inputTokens: metadata.promptTokenCount || 0,
+    outputTokens: metadata.candidatesTokenCount || 0
+  };
+}
+
+/**
+ * Google Gemini through @google/generative-ai. Requests with a schema use
+ * Gemini's structured JSON output.
+ */
+class GeminiProvider extends LLMProvider {
+  constructor(config = {}) {
+    super('gemini');
+    this.client = config.apiKey ? new GoogleGenerativeAI(config.apiKey) : null;
+  }
+
+  isConfigured() {
+    return this.client !== null;
+  }
+
+  modelFor(request) {
+    if (!this.client) {
+      throw new Error('Gemini is not configured: set GOOGLE_AI_API_KEY');
+    }
+    return this.client.getGenerativeModel({
+      model: request.model,
+      generationConfig: {
+        temperature: request.temperature,
+        maxOutputTokens: request.maxOutputTokens,
+        ...(request.schema && {
+          responseMimeType: 'application/json',
+          responseSchema: request.schema
+        })
+      }
+    });
+  }
+
+  requestOptions(request) {
+    return { timeout: request.timeout, signal: request.signal };
+  }
+
+  async generate(request) {
+    const result = await this.modelFor(request).generateContent(request.prompt, this.requestOptions(request));
+    return { text: result.response.text(), usage: usageOf(result.response) };
+  }
+
+  async stream(request) {
+    const result = await this.modelFor(request).generateContentStream(request.prompt, this.requestOptions(request));
+    let text = '';
+    for await (const chunk of result.stream) {
+      const part = chunk.text();
+      if (!part) continue;
+      text += part;
+      request.onText(part);
+    }
+    return { text, usage: usageOf(await result.response) };
+  }
+}
+
+module.exports = GeminiProvider;
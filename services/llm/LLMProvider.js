@@ -0,0 +1,49 @@
+/**
+ * Base class for LLM provider adapters.
+ *
+ * Every operation takes a request of the form
+ *   { task, model, prompt, temperature, maxOutputTokens, timeout, signal }
+ * where `task` names the AIService feature making the call. Requests may
+ * carry a JSON `schema` the output must follow (always set for
+ * `generateJSON`), and `stream` requests an `onText(chunk)` callback. All
+ * three resolve with the raw output text:
+ *   { text, usage: { inputTokens, outputTokens } }
+ *
+ * Adapters must implement `generate`; the JSON and streaming operations fall
+ * back to it for backends without native support.
+ */
+class LLMProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async generate(request) {
+    throw new Error(`${this.name} provider does not implement generate`);
+  }
+
+  async generateJSON(request) {
+    return this.generate(request);
+  }
+
+  async stream(request) {
+    const result = await this.generate(request);
+    if (result.text) request.onText(result.text);
+    return result;
+  }
+
+  // Abort on the caller's signal or after `timeout` milliseconds, whichever comes first
+  signalFor(request) {
+    const signals = [
+      request.signal,
+      request.timeout ? AbortSignal.timeout(request.timeout) : null
+    ].filter(Boolean);
+    if (signals.length === 0) return undefined;
+    return signals.length === 1 ? signals[0] : AbortSignal.any(signals);
+  }
+}
+
+module.exports = LLMProvider;
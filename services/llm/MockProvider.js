@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+const LLMProvider = require('./LLMProvider');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', 'data', 'ai-fixtures');
+const STREAM_CHUNK_SIZE = 40;
+
+// Rough token estimate so usage numbers look like a real provider's
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Deterministic offline provider. Each task answers with the fixture in
+ * `<fixturesDir>/<task>.json`: a JSON string for plain-text tasks, or the
+ * object a JSON task returns. Lets every AI route run without network access.
+ */
+class MockProvider extends LLMProvider {
+  constructor(config = {}) {
+    super('mock');
+    this.fixturesDir = config.fixturesDir || DEFAULT_FIXTURES_DIR;
+  }
+
+  fixture(task) {
+    const file = path.join(this.fixturesDir, `${task}.json`);
+    if (!fs.existsSync(file)) {
+      throw new Error(`No mock AI fixture for task "${task}"`);
+    }
+    const value = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+
+  async generate(request) {
+    const text = this.fixture(request.task);
+    return {
+      text,
+      usage: { inputTokens: estimateTokens(request.prompt), outputTokens: estimateTokens(text) }
+    };
+  }
+
+  async stream(request) {
+    const result = await this.generate(request);
+    for (let i = 0; i < result.text.length; i += STREAM_CHUNK_SIZE) {
+      if (request.signal?.aborted) throw new Error('Mock stream aborted');
+      request.onText(result.text.slice(i, i + STREAM_CHUNK_SIZE));
+      // Yield between chunks so streamed events reach the client one by one
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    return result;
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,105 @@
+const LLMProvider = require('./LLMProvider');
+
+function usageOf(usage) {
+  return {
+    inputTokens: usage?.prompt_tokens || 0,
+    outputTokens: usage?.completion_tokens || 0
+  };
+}
+
+/**
+ * Any server speaking the OpenAI chat completions API: OpenAI itself, or a
+ * self-hosted model behind vLLM, Ollama, llama.cpp or LocalAI.
+ *
+ * `jsonMode` picks how schema requests are constrained: `json_schema` sends
+ * the schema, `json_object` only asks for JSON (for servers without schema
+ * support) and `none` relies on the prompt alone.
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+  constructor(config = {}) {
+    super('openai');
+    this.baseUrl = (config.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.apiKey = config.apiKey || null;
+    this.jsonMode = config.jsonMode || 'json_schema';
+    // Self-hosted servers usually run without a key
+    this.configured = Boolean(config.apiKey || config.baseUrl);
+  }
+
+  isConfigured() {
+    return this.configured;
+  }
+
+  responseFormat(request) {
+    if (!request.schema || this.jsonMode === 'none') return undefined;
+    if (this.jsonMode === 'json_object') return { type: 'json_object' };
+    return {
+      type: 'json_schema',
+      json_schema: { name: request.task || 'response', schema: request.schema }
+    };
+  }
+
+  async post(request, stream) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+      },
+      body: JSON.stringify({
+        model: request.model,
+        messages: [{ role: 'user', content: request.prompt }],
+        temperature: request.temperature,
+        max_tokens: request.maxOutputTokens,
+        response_format: this.responseFormat(request),
+        ...(stream && { stream: true, stream_options: { include_usage: true } })
+      }),
+      signal: this.signalFor(request)
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      const error = new Error(`OpenAI-compatible request failed: [${response.status}] ${detail.substring(0, 300)}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response;
+  }
+
+  async generate(request) {
+    const body = await (await this.post(request, false)).json();
+    return {
+      text: body.choices?.[0]?.message?.content || '',
+      usage: usageOf(body.usage)
+    };
+  }
+
+  async stream(request) {
+    const response = await this.post(request, true);
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+    let usage = usageOf(null);
+
+    for await (const bytes of response.body) {
+      buffer += decoder.decode(bytes, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const data = line.trim().replace(/^data:\s*/, '');
+        if (!line.trim().startsWith('data:') || data === '[DONE]') continue;
+
+        const event = JSON.parse(data);
+        if (event.usage) usage = usageOf(event.usage);
+        const part = event.choices?.[0]?.delta?.content;
+        if (!part) continue;
+        text += part;
+        request.onText(part);
+      }
+    }
+
+    return { text, usage };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
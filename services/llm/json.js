@@ -0,0 +1,83 @@
+/**
+ * JSON helpers for model output, which is often wrapped in markdown fences,
+ * truncated or sprinkled with trailing commas.
+ */
+
+/**
+ * Helper function to scrub the raw AI response text to fix common JSON errors
+ * before attempting to parse it. This is a crucial defense against
+ * SyntaxError: Unterminated string.
+ * @param {string} text - The raw text output from the model.
+ * @returns {string} The cleaned text.
+ */
+function scrubJsonText(text) {
+  // First, trim whitespace from both ends
+  text = text.trim();
+  
+  // Remove any markdown code block markers
+  text = text.replace(/^```json\n?/, '').replace(/\n?```$/, '');
+  
+  // More careful quote handling - only fix obviously broken escaped quotes
+  // Don't touch properly escaped quotes in valid JSON
+  if (text.includes('\\"') && !text.includes('\\\\"')) {
+    // Only replace if it looks like malformed JSON (double backslashes don't exist)
+    text = text.replace(/\\"/g, '"');
+  }
+  
+  // Fix trailing commas before closing brackets/braces (common JSON error)
+  text = text.replace(/,\s*([}\]])/g, '$1');
+  
+  // Fix missing commas between array elements or object properties
+  text = text.replace(/(["}\]])\s*(["{])/g, '$1,$2');
+  
+  // Remove control characters that might break JSON
+  text = text.replace(/[\x00-\x1F\x7F]/g, '');
+  
+  // Better JSON completion logic
+  const openBraces = (text.match(/{/g) || []).length;
+  const closeBraces = (text.match(/}/g) || []).length;
+  const openBrackets = (text.match(/\[/g) || []).length;
+  const closeBrackets = (text.match(/\]/g) || []).length;
+  
+  // Add missing closing braces
+  if (openBraces > closeBraces) {
+    text += '}'.repeat(openBraces - closeBraces);
+  }
+  
+  // Add missing closing brackets
+  if (openBrackets > closeBrackets) {
+    text += ']'.repeat(openBrackets - closeBrackets);
+  }
+  
+  // Fix unescaped newlines within JSON strings
+  text = text.replace(/"(.*?)"\s*\n\s*"(.*?)"$/g, '"$1","$2"');
+  
+  // If string appears truncated inside quotes, close it
+  const quoteCount = (text.match(/"/g) || []).length;
+  if (quoteCount % 2 !== 0) {
+    text += '"';
+  }
+  
+  return text;
+}
+
+/**
+ * Parse model output as JSON, scrubbing it only when it does not parse as
+ * is: the repairs can damage valid strings such as "experience[1].description[2]"
+ * @param {string} text - Raw model output
+ * @returns {*} The parsed value
+ * @throws {SyntaxError} When the text is not JSON even after scrubbing
+ */
+function parseJSON(text) {
+  const raw = String(text || '').trim().replace(/^```(?:json)?\n?/, '').replace(/\n?```$/, '');
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return JSON.parse(scrubJsonText(raw));
+  }
+}
+
+module.exports = {
+  scrubJsonText,
+  parseJSON
+};
@@ -0,0 +1,19 @@
+const crypto = require('crypto');
+const MailTransport = require('./MailTransport');
+
+/**
+ * Prints each message to the server log instead of sending it
+ */
+class ConsoleTransport extends MailTransport {
+  constructor() {
+    super('console');
+  }
+
+  async send(message) {
+    const id = crypto.randomUUID();
+    console.log(`Mail ${id}\nFrom: ${message.from}\nTo: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`);
+    return { id };
+  }
+}
+
+module.exports = ConsoleTransport;
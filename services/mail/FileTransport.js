@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const MailTransport = require('./MailTransport');
+
+const DEFAULT_DIR = path.join(os.tmpdir(), 'ai-resume-builder-mail');
+
+/**
+ * Writes each message to `<dir>/<time>-<id>.json`, so tests and local
+ * development can read what would have been sent
+ */
+class FileTransport extends MailTransport {
+  constructor(config = {}) {
+    super('file');
+    this.dir = config.dir || DEFAULT_DIR;
+  }
+
+  async send(message) {
+    const id = crypto.randomUUID();
+    const sentAt = new Date();
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(
+      path.join(this.dir, `${sentAt.getTime()}-${id}.json`),
+      JSON.stringify({ id, sentAt, ...message }, null, 2)
+    );
+    return { id };
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,20 @@
+/**
+ * Base class for mail transports.
+ *
+ * `send` takes a message of the form
+ *   { from, to, subject, text }
+ * and resolves with `{ id }` once the transport has accepted it. The smtp
+ * transport delivers real mail; the console and file transports are for
+ * development and tests.
+ */
+class MailTransport {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async send(message) {
+    throw new Error(`${this.name} mail transport does not implement send`);
+  }
+}
+
+module.exports = MailTransport;
@@ -0,0 +1,31 @@
+const OAuthProvider = require('./OAuthProvider');
+
+/**
+ * GitHub is OAuth2 only; the identity comes from its REST API
+ */
+class GitHubProvider extends OAuthProvider {
+  constructor(config = {}) {
+    super('github', config);
+    this.apiUrl = config.apiUrl.replace(/\/+$/, '');
+  }
+
+  async fetchProfile(accessToken) {
+    const [user, emails] = await Promise.all([
+      this.get(`${this.apiUrl}/user`, accessToken),
+      this.get(`${this.apiUrl}/user/emails`, accessToken)
+    ]);
+    // The public profile email may be unset or unverified; prefer the verified primary
+    const primary = (Array.isArray(emails) ? emails : []).find(item => item.primary && item.verified);
+
+    return {
+      id: String(user.id),
+      email: (primary?.email || user.email || '').toLowerCase() || null,
+      emailVerified: Boolean(primary),
+      name: user.name || user.login,
+      avatar: user.avatar_url || '',
+      profileUrl: user.html_url || ''
+    };
+  }
+}
+
+module.exports = GitHubProvider;
@@ -0,0 +1,27 @@
+const OAuthProvider = require('./OAuthProvider');
+
+/**
+ * Provider whose identity comes from a standard OpenID Connect userinfo
+ * endpoint (Google, LinkedIn)
+ */
+class OIDCProvider extends OAuthProvider {
+  constructor(name, config = {}) {
+    super(name, config);
+    this.userInfoUrl = config.userInfoUrl;
+  }
+
+  async fetchProfile(accessToken) {
+    const claims = await this.get(this.userInfoUrl, accessToken);
+    return {
+      id: String(claims.sub),
+      email: claims.email ? String(claims.email).toLowerCase() : null,
+      // LinkedIn sends email_verified as a string
+      emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+      name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' '),
+      avatar: claims.picture || '',
+      profileUrl: claims.profile || ''
+    };
+  }
+}
+
+module.exports = OIDCProvider;
@@ -0,0 +1,58 @@
+/**
+ * Minimal client for GitHub's public REST API. `apiUrl` can point at a
+ * local stub; `token` is optional and only raises the rate limit.
+ */
+class GitHubClient {
+  constructor(config = {}) {
+    this.apiUrl = (config.apiUrl || 'https://api.github.com').replace(/\/+$/, '');
+    this.token = config.token;
+  }
+
+  async request(path) {
+    const response = await fetch(`${this.apiUrl}${path}`, {
+      headers: {
+        Accept: 'application/vnd.github+json',
+        'User-Agent': 'ai-resume-builder',
+        ...(this.token && { Authorization: `Bearer ${this.token}` })
+      },
+      signal: AbortSignal.timeout(10000)
+    });
+
+    if (!response.ok) {
+      const limited = response.status === 429 ||
+        (response.status === 403 && response.headers.get('x-ratelimit-remaining') === '0');
+      const error = new Error(limited
+        ? 'GitHub rate limit reached, try again later'
+        : `GitHub request failed with status ${response.status}`);
+      error.status = limited ? 429 : response.status;
+      throw error;
+    }
+    return response.json();
+  }
+
+  /**
+   * A user's own public repositories, most recently pushed first
+   * @param {string} username
+   * @param {number} [limit]
+   */
+  async listRepos(username, limit = 30) {
+    const repos = [];
+    for (let page = 1; repos.length < limit; page++) {
+      const batch = await this.request(
+        `/users/${encodeURIComponent(username)}/repos?type=owner&sort=pushed&per_page=100&page=${page}`
+      );
+      repos.push(...batch);
+      if (batch.length < 100) break;
+    }
+    return repos.slice(0, limit);
+  }
+
+  /**
+   * Languages used in a repository, as bytes of code per language
+   */
+  languages(owner, repo) {
+    return this.request(`/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/languages`);
+  }
+}
+
+module.exports = GitHubClient;
@@ -0,0 +1,51 @@
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, embedded
+ * newlines) into one object per row, keyed by the header row
+ * @param {string} text
+ * @returns {Object[]}
+ */
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const source = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter(cells => cells.some(cell => cell.trim()));
+  if (!header) return [];
+  const keys = header.map(key => key.trim());
+  return records.map(cells => Object.fromEntries(keys.map((key, i) => [key, (cells[i] || '').trim()])));
+}
+
+module.exports = { parseCSV };
@@ -0,0 +1,72 @@
+const { parseCSV } = require('./csv');
+
+// Files of a LinkedIn data export ("Get a copy of your data") that map to resume sections
+const EXPORT_FILES = {
+  positions: 'positions.csv',
+  education: 'education.csv',
+  certifications: 'certifications.csv'
+};
+
+const BULLET = /^\s*[•●▪◦‣∙·*\-–]\s*/;
+
+function descriptionLines(text) {
+  return String(text || '')
+    .split(/\r?\n/)
+    .map(line => line.replace(BULLET, '').trim())
+    .filter(Boolean);
+}
+
+// Degree names such as "Bachelor of Science - BS, Computer Science" hold the field too
+function splitDegree(name) {
+  const match = String(name || '').match(/^(.*?),\s*(.+)$/);
+  return match ? { degree: match[1].trim(), field: match[2].trim() } : { degree: String(name || '').trim(), field: '' };
+}
+
+/**
+ * Map the CSV files of a LinkedIn export to resume sections
+ * @param {Map<string, string>} files - Lower-case file name to CSV text
+ * @returns {{ experience: Object[], education: Object[], certifications: Object[] }}
+ */
+function fromLinkedInExport(files) {
+  const rows = (key) => (files.has(EXPORT_FILES[key]) ? parseCSV(files.get(EXPORT_FILES[key])) : []);
+
+  const experience = rows('positions')
+    .filter(row => row['Company Name'] || row.Title)
+    .map(row => ({
+      company: row['Company Name'] || '',
+      position: row.Title || '',
+      location: row.Location || '',
+      startDate: row['Started On'] || '',
+      endDate: row['Finished On'] || '',
+      current: !row['Finished On'],
+      description: descriptionLines(row.Description)
+    }));
+
+  const education = rows('education')
+    .filter(row => row['School Name'])
+    .map(row => {
+      const { degree, field } = splitDegree(row['Degree Name']);
+      return {
+        institution: row['School Name'],
+        degree,
+        field,
+        startDate: row['Start Date'] || '',
+        endDate: row['End Date'] || '',
+        isCurrent: false,
+        description: [row.Notes, row.Activities].filter(Boolean).join('\n')
+      };
+    });
+
+  const certifications = rows('certifications')
+    .filter(row => row.Name)
+    .map(row => ({
+      name: row.Name,
+      issuer: row.Authority || '',
+      date: row['Started On'] || '',
+      link: row.Url || ''
+    }));
+
+  return { experience, education, certifications };
+}
+
+module.exports = { EXPORT_FILES, fromLinkedInExport };
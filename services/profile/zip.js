@@ -0,0 +1,95 @@
+const zlib = require('zlib');
+
+// Readers for the two compression methods archive tools use for plain files
+const STORED = 0;
+const DEFLATED = 8;
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+/**
+ * Extract files from a ZIP archive held in memory. Only entries `accept`
+ * returns true for are decompressed, each up to `maxEntryBytes` and all of
+ * them together up to `maxTotalBytes`, so a small archive cannot inflate
+ * into more memory than that.
+ * @param {Buffer} buffer
+ * @param {Object} [options]
+ * @param {Function} [options.accept] - (name) => boolean
+ * @param {number} [options.maxEntryBytes] - Default 10MB
+ * @param {number} [options.maxTotalBytes] - Default 20MB
+ * @param {number} [options.maxEntries] - Entries the archive may list, default 1000
+ * @param {number} [options.maxFiles] - Stop after extracting this many files
+ * @returns {Map<string, Buffer>} Entry name to contents
+ */
+function readZip(buffer, options = {}) {
+  const accept = options.accept || (() => true);
+  const maxEntryBytes = options.maxEntryBytes || 10 * 1024 * 1024;
+  const maxEntries = options.maxEntries || 1000;
+  const maxFiles = options.maxFiles || Infinity;
+  let remaining = options.maxTotalBytes ?? 20 * 1024 * 1024;
+
+  // The end record sits in the last 22 bytes plus an optional comment of up to 64KB
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error('Not a ZIP archive');
+  }
+
+  const count = buffer.readUInt16LE(end + 10);
+  if (count > maxEntries) {
+    throw new Error(`Archive has more than ${maxEntries} entries`);
+  }
+  let offset = buffer.readUInt32LE(end + 16);
+  const files = new Map();
+
+  for (let i = 0; i < count && files.size < maxFiles; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('Corrupt ZIP archive');
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/') || !accept(name)) continue;
+    if (method !== STORED && method !== DEFLATED) {
+      throw new Error(`Unsupported compression in ${name}`);
+    }
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) {
+      throw new Error('Corrupt ZIP archive');
+    }
+
+    // Sizes come from the central directory; the local header's may be zero
+    const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(start, start + compressedSize);
+    const limit = Math.min(maxEntryBytes, remaining);
+    const tooLarge = () => new Error(limit < maxEntryBytes ? 'Archive is too large once decompressed' : `${name} is too large`);
+    let contents;
+    if (method === STORED) {
+      if (data.length > limit) throw tooLarge();
+      contents = data;
+    } else {
+      try {
+        contents = zlib.inflateRawSync(data, { maxOutputLength: limit });
+      } catch (error) {
+        throw error.code === 'ERR_BUFFER_TOO_LARGE' ? tooLarge() : new Error(`Could not decompress ${name}`);
+      }
+    }
+    remaining -= contents.length;
+    files.set(name, contents);
+  }
+
+  return files;
+}
+
+module.exports = { readZip };